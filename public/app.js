@@ -1,5 +1,22 @@
 const HISTORY_KEY = "sodh-link-finder-history-v1";
 const IS_DEBUG_MODE = new URLSearchParams(window.location.search).get("debug") === "1";
+const RESOURCE_TYPE_LABELS = {
+  dataset: "Dataset",
+  file: "Data file",
+  map: "Map",
+  report: "Report",
+  page: "Web page"
+};
+const QUERY_INTENT_LABELS = {
+  map: "maps and dashboards",
+  report: "reports and briefs",
+  methodology: "methodology and documentation"
+};
+const SUB_QUERY_LABELS = {
+  original: "your wording",
+  alias: "the alias phrasing",
+  formal: "the formal indicator name"
+};
 
 const tabButtons = document.querySelectorAll(".tab");
 const views = {
@@ -9,12 +26,18 @@ const views = {
 
 const queryInput = document.getElementById("query-input");
 const searchButton = document.getElementById("search-button");
+const normalizeToggle = document.getElementById("normalize-toggle");
+const normalizeToggleLabel = document.getElementById("normalize-toggle-label");
+const explainToggle = document.getElementById("explain-toggle");
+const queryRewriteBanner = document.getElementById("query-rewrite-banner");
 const searchConfigNote = document.getElementById("search-config-note");
+const quotaWarning = document.getElementById("quota-warning");
 const loadingIndicator = document.getElementById("loading-indicator");
 const errorPanel = document.getElementById("error-panel");
 const setupPanel = document.getElementById("setup-panel");
 const resultContext = document.getElementById("result-context");
 const resultsList = document.getElementById("results-list");
+const loadMoreButton = document.getElementById("load-more");
 const extractPanel = document.getElementById("extract-panel");
 const extractCloseButton = document.getElementById("extract-close");
 const extractTarget = document.getElementById("extract-target");
@@ -46,6 +69,7 @@ const resultsToolbar = document.getElementById("results-toolbar");
 const resultsSummary = document.getElementById("results-summary");
 const resultScopeFilters = document.getElementById("result-scope-filters");
 const resultDomainFilters = document.getElementById("result-domain-filters");
+const resultTypeFilters = document.getElementById("result-type-filters");
 
 let appConfig = null;
 let historyItems = loadHistory();
@@ -53,8 +77,10 @@ let lastSearchResults = [];
 let lastRenderedResults = [];
 let activeExtractContext = null;
 let searchRequestInFlight = false;
+let activePagination = null;
 let activeResultScope = "all";
 let activeResultDomain = "";
+let activeResultType = "";
 
 initialize();
 
@@ -88,11 +114,18 @@ function bindEvents() {
     saveHistory();
     renderHistory();
     clearResultContext();
+    hideQueryRewriteBanner();
   });
 
   if (resultsList) {
     resultsList.addEventListener("click", onResultsListClick);
   }
+  if (loadMoreButton) {
+    loadMoreButton.addEventListener("click", () => loadMoreResults());
+  }
+  if (queryRewriteBanner) {
+    queryRewriteBanner.addEventListener("click", onQueryRewriteBannerClick);
+  }
   if (resultsToolbar) {
     resultsToolbar.addEventListener("click", onResultsToolbarClick);
   }
@@ -125,10 +158,13 @@ async function loadConfig() {
     appConfig = data;
     renderSetupPanel(data);
     renderSearchConfigNote(data);
+    renderQuotaWarning(data);
+    renderNormalizationToggle(data);
   } catch (error) {
     appConfig = { configured: false };
     showError(`Failed to load app configuration: ${String(error)}`);
     renderSearchConfigNote(appConfig);
+    renderQuotaWarning(appConfig);
   }
 }
 
@@ -141,18 +177,19 @@ function renderSetupPanel(config) {
   const steps = Array.isArray(config.setupSteps) ? config.setupSteps : [];
   const providerOrder = Array.isArray(config.providerEnvOrder)
     ? config.providerEnvOrder.join(" -> ")
-    : "BRAVE_API_KEY -> SERPAPI_KEY -> BING_API_KEY";
+    : "BRAVE_API_KEY -> SERPAPI_KEY -> BING_API_KEY -> SEARXNG_URL";
 
   setupPanel.innerHTML = `
     <h3>Setup Search Provider</h3>
-    <p>No provider key is configured. Search is disabled until one key exists.</p>
+    <p>No provider key is configured. Until one exists, searches only return matches from the curated dataset catalog.</p>
     <p><strong>Selection order:</strong> ${escapeHtml(providerOrder)}</p>
     <ol>
       ${steps.map((step) => `<li>${escapeHtml(step)}</li>`).join("")}
     </ol>
     <pre>BRAVE_API_KEY=your_key_here
 SERPAPI_KEY=your_key_here
-BING_API_KEY=your_key_here</pre>
+BING_API_KEY=your_key_here
+SEARXNG_URL=http://localhost:8888</pre>
   `;
   setupPanel.classList.remove("hidden");
 }
@@ -182,7 +219,7 @@ function renderSearchConfigNote(config) {
   const normalizeDefault = normalization.defaultEnabled ? "on" : "off";
 
   if (!config?.configured) {
-    searchConfigNote.textContent = "Search disabled until provider key is configured.";
+    searchConfigNote.textContent = "No provider key configured: searching the curated dataset catalog only.";
     return;
   }
 
@@ -191,14 +228,62 @@ function renderSearchConfigNote(config) {
   searchConfigNote.textContent = `Efficiency mode: ${mode}. Provider call cap/search: ${limitText}. Auto-upgrade: ${escalationText}. Query normalization default: ${normalizeDefault}. Cache backend: ${cacheBackend}. Server cache TTL: ${cacheText}.`;
 }
 
-async function runSearch() {
+function renderQuotaWarning(config) {
+  if (!quotaWarning) {
+    return;
+  }
+
+  const providers = Array.isArray(config?.providerQuota?.providers) ? config.providerQuota.providers : [];
+  const exhausted = providers.filter((item) => item.exhausted).map((item) => item.provider.toUpperCase());
+  const low = providers
+    .filter((item) => item.low && !item.exhausted)
+    .map((item) => `${item.provider.toUpperCase()} (${item.remaining} of ${item.monthlyCap} left)`);
+
+  if (!config?.configured || (exhausted.length === 0 && low.length === 0)) {
+    quotaWarning.classList.add("hidden");
+    quotaWarning.textContent = "";
+    return;
+  }
+
+  const parts = [];
+  if (exhausted.length > 0) {
+    parts.push(`Monthly search quota used up: ${exhausted.join(", ")}.`);
+  }
+  if (low.length > 0) {
+    parts.push(`Monthly search quota running low: ${low.join(", ")}. Searches run in economy mode.`);
+  }
+  quotaWarning.textContent = parts.join(" ");
+  quotaWarning.classList.remove("hidden");
+}
+
+function renderNormalizationToggle(config) {
+  if (!normalizeToggle || !normalizeToggleLabel) {
+    return;
+  }
+
+  const normalization = config?.normalization || {};
+  normalizeToggle.checked = normalization.defaultEnabled !== false;
+  normalizeToggleLabel.classList.toggle("hidden", !normalization.allowPerRequestToggle);
+}
+
+// Undefined leaves the choice to the server default.
+function readNormalizationPreference() {
+  if (!normalizeToggle || normalizeToggleLabel?.classList.contains("hidden")) {
+    return undefined;
+  }
+  return normalizeToggle.checked;
+}
+
+async function runSearch(options = {}) {
   if (searchRequestInFlight) {
     return;
   }
 
   hideError();
   clearResultContext();
+  hideQueryRewriteBanner();
   hideExtractPanel();
+  setPagination(null);
 
   const query = queryInput.value.trim();
   if (!query) {
@@ -206,35 +291,33 @@ async function runSearch() {
     return;
   }
 
-  if (!appConfig?.configured) {
-    renderSetupPanel(appConfig || { configured: false, setupSteps: [] });
-    showError("Search provider is not configured. Follow setup steps below.");
-    return;
-  }
-
+  const normalizeQuery =
+    typeof options.normalizeQuery === "boolean" ? options.normalizeQuery : readNormalizationPreference();
+  // Score breakdowns cost server time and a separate cache entry, so they are opt-in.
+  const explain = Boolean(explainToggle?.checked);
   searchRequestInFlight = true;
   setLoading(true);
   try {
-    const response = await fetch("/api/search", {
+    const response = await fetch("/api/search/stream", {
       method: "POST",
       headers: {
         "Content-Type": "application/json"
       },
-      body: JSON.stringify({ query })
+      body: JSON.stringify({ query, explain, normalizeQuery })
     });
 
-    const payload = await response.json();
+    const isEventStream = String(response.headers.get("Content-Type") || "").includes("text/event-stream");
+    const outcome = isEventStream
+      ? await readSearchStream(response)
+      : { ok: response.ok, payload: await response.json() };
+    const payload = outcome.payload;
 
-    if (!response.ok) {
+    if (!outcome.ok) {
       let message = payload?.error || "Search failed.";
       if (payload?.providerStatusCode) {
         message += ` (provider HTTP ${payload.providerStatusCode})`;
       }
       showError(message);
-
-      if (payload?.code === "NOT_CONFIGURED") {
-        renderSetupPanel({ configured: false, setupSteps: payload.setupSteps || [] });
-      }
       return;
     }
 
@@ -250,43 +333,53 @@ async function runSearch() {
     const modeLabel = requestedMode === effectiveMode
       ? `mode: ${effectiveMode}.`
       : `mode: ${requestedMode} -> ${effectiveMode} (auto-upgraded).`;
-    const normalizationLabel = buildNormalizationLabel({
-      query,
-      normalizedQuery: payload.normalizedQuery,
-      queryNormalization
-    });
+    const sentQueries = listSentQueries(metadata, payload.normalizedQuery);
+    const normalizationLabel = buildNormalizationLabel({ query, sentQueries, queryNormalization });
+    const operatorLabel = [buildOperatorLabel(metadata.queryOperators), buildIntentLabel(metadata.queryIntent)]
+      .filter(Boolean)
+      .join(" ");
     if (IS_DEBUG_MODE) {
       const contextParts = [
         `Showing ${payload.results.length} ranked links from ${providerName}.`,
+        operatorLabel,
         modeLabel,
         normalizationLabel,
         `${callLabel}.`
       ].filter(Boolean);
       showResultContext(contextParts.join(" "));
     } else {
-      const contextParts = [`Showing ${payload.results.length} ranked links from ${providerName}.`];
-      if (queryNormalization?.enabled && queryNormalization?.changed) {
-        contextParts.push("Query normalized for better recall.");
+      const contextParts = [`Showing ${payload.results.length} ranked links from ${providerName}.`, operatorLabel].filter(Boolean);
+      if (metadata.catalogOnly) {
+        contextParts.push("No search provider configured, so only the curated dataset catalog was searched.");
+      }
+      if (metadata.quotaEconomyForced) {
+        contextParts.push("Economy mode forced by low provider quota.");
       }
       if (metadata.cacheHit) {
         contextParts.push("Served from cache.");
       }
       showResultContext(contextParts.join(" "));
     }
+    renderQueryRewriteBanner({ query, sentQueries, queryNormalization });
 
     const historyRecord = {
       id: makeId(),
       query: payload.query,
       normalizedQuery: payload.normalizedQuery || payload.query,
+      sentQueries,
       timestamp: payload.timestamp,
       provider: payload.provider,
       queryNormalization: queryNormalization,
-      results: payload.results
+      queryOperators: metadata.queryOperators || null,
+      results: payload.results.map(({ scoreBreakdown, ...result }) => result)
     };
 
     historyItems = [historyRecord, ...historyItems];
     saveHistory();
     renderHistory();
+    setPagination(payload.pagination?.hasMore
+      ? { query, normalizeQuery, explain, nextPage: payload.pagination.nextPage, historyId: historyRecord.id }
+      : null);
   } catch (error) {
     showError(`Search request failed: ${String(error)}`);
   } finally {
@@ -295,10 +388,174 @@ async function runSearch() {
   }
 }
 
+// Later pages come from the server's cached candidate set, so they cost no
+// provider calls while that search is still cached.
+async function loadMoreResults() {
+  if (searchRequestInFlight || !activePagination) {
+    return;
+  }
+
+  const { query, normalizeQuery, explain, nextPage, historyId } = activePagination;
+  hideError();
+  searchRequestInFlight = true;
+  loadMoreButton.disabled = true;
+  try {
+    const response = await fetch("/api/search", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json"
+      },
+      body: JSON.stringify({ query, explain, normalizeQuery, page: nextPage })
+    });
+    const payload = await response.json();
+
+    if (!response.ok) {
+      showError(payload?.error || "Loading more results failed.");
+      if (response.status === 410) {
+        setPagination(null);
+      }
+      return;
+    }
+
+    lastSearchResults = [...lastSearchResults, ...(payload.results || [])];
+    renderFilteredResults();
+    showResultContext(`Showing ${lastSearchResults.length} of ${payload.pagination?.totalResults ?? "?"} ranked links.`);
+
+    const historyRecord = historyItems.find((item) => item.id === historyId);
+    if (historyRecord) {
+      historyRecord.results = lastSearchResults.map(({ scoreBreakdown, ...result }) => result);
+      saveHistory();
+      renderHistory();
+    }
+    setPagination(payload.pagination?.hasMore
+      ? { query, normalizeQuery, explain, nextPage: payload.pagination.nextPage, historyId }
+      : null);
+  } catch (error) {
+    showError(`Loading more results failed: ${String(error)}`);
+  } finally {
+    searchRequestInFlight = false;
+    loadMoreButton.disabled = false;
+  }
+}
+
+// Shown when normalization changed the words sent to the provider. The button
+// repeats the search once with the user's own wording; the toggle stays as is.
+function renderQueryRewriteBanner({ query, sentQueries, queryNormalization }) {
+  if (!queryRewriteBanner) {
+    return;
+  }
+  if (!queryNormalization?.enabled || !queryNormalization?.changed || sentQueries.length === 0) {
+    hideQueryRewriteBanner();
+    return;
+  }
+
+  const searchedFor = sentQueries.map((sentQuery) => `<strong>${escapeHtml(sentQuery)}</strong>`).join(", ");
+  queryRewriteBanner.innerHTML = `
+    Searched for ${searchedFor} &mdash;
+    <button type="button" class="link-button" data-original-query="${escapeAttribute(query)}">search instead for ${escapeHtml(query)}</button>
+  `;
+  queryRewriteBanner.classList.remove("hidden");
+}
+
+function hideQueryRewriteBanner() {
+  if (!queryRewriteBanner) {
+    return;
+  }
+  queryRewriteBanner.classList.add("hidden");
+  queryRewriteBanner.innerHTML = "";
+}
+
+function onQueryRewriteBannerClick(event) {
+  const button = event.target.closest("[data-original-query]");
+  if (!button) {
+    return;
+  }
+  queryInput.value = button.dataset.originalQuery;
+  runSearch({ normalizeQuery: false });
+}
+
+function setPagination(pagination) {
+  activePagination = pagination;
+  loadMoreButton?.classList.toggle("hidden", !pagination);
+}
+
+async function readSearchStream(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let outcome = null;
+
+  while (!outcome) {
+    const { value, done } = await reader.read();
+    if (done) {
+      break;
+    }
+
+    buffer += decoder.decode(value, { stream: true });
+    let boundary = buffer.indexOf("\n\n");
+    while (boundary !== -1 && !outcome) {
+      const frame = parseEventFrame(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf("\n\n");
+
+      if (frame?.event === "stage") {
+        renderProvisionalStage(frame.data);
+      } else if (frame?.event === "result") {
+        outcome = { ok: true, payload: frame.data };
+      } else if (frame?.event === "error") {
+        outcome = { ok: false, payload: frame.data };
+      }
+    }
+  }
+
+  if (!outcome) {
+    throw new Error("Search stream ended before results arrived.");
+  }
+  return outcome;
+}
+
+function parseEventFrame(frame) {
+  let event = "message";
+  const dataLines = [];
+  for (const line of frame.split("\n")) {
+    if (line.startsWith("event:")) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith("data:")) {
+      dataLines.push(line.slice(5).trimStart());
+    }
+  }
+
+  if (dataLines.length === 0) {
+    return null;
+  }
+  return { event, data: JSON.parse(dataLines.join("\n")) };
+}
+
+function renderProvisionalStage(stageEvent) {
+  const stageLabels = {
+    dataset_catalog: "curated dataset catalog",
+    topic_seeds: "topic sources",
+    census_seeds: "data.census.gov",
+    stage_a_batch: `priority sources ${Number(stageEvent.batchIndex) + 1}/${stageEvent.batchCount}`,
+    stage_b_fallback: "broader web fallback",
+    auto_escalation: "upgrading to standard mode",
+    link_verification: "checking links"
+  };
+  const label = stageLabels[stageEvent.stage] || stageEvent.stage;
+
+  if (Array.isArray(stageEvent.results)) {
+    renderResults(stageEvent.results);
+    showResultContext(`Searching (${label})... ${stageEvent.results.length} provisional results so far.`);
+    return;
+  }
+  showResultContext(`Searching (${label})...`);
+}
+
 function renderResults(results) {
   lastSearchResults = Array.isArray(results) ? results : [];
   activeResultScope = "all";
   activeResultDomain = "";
+  activeResultType = "";
   renderFilteredResults();
 }
 
@@ -332,7 +589,10 @@ function renderFilteredResults() {
       hasDownloadExtractor(result) ? "downloadable-result" : ""
     ].filter(Boolean).join(" ");
 
-    const priorityBadge = result.isPriority ? '<span class="meta-pill priority">Priority Source</span>' : "";
+    const tierLabel = appConfig?.ranking?.domainTiers?.[result.priorityTier]?.label;
+    const priorityBadge = result.isPriority
+      ? `<span class="meta-pill priority">${escapeHtml(tierLabel || "Priority Source")}</span>`
+      : "";
     const extractorCount = Array.isArray(result.extractors) ? result.extractors.length : 0;
     const downloadBadge = extractorCount > 0
       ? `<span class="download-badge">Download ready</span>`
@@ -352,11 +612,16 @@ function renderFilteredResults() {
           </a>
           <div class="result-meta">
             <span class="meta-pill">${displayDomain}</span>
+            ${buildResourceTypeBadge(result.resourceType)}
+            ${result.catalogId ? `<span class="meta-pill catalog">Curated dataset</span>` : ""}
             ${priorityBadge}
+            ${buildLinkStatusBadge(result.linkStatus)}
           </div>
         </div>
       </div>
       <p class="snippet">${escapeHtml(result.snippet || "")}</p>
+      ${buildAlternatesList(result.alternates)}
+      ${buildScoreExplanation(result.scoreBreakdown, result.foundBy)}
       <div class="result-foot">
         <div class="result-signals">
           ${downloadBadge}
@@ -372,8 +637,79 @@ function renderFilteredResults() {
   }
 }
 
+function buildResourceTypeBadge(resourceType) {
+  const label = RESOURCE_TYPE_LABELS[resourceType];
+  return label ? `<span class="meta-pill resource-type">${escapeHtml(label)}</span>` : "";
+}
+
+function buildLinkStatusBadge(linkStatus) {
+  if (linkStatus?.state === "dead") {
+    return `<span class="meta-pill link-dead">Dead link (${escapeHtml(String(linkStatus.statusCode))})</span>`;
+  }
+  if (linkStatus?.state === "redirected") {
+    return `<a class="meta-pill link-moved" href="${escapeAttribute(linkStatus.finalUrl)}" target="_blank" rel="noopener noreferrer" title="${escapeAttribute(linkStatus.finalUrl)}">Moved</a>`;
+  }
+  return "";
+}
+
+function buildAlternatesList(alternates) {
+  if (!Array.isArray(alternates) || alternates.length === 0) {
+    return "";
+  }
+
+  const items = alternates
+    .map((alternate) => `
+          <li>
+            <a href="${escapeAttribute(alternate.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(alternate.title)}</a>
+            <span class="meta-pill">${escapeHtml(alternate.domain || alternate.url)}</span>
+          </li>`)
+    .join("");
+  const label = alternates.length === 1 ? "1 similar page" : `${alternates.length} similar pages`;
+
+  return `
+      <details class="result-alternates">
+        <summary>${label}</summary>
+        <ul>${items}
+        </ul>
+      </details>`;
+}
+
+function buildScoreExplanation(breakdown, foundBy) {
+  if (!breakdown || !Array.isArray(breakdown.components)) {
+    return "";
+  }
+
+  const rows = breakdown.components
+    .map((component) => {
+      const points = Number(component.points) || 0;
+      const sign = points > 0 ? "+" : "";
+      const label = component.detail
+        ? `${component.label || component.factor} (${component.detail})`
+        : component.label || component.factor;
+      return `<li class="${points < 0 ? "penalty" : "bonus"}"><span>${escapeHtml(label)}</span><span>${sign}${points}</span></li>`;
+    })
+    .join("");
+
+  return `
+      <details class="score-explain">
+        <summary>Why is this ranked here?</summary>
+        <p class="search-hint">Overall rank #${escapeHtml(String(breakdown.rank))} with score ${escapeHtml(String(breakdown.total))}. Results are ordered by total score.</p>
+        ${buildFoundByNote(foundBy)}
+        <ul class="score-components">${rows}</ul>
+      </details>`;
+}
+
+function buildFoundByNote(foundBy) {
+  if (!Array.isArray(foundBy) || foundBy.length === 0) {
+    return "";
+  }
+
+  const labels = foundBy.map((id) => SUB_QUERY_LABELS[id] || id);
+  return `<p class="search-hint">Found by searching ${escapeHtml(labels.join(", "))}.</p>`;
+}
+
 function renderResultsToolbarState() {
-  if (!resultsToolbar || !resultsSummary || !resultScopeFilters || !resultDomainFilters) {
+  if (!resultsToolbar || !resultsSummary || !resultScopeFilters || !resultDomainFilters || !resultTypeFilters) {
     return;
   }
 
@@ -382,6 +718,8 @@ function renderResultsToolbarState() {
     resultScopeFilters.innerHTML = "";
     resultDomainFilters.innerHTML = "";
     resultDomainFilters.classList.add("hidden");
+    resultTypeFilters.innerHTML = "";
+    resultTypeFilters.classList.add("hidden");
     resultsSummary.textContent = "";
     return;
   }
@@ -389,6 +727,7 @@ function renderResultsToolbarState() {
   const filteredResults = applyResultFilters(lastSearchResults);
   const scopeOptions = buildScopeFilterOptions(lastSearchResults);
   const domainOptions = collectTopDomainOptions(lastSearchResults);
+  const typeOptions = collectResourceTypeOptions(lastSearchResults);
 
   resultsToolbar.classList.remove("hidden");
   resultsSummary.textContent = buildResultsSummary(lastSearchResults, filteredResults);
@@ -401,6 +740,31 @@ function renderResultsToolbarState() {
     disabled: option.count === 0 && activeResultScope !== option.id
   })).join("");
 
+  if (typeOptions.length > 1) {
+    resultTypeFilters.innerHTML = [
+      buildFilterChipMarkup({
+        kind: "type",
+        value: "",
+        label: "Any type",
+        count: lastSearchResults.length,
+        active: !activeResultType,
+        disabled: false
+      }),
+      ...typeOptions.map((option) => buildFilterChipMarkup({
+        kind: "type",
+        value: option.id,
+        label: option.label,
+        count: option.count,
+        active: activeResultType === option.id,
+        disabled: false
+      }))
+    ].join("");
+    resultTypeFilters.classList.remove("hidden");
+  } else {
+    resultTypeFilters.innerHTML = "";
+    resultTypeFilters.classList.add("hidden");
+  }
+
   if (domainOptions.length > 1) {
     const domainButtons = [
       buildFilterChipMarkup({
@@ -444,6 +808,16 @@ function buildScopeFilterOptions(results) {
   ];
 }
 
+function collectResourceTypeOptions(results) {
+  return Object.entries(RESOURCE_TYPE_LABELS)
+    .map(([id, label]) => ({
+      id,
+      label,
+      count: results.filter((result) => result?.resourceType === id).length
+    }))
+    .filter((option) => option.count > 0 || option.id === activeResultType);
+}
+
 function collectTopDomainOptions(results) {
   const counts = new Map();
   for (const result of results) {
@@ -500,6 +874,10 @@ function buildResultsSummary(allResults, filteredResults) {
     parts.push("Filtered to priority sources.");
   }
 
+  if (activeResultType) {
+    parts.push(`Type: ${RESOURCE_TYPE_LABELS[activeResultType] || activeResultType}.`);
+  }
+
   if (activeResultDomain) {
     parts.push(`Source focus: ${formatDomainLabel(activeResultDomain)}.`);
   }
@@ -515,6 +893,9 @@ function applyResultFilters(results) {
     if (activeResultScope === "priority" && !result?.isPriority) {
       return false;
     }
+    if (activeResultType && result?.resourceType !== activeResultType) {
+      return false;
+    }
     if (activeResultDomain && normalizeDomainKey(result?.domain) !== activeResultDomain) {
       return false;
     }
@@ -535,6 +916,8 @@ function onResultsToolbarClick(event) {
     activeResultScope = value || "all";
   } else if (kind === "domain") {
     activeResultDomain = value;
+  } else if (kind === "type") {
+    activeResultType = value;
   } else {
     return;
   }
@@ -736,6 +1119,11 @@ async function runExtractJob() {
     parameters.state = stateValue;
     parameters.stateAbbr = stateValue;
   }
+  // The county default came from the searched place; it no longer applies once
+  // the state is changed by hand.
+  if (parameters.countyFips && stateValue !== String(selected.defaults?.state || "")) {
+    delete parameters.countyFips;
+  }
   if (measureValue) {
     parameters.measureId = measureValue;
     parameters.measure = measureValue;
@@ -849,8 +1237,11 @@ function renderHistory() {
 
   for (const item of ordered) {
     const tr = document.createElement("tr");
+    const trail = buildNormalizationTrail(item.queryNormalization?.appliedRules);
+    const sentAs = (item.sentQueries || [item.normalizedQuery]).map((sentQuery) => `"${sentQuery}"`).join(", ");
+    const queryTitle = trail ? ` title="${escapeAttribute(`Sent as ${sentAs}: ${trail}`)}"` : "";
     tr.innerHTML = `
-      <td data-label="Query">${escapeHtml(item.query)}</td>
+      <td data-label="Query"${queryTitle}>${escapeHtml(item.query)}</td>
       <td data-label="Timestamp">${escapeHtml(formatDate(item.timestamp))}</td>
       <td data-label="Results">${item.results?.length || 0}</td>
       <td data-label="Action"><button type="button" class="secondary" data-id="${escapeAttribute(item.id)}">Open</button></td>
@@ -872,18 +1263,29 @@ function openHistoryItem(itemId) {
 
   queryInput.value = selected.query;
   hideExtractPanel();
+  hideQueryRewriteBanner();
+  setPagination(null);
   renderResults(selected.results || []);
   if (IS_DEBUG_MODE) {
     const normalizationLabel = buildNormalizationLabel({
       query: selected.query,
-      normalizedQuery: selected.normalizedQuery || selected.query,
+      sentQueries: selected.sentQueries || [selected.normalizedQuery || selected.query],
       queryNormalization: selected.queryNormalization || {}
     });
     showResultContext(
-      `Loaded saved results from ${formatDate(selected.timestamp)} (no new search run). ${normalizationLabel}`
+      [
+        `Loaded saved results from ${formatDate(selected.timestamp)} (no new search run).`,
+        buildOperatorLabel(selected.queryOperators),
+        normalizationLabel
+      ].filter(Boolean).join(" ")
     );
   } else {
-    showResultContext(`Loaded saved results from ${formatDate(selected.timestamp)} (no new search run).`);
+    showResultContext(
+      [
+        `Loaded saved results from ${formatDate(selected.timestamp)} (no new search run).`,
+        buildOperatorLabel(selected.queryOperators)
+      ].filter(Boolean).join(" ")
+    );
   }
   switchTab("search");
 }
@@ -954,21 +1356,63 @@ function formatDuration(ms) {
   return `${hours}h`;
 }
 
-function buildNormalizationLabel({ query, normalizedQuery, queryNormalization }) {
+function buildOperatorLabel(queryOperators) {
+  const applied = Array.isArray(queryOperators?.applied) ? queryOperators.applied : [];
+  const invalid = Array.isArray(queryOperators?.invalid) ? queryOperators.invalid : [];
+  const parts = [];
+  if (applied.length > 0) {
+    parts.push(`Filters: ${applied.join(" ")}.`);
+  }
+  if (invalid.length > 0) {
+    parts.push(`Ignored: ${invalid.join(" ")}.`);
+  }
+  return parts.join(" ");
+}
+
+function buildIntentLabel(queryIntent) {
+  const label = QUERY_INTENT_LABELS[queryIntent?.intent];
+  return label ? `Ranked for ${label}.` : "";
+}
+
+function buildNormalizationLabel({ query, sentQueries, queryNormalization }) {
   if (!queryNormalization?.enabled) {
     return IS_DEBUG_MODE ? "normalization: off." : "";
   }
 
   const changed = Boolean(queryNormalization.changed);
   const ruleCount = Number(queryNormalization.appliedRuleCount || 0);
-  if (!changed || !normalizedQuery || normalizedQuery === query) {
+  if (!changed || sentQueries.length === 0 || (sentQueries.length === 1 && sentQueries[0] === query)) {
     return IS_DEBUG_MODE ? "normalization: on." : "Query normalization enabled.";
   }
 
+  const trail = buildNormalizationTrail(queryNormalization.appliedRules);
   return IS_DEBUG_MODE
-    ? `normalization: on (${ruleCount} rules). search query used: "${normalizedQuery}".`
+    ? `normalization: on (${ruleCount} rules${trail ? `: ${trail}` : ""}). queries sent: ${sentQueries.map((sentQuery) => `"${sentQuery}"`).join(", ")}.`
     : "Query normalized for better recall.";
 }
+
+// The sub-queries a provider actually received. Catalog-only searches use the
+// normalized query, and responses cached before sub-queries existed have none.
+function listSentQueries(metadata, normalizedQuery) {
+  const sent = (Array.isArray(metadata?.subQueries) ? metadata.subQueries : [])
+    .filter((subQuery) => subQuery.searched)
+    .map((subQuery) => subQuery.query);
+  return sent.length > 0 ? sent : [normalizedQuery].filter(Boolean);
+}
+
+// Records saved before rule provenance existed only have counts.
+function buildNormalizationTrail(appliedRules) {
+  if (!Array.isArray(appliedRules) || appliedRules.length === 0) {
+    return "";
+  }
+
+  return appliedRules
+    .map((rule) => {
+      const change = rule.to ? `${rule.from} → ${rule.to}` : `${rule.from} dropped`;
+      return `${change} [${rule.ruleId}${rule.pack ? `, ${rule.pack}` : ""}]`;
+    })
+    .join("; ");
+}
 function makeId() {
   return `${Date.now()}-${Math.random().toString(16).slice(2)}`;
 }
@@ -1,4 +1,4 @@
-import { mkdirSync, readFileSync, writeFileSync } from "fs";
+import { mkdirSync, readdirSync, readFileSync, writeFileSync } from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 
@@ -41,16 +41,23 @@ async function main() {
 
   loadDotEnv(path.join(ROOT_DIR, ".env"));
 
-  const provider = resolveConfiguredProvider(process.env);
+  const providerEnv = buildProviderEnv(args);
+  const provider = resolveConfiguredProvider(providerEnv);
   if (!provider) {
     console.error("ERROR: Search provider not configured.");
-    console.error("Set BRAVE_API_KEY, SERPAPI_KEY, or BING_API_KEY in .env, then rerun.");
+    console.error("Set BRAVE_API_KEY, SERPAPI_KEY, or BING_API_KEY in .env (or pass --replay-dir), then rerun.");
     process.exit(2);
   }
 
+  const replaying = providerEnv.SEARCH_REPLAY_MODE === "replay";
+  if (replaying && countRecordings(providerEnv.SEARCH_REPLAY_DIR) === 0) {
+    console.error(`ERROR: No recorded responses in ${providerEnv.SEARCH_REPLAY_DIR}.`);
+    console.error("Record the golden suite with npm run test:relevance:record (or the Relevance Benchmark workflow), commit the recordings, then rerun.");
+    process.exit(2);
+  }
   const maxQueries = toPositiveInt(getArg(args, ["max-queries", "maxQueries"]), cases.length);
   const topNDefault = toPositiveInt(getArg(args, ["top-n", "topN"]), 8);
-  const delayMs = toPositiveInt(getArg(args, ["delay-ms", "delayMs"]), 250);
+  const delayMs = toPositiveInt(getArg(args, ["delay-ms", "delayMs"]), replaying ? 0 : 250);
   const reportFile = getArg(args, ["report-file", "reportFile"]);
   const costMode = getArg(args, ["cost-mode", "costMode"]) || process.env.SEARCH_COST_MODE || "standard";
   const maxProviderCalls = getArg(args, ["max-provider-calls", "maxProviderCalls"]);
@@ -63,6 +70,9 @@ async function main() {
   const selectedCases = cases.slice(0, maxQueries);
 
   console.log(`Provider: ${provider.name}`);
+  if (providerEnv.SEARCH_REPLAY_MODE) {
+    console.log(`Recordings (${providerEnv.SEARCH_REPLAY_MODE}): ${providerEnv.SEARCH_REPLAY_DIR}`);
+  }
   console.log(`Cost mode: ${costMode}`);
   if (maxProviderCalls) {
     console.log(`Provider call limit override: ${maxProviderCalls}`);
@@ -92,7 +102,8 @@ async function main() {
         provider,
         options: {
           costMode,
-          maxProviderCalls
+          maxProviderCalls,
+          subQueries: queryNormalization.subQueries
         }
       });
 
@@ -108,7 +119,8 @@ async function main() {
           enabled: queryNormalization.enabled,
           changed: queryNormalization.changed,
           appliedRuleCount: queryNormalization.appliedRuleCount,
-          appliedRuleTypes: queryNormalization.appliedRuleTypes
+          appliedRuleTypes: queryNormalization.appliedRuleTypes,
+          appliedRules: queryNormalization.appliedRules
         },
         evaluation,
         results: pipelineOutput.results
@@ -333,11 +345,13 @@ function printHelp() {
   console.log("  --extra-files <csv>   Comma-separated additional query files");
   console.log("  --top-n <number>      Default top-N window (default: 8)");
   console.log("  --max-queries <n>     Run only first n cases");
-  console.log("  --delay-ms <number>   Pause between queries in milliseconds (default: 250)");
+  console.log("  --delay-ms <number>   Pause between queries in milliseconds (default: 250, 0 when replaying)");
   console.log("  --cost-mode <mode>    Search cost mode for harness run (default: standard)");
   console.log("  --max-provider-calls <n> Override provider call cap for each query");
   console.log("  --normalize-query <bool> Enable deterministic query normalization for harness run");
   console.log("  --report-file <path>  Write JSON report file for benchmark/drift tracking");
+  console.log("  --replay-dir <path>   Serve provider responses from recorded fixtures (no provider calls)");
+  console.log("  --record-dir <path>   Record live provider responses into fixture files");
   console.log("  --validate-only       Validate query files only (no provider calls)");
   console.log("  --help                Show this help");
 }
@@ -378,6 +392,34 @@ function loadCases(filePaths) {
   return combined;
 }
 
+function buildProviderEnv(args) {
+  const replayDir = getArg(args, ["replay-dir", "replayDir"]);
+  const recordDir = getArg(args, ["record-dir", "recordDir"]);
+
+  if (replayDir && recordDir) {
+    throw new Error("Use either --replay-dir or --record-dir, not both.");
+  }
+  if (replayDir) {
+    return { ...process.env, SEARCH_REPLAY_MODE: "replay", SEARCH_REPLAY_DIR: resolvePath(replayDir) };
+  }
+  if (recordDir) {
+    return { ...process.env, SEARCH_REPLAY_MODE: "record", SEARCH_REPLAY_DIR: resolvePath(recordDir) };
+  }
+
+  return process.env;
+}
+
+function countRecordings(directory) {
+  try {
+    return readdirSync(directory).filter((name) => name.endsWith(".json")).length;
+  } catch (error) {
+    if (error?.code === "ENOENT") {
+      return 0;
+    }
+    throw error;
+  }
+}
+
 function domainSeen(domains, expectedDomain) {
   return domains.some((domain) => hostMatches(domain, expectedDomain));
 }
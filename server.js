@@ -7,19 +7,40 @@ import { fileURLToPath } from "url";
 import { createClient } from "redis";
 
 import {
+  DOMAIN_CATALOG,
   ProviderRequestError,
   getProviderSelectionStatus,
+  listConfiguredProviderNames,
+  listUnlistedProviderNames,
   resolveConfiguredProvider
 } from "./src/search/providers.js";
-import { getSearchCostConfig, runSearchPipeline } from "./src/search/ranker.js";
+import { createLinkVerifier } from "./src/search/link-verifier.js";
+import { createProviderHealthTracker } from "./src/search/provider-health.js";
+import {
+  createUsageLedger,
+  parseMonthlyCaps,
+  shouldForceEconomyForQuota
+} from "./src/search/usage-ledger.js";
+import {
+  DATASET_CATALOG_SIZE,
+  DATASET_CATALOG_VERSION,
+  RANKING_RULES_VERSION,
+  getSearchCostConfig,
+  runSearchPipeline
+} from "./src/search/ranker.js";
+import { detectLocations, selectExtractorPlace } from "./src/search/place-signals.js";
+import { describeQueryOperators, parseQueryOperators } from "./src/search/query-operators.js";
+import { detectTemporalIntent } from "./src/search/temporal-intent.js";
 import {
   QUERY_NORMALIZATION_VERSION,
   normalizeSearchQuery,
+  QUERY_NORMALIZATION_PACKS,
   resolveQueryNormalizationDefault,
   resolveQueryNormalizationPreference
 } from "./src/search/query-normalizer.js";
 import {
   ExtractorError,
+  applyQueryDefaults,
   attachExtractorEligibility,
   buildExtractionCacheKey,
   getEligibleExtractors,
@@ -52,6 +73,12 @@ const CACHE_REDIS_URL = (process.env.SEARCH_CACHE_REDIS_URL || process.env.REDIS
 const CACHE_NAMESPACE = String(process.env.SEARCH_CACHE_NAMESPACE || "sodh:search-cache:v1").trim();
 const CACHE_BACKEND_MODE = resolveCacheBackendMode(CACHE_BACKEND_REQUESTED, CACHE_REDIS_URL);
 const AUTO_ESCALATE_STANDARD = parseBoolean(process.env.SEARCH_AUTO_ESCALATE_STANDARD, true);
+const LEXICAL_RERANK_DEFAULT = parseBoolean(process.env.SEARCH_LEXICAL_RERANK, false);
+const LINK_VERIFY_DEFAULT = parseBoolean(process.env.SEARCH_LINK_VERIFY, false);
+const LOCAL_CATALOG_DEFAULT = parseBoolean(process.env.SEARCH_LOCAL_CATALOG, true);
+// Reported as the provider when no provider is configured and only the local
+// dataset catalog is searched.
+const CATALOG_ONLY_PROVIDER_NAME = "catalog";
 const ESCALATE_MIN_RESULTS = parsePositiveInt(process.env.SEARCH_ESCALATE_MIN_RESULTS, 8);
 const ESCALATE_MIN_PRIORITY_RESULTS = parsePositiveInt(
   process.env.SEARCH_ESCALATE_MIN_PRIORITY_RESULTS,
@@ -75,6 +102,28 @@ const EXTRACT_LINK_CATALOG_TTL_MS = parsePositiveInt(
   process.env.EXTRACT_LINK_CATALOG_TTL_MS,
   24 * 60 * 60 * 1000
 );
+const PROVIDER_FAILURE_THRESHOLD = parsePositiveInt(process.env.SEARCH_PROVIDER_FAILURE_THRESHOLD, 3);
+const PROVIDER_COOLDOWN_MS = parsePositiveInt(process.env.SEARCH_PROVIDER_COOLDOWN_MS, 15 * 60 * 1000);
+const providerHealthTracker = createProviderHealthTracker({
+  failureThreshold: PROVIDER_FAILURE_THRESHOLD,
+  cooldownMs: PROVIDER_COOLDOWN_MS
+});
+// Also validates SEARCH_PROVIDER_ORDER, so an unknown provider id fails startup.
+const UNLISTED_PROVIDER_NAMES = listUnlistedProviderNames(process.env);
+const PROVIDER_MONTHLY_CAPS = parseMonthlyCaps(process.env.SEARCH_PROVIDER_MONTHLY_CAPS);
+const PROVIDER_QUOTA_LOW_RATIO = parseRatio(process.env.SEARCH_QUOTA_LOW_RATIO, 0.2);
+const USAGE_NAMESPACE = String(process.env.SEARCH_USAGE_NAMESPACE || "sodh:provider-usage:v1").trim();
+const providerUsageLedger = createUsageLedger({
+  monthlyCaps: PROVIDER_MONTHLY_CAPS,
+  lowQuotaRatio: PROVIDER_QUOTA_LOW_RATIO,
+  getRedisClient,
+  namespace: USAGE_NAMESPACE
+});
+const linkVerifier = createLinkVerifier({
+  timeoutMs: process.env.SEARCH_LINK_VERIFY_TIMEOUT_MS,
+  concurrency: process.env.SEARCH_LINK_VERIFY_CONCURRENCY,
+  cacheTtlMs: process.env.SEARCH_LINK_VERIFY_CACHE_TTL_MS
+});
 const searchResponseCache = new Map();
 const searchRateLimitState = new Map();
 const extractResultCache = new Map();
@@ -143,7 +192,25 @@ const server = http.createServer(async (req, res) => {
         normalization: {
           defaultEnabled: QUERY_NORMALIZATION_DEFAULT_ENABLED,
           version: QUERY_NORMALIZATION_VERSION,
-          allowPerRequestToggle: false
+          packs: QUERY_NORMALIZATION_PACKS,
+          allowPerRequestToggle: true
+        },
+        ranking: {
+          rulesVersion: RANKING_RULES_VERSION,
+          domainCatalogVersion: DOMAIN_CATALOG.version,
+          domainTiers: DOMAIN_CATALOG.tiers,
+          lexicalRerankDefault: LEXICAL_RERANK_DEFAULT
+        },
+        datasetCatalog: {
+          version: DATASET_CATALOG_VERSION,
+          datasetCount: DATASET_CATALOG_SIZE,
+          defaultEnabled: LOCAL_CATALOG_DEFAULT
+        },
+        linkVerification: {
+          defaultEnabled: LINK_VERIFY_DEFAULT,
+          timeoutMs: linkVerifier.timeoutMs,
+          concurrency: linkVerifier.concurrency,
+          cacheTtlMs: linkVerifier.cacheTtlMs
         },
         extractors: {
           enabled: true,
@@ -152,6 +219,16 @@ const server = http.createServer(async (req, res) => {
           linkCatalogTtlMs: EXTRACT_LINK_CATALOG_TTL_MS,
           outputFormats: ["csv", "xlsx"]
         },
+        providerHealth: {
+          statusEndpoint: "/api/providers/status",
+          failureThreshold: PROVIDER_FAILURE_THRESHOLD,
+          cooldownMs: PROVIDER_COOLDOWN_MS
+        },
+        providerQuota: {
+          backend: CACHE_BACKEND_MODE,
+          lowQuotaRatio: providerUsageLedger.lowQuotaRatio,
+          providers: await providerUsageLedger.getSnapshot(listConfiguredProviderNames(process.env))
+        },
         cache: {
           enabled: CACHE_TTL_MS > 0,
           ttlMs: CACHE_TTL_MS,
@@ -164,10 +241,24 @@ const server = http.createServer(async (req, res) => {
       });
     }
 
+    if (requestUrl.pathname === "/api/providers/status" && req.method === "GET") {
+      return respondJson(res, 200, {
+        ...getProviderSelectionStatus(process.env),
+        failureThreshold: providerHealthTracker.failureThreshold,
+        cooldownMs: providerHealthTracker.cooldownMs,
+        providers: providerHealthTracker.getSnapshot(listConfiguredProviderNames(process.env)),
+        quota: await providerUsageLedger.getSnapshot(listConfiguredProviderNames(process.env))
+      });
+    }
+
     if (requestUrl.pathname === "/api/search" && req.method === "POST") {
       return handleSearch(req, res);
     }
 
+    if (requestUrl.pathname === "/api/search/stream" && req.method === "POST") {
+      return handleSearch(req, res, { stream: true });
+    }
+
     if (requestUrl.pathname === "/api/extractors/catalog" && req.method === "GET") {
       return respondJson(res, 200, { extractors: listExtractorCatalog() });
     }
@@ -177,10 +268,11 @@ const server = http.createServer(async (req, res) => {
       if (!url) {
         return respondJson(res, 400, { error: "Query parameter 'url' is required." });
       }
+      const extractorContext = buildExtractorContext(requestUrl.searchParams.get("query"));
 
       return respondJson(res, 200, {
         url,
-        extractors: getEligibleExtractors({ url })
+        extractors: getEligibleExtractors({ url }, extractorContext)
       });
     }
 
@@ -206,12 +298,22 @@ const server = http.createServer(async (req, res) => {
 
 server.listen(PORT, () => {
   console.log(`Server running at http://localhost:${PORT}`);
+  if (UNLISTED_PROVIDER_NAMES.length > 0) {
+    console.warn(
+      `Search providers with keys but missing from SEARCH_PROVIDER_ORDER are not used: ${UNLISTED_PROVIDER_NAMES.join(", ")}.`
+    );
+  }
 });
 
-async function handleSearch(req, res) {
-  const provider = resolveConfiguredProvider(process.env);
+async function handleSearch(req, res, { stream = false } = {}) {
+  const provider = resolveConfiguredProvider(process.env, {
+    healthTracker: providerHealthTracker,
+    usageLedger: providerUsageLedger
+  });
+  const quotaSnapshot = await providerUsageLedger.getSnapshot(listConfiguredProviderNames(process.env));
+  const quotaEconomyForced = shouldForceEconomyForQuota(quotaSnapshot);
   const requestedCostConfig = getSearchCostConfig({
-    mode: process.env.SEARCH_COST_MODE,
+    mode: quotaEconomyForced ? "economy" : process.env.SEARCH_COST_MODE,
     maxProviderCalls: process.env.SEARCH_MAX_PROVIDER_CALLS
   });
   const standardCostConfig = getSearchCostConfig({
@@ -219,14 +321,9 @@ async function handleSearch(req, res) {
     maxProviderCalls: process.env.SEARCH_STANDARD_MAX_PROVIDER_CALLS
   });
 
-  if (!provider) {
-    return respondJson(res, 400, {
-      error: "Search provider not configured.",
-      code: "NOT_CONFIGURED",
-      missing: ["BRAVE_API_KEY", "SERPAPI_KEY", "BING_API_KEY"],
-      setupSteps: buildSetupSteps()
-    });
-  }
+  // Not Configured mode still answers from the local dataset catalog.
+  const catalogOnly = !provider;
+  const providerName = provider ? provider.name : CATALOG_ONLY_PROVIDER_NAME;
 
   let payload;
   try {
@@ -245,19 +342,39 @@ async function handleSearch(req, res) {
   if (!query) {
     return respondJson(res, 400, { error: "Query is required." });
   }
+  const page = payload?.page === undefined ? 1 : Number(payload.page);
+  if (!Number.isInteger(page) || page < 1) {
+    return respondJson(res, 400, { error: "page must be a positive integer." });
+  }
   if (query.length > MAX_QUERY_CHARS) {
     return respondJson(res, 400, {
       error: `Query is too long. Maximum ${MAX_QUERY_CHARS} characters.`
     });
   }
+  const parsedOperators = parseQueryOperators(query);
+  if (!parsedOperators.query) {
+    return respondJson(res, 400, { error: "Query needs search terms besides operators such as site: or filetype:." });
+  }
+  const queryOperators = {
+    ...parsedOperators.operators,
+    applied: parsedOperators.applied,
+    invalid: parsedOperators.invalid
+  };
   const normalizeQueryEnabled = resolveQueryNormalizationPreference(
     payload?.normalizeQuery,
     QUERY_NORMALIZATION_DEFAULT_ENABLED
   );
-  const queryNormalization = normalizeSearchQuery(query, {
+  const queryNormalization = normalizeSearchQuery(parsedOperators.query, {
     enabled: normalizeQueryEnabled
   });
-  const searchQuery = queryNormalization.normalizedQuery || query;
+  const searchQuery = queryNormalization.normalizedQuery || parsedOperators.query;
+  const explainRequested = payload?.explain === true;
+  const rerankRequested = typeof payload?.rerank === "boolean" ? payload.rerank : LEXICAL_RERANK_DEFAULT;
+  const verifyLinksRequested =
+    typeof payload?.verifyLinks === "boolean" ? payload.verifyLinks : LINK_VERIFY_DEFAULT;
+  const localCatalogRequested =
+    catalogOnly || (typeof payload?.localCatalog === "boolean" ? payload.localCatalog : LOCAL_CATALOG_DEFAULT);
+  const extractorContext = buildExtractorContext(searchQuery);
 
   const rateLimit = applySearchRateLimit(req);
   if (!rateLimit.allowed) {
@@ -272,44 +389,85 @@ async function handleSearch(req, res) {
     );
   }
 
+  // Validation errors above keep plain JSON status codes; from here on a stream
+  // reports the outcome as a final "result" or "error" event.
+  const events = stream ? openSearchEventStream(res) : null;
+  const reply = (statusCode, body) =>
+    events ? events.finish(statusCode, body) : respondJson(res, statusCode, body);
+
   const cacheKey = buildSearchCacheKey({
     query: searchQuery,
-    providerName: provider.name,
+    providerName,
     costMode: requestedCostConfig.mode,
     normalizationEnabled: queryNormalization.enabled,
-    normalizationVersion: queryNormalization.version
+    normalizationVersion: queryNormalization.version,
+    rankingRulesVersion: RANKING_RULES_VERSION,
+    domainCatalogVersion: DOMAIN_CATALOG.version,
+    explain: explainRequested,
+    rerank: rerankRequested,
+    datasetCatalogVersion: localCatalogRequested ? DATASET_CATALOG_VERSION : "",
+    operators: describeQueryOperators(parsedOperators.operators),
+    subQueries: queryNormalization.subQueries
   });
   const cachedEntry = await getCachedSearch(cacheKey);
   if (cachedEntry) {
-    const cachedMetadata = cachedEntry.metadata || {};
-    const cachedNormalization = cachedMetadata.queryNormalization || summarizeNormalization(queryNormalization);
-    const preparedResults = attachExtractorEligibility(cachedEntry.results);
-    return respondJson(res, 200, {
+    // Different raw queries can share a cache entry once normalized, so the
+    // normalization summary always describes this request.
+    const { queryNormalization: storedNormalization, ...cachedMetadata } = cachedEntry.metadata || {};
+    // Entries cached before pagination hold a single page without a pageSize.
+    const paged = selectResultPage(cachedEntry.results, page, cachedMetadata.pageSize);
+    const verified = await verifyResultLinks(
+      attachExtractorEligibility(paged.results, extractorContext),
+      verifyLinksRequested,
+      events
+    );
+    return reply(200, {
       query,
       normalizedQuery: searchQuery,
       timestamp: new Date().toISOString(),
-      provider: provider.name,
-      results: preparedResults,
+      provider: providerName,
+      results: verified.results,
+      pagination: paged.pagination,
       metadata: {
         ...cachedMetadata,
         requestedCostMode: cachedMetadata.requestedCostMode || requestedCostConfig.mode,
         effectiveCostMode:
           cachedMetadata.effectiveCostMode || cachedMetadata.costMode || requestedCostConfig.mode,
-        queryNormalization: cachedNormalization,
+        queryNormalization: summarizeNormalization(queryNormalization),
+        subQueries: reportCachedSubQueries(queryNormalization.subQueries, cachedMetadata.subQueries),
+        queryOperators,
+        quotaEconomyForced,
         cacheHit: true,
         providerRequestCount: 0,
-        providerRequestLimit: cachedMetadata.providerRequestLimit || requestedCostConfig.providerRequestLimit
+        providerRequestLimit: cachedMetadata.providerRequestLimit || requestedCostConfig.providerRequestLimit,
+        linkVerification: verified.summary
       }
     });
   }
 
+  // Later pages only ever come from the cached result set. Re-running the
+  // search could rank a different set and repeat or skip results across pages.
+  if (page > 1) {
+    return reply(410, {
+      error: "These search results have expired. Run the search again to see more results.",
+      page
+    });
+  }
+
   try {
     const initialOutput = await runSearchPipeline({
       query: searchQuery,
       provider,
       options: {
         costMode: requestedCostConfig.mode,
-        maxProviderCalls: requestedCostConfig.providerRequestLimit
+        maxProviderCalls: requestedCostConfig.providerRequestLimit,
+        stageAConcurrency: process.env.SEARCH_STAGE_A_CONCURRENCY,
+        explain: explainRequested,
+        rerank: rerankRequested,
+        localCatalog: localCatalogRequested,
+        operators: parsedOperators.operators,
+        subQueries: queryNormalization.subQueries,
+        onStage: events ? buildStageListener(events, "initial", extractorContext) : undefined
       }
     });
 
@@ -321,10 +479,24 @@ async function handleSearch(req, res) {
     let escalationReason = "";
     let escalatedMetadata = null;
 
-    if (shouldEscalateSearch({ requestedCostMode: requestedCostConfig.mode, results: initialOutput.results })) {
+    if (
+      !quotaEconomyForced &&
+      !catalogOnly &&
+      shouldEscalateSearch({
+        requestedCostMode: requestedCostConfig.mode,
+        results: initialOutput.results,
+        operators: parsedOperators.operators
+      })
+    ) {
       escalationAttempted = true;
       escalationTriggered = true;
       escalationReason = "weak_results";
+      events?.send("stage", {
+        stage: "auto_escalation",
+        phase: "escalation",
+        costMode: "standard",
+        reason: escalationReason
+      });
 
       try {
         const standardOutput = await runSearchPipeline({
@@ -332,7 +504,14 @@ async function handleSearch(req, res) {
           provider,
           options: {
             costMode: "standard",
-            maxProviderCalls: standardCostConfig.providerRequestLimit
+            maxProviderCalls: standardCostConfig.providerRequestLimit,
+            stageAConcurrency: process.env.SEARCH_STAGE_A_CONCURRENCY,
+            explain: explainRequested,
+            rerank: rerankRequested,
+            localCatalog: localCatalogRequested,
+            operators: parsedOperators.operators,
+            subQueries: queryNormalization.subQueries,
+            onStage: events ? buildStageListener(events, "escalation", extractorContext) : undefined
           }
         });
 
@@ -360,7 +539,10 @@ async function handleSearch(req, res) {
       autoEscalationAttempted: escalationAttempted,
       autoEscalated: escalationTriggered && selectedMetadata.costMode === "standard",
       autoEscalationReason: escalationReason || null,
+      quotaEconomyForced,
+      catalogOnly,
       queryNormalization: summarizeNormalization(queryNormalization),
+      queryOperators,
       providerRequestCountInitial: initialMetadata.providerRequestCount,
       providerRequestLimitInitial: initialMetadata.providerRequestLimit
     };
@@ -374,23 +556,29 @@ async function handleSearch(req, res) {
         initialMetadata.providerRequestLimit + escalatedMetadata.providerRequestLimit;
     }
 
-    const preparedResults = attachExtractorEligibility(selectedOutput.results);
+    // The cache entry keeps every ranked candidate so later pages are served
+    // from it without provider calls.
+    const preparedResults = attachExtractorEligibility(selectedOutput.candidates, extractorContext);
+    const { queryNormalization: requestNormalization, ...cacheableMetadata } = mergedMetadata;
     await setCachedSearch(cacheKey, {
       results: preparedResults,
-      metadata: mergedMetadata
+      metadata: cacheableMetadata
     });
 
-    return respondJson(res, 200, {
+    const paged = selectResultPage(preparedResults, page, mergedMetadata.pageSize);
+    const verified = await verifyResultLinks(paged.results, verifyLinksRequested, events);
+    return reply(200, {
       query,
       normalizedQuery: searchQuery,
       timestamp: new Date().toISOString(),
-      provider: provider.name,
-      results: preparedResults,
-      metadata: mergedMetadata
+      provider: providerName,
+      results: verified.results,
+      pagination: paged.pagination,
+      metadata: { ...mergedMetadata, linkVerification: verified.summary }
     });
   } catch (error) {
     if (error instanceof ProviderRequestError) {
-      return respondJson(res, 502, {
+      return reply(502, {
         error: "Search provider request failed.",
         provider: error.provider,
         providerStatusCode: error.statusCode,
@@ -398,7 +586,7 @@ async function handleSearch(req, res) {
       });
     }
 
-    return respondJson(res, 500, { error: "Search pipeline failed." });
+    return reply(500, { error: "Search pipeline failed." });
   }
 }
 
@@ -420,7 +608,11 @@ async function handleExtractRun(req, res) {
   const sourceUrl = String(payload?.sourceUrl || payload?.url || "").trim();
   const outputFormat = normalizeOutputFormat(payload?.outputFormat);
   const query = String(payload?.query || "").trim();
-  const parameters = isPlainObject(payload?.parameters) ? payload.parameters : {};
+  const parameters = applyQueryDefaults(
+    sourceId,
+    isPlainObject(payload?.parameters) ? payload.parameters : {},
+    buildExtractorContext(query)
+  );
 
   if (!sourceId) {
     return respondJson(res, 400, { error: "sourceId is required." });
@@ -624,10 +816,22 @@ function buildSetupSteps() {
     "Create a .env file in the project root.",
     "Add at least one provider key: BRAVE_API_KEY, SERPAPI_KEY, or BING_API_KEY.",
     "Recommended: set both BRAVE_API_KEY and SERPAPI_KEY so SerpApi can act as automatic fallback if Brave fails.",
+    "Optional zero-cost fallback: SEARXNG_URL=<self-hosted SearXNG base URL> (JSON format enabled).",
+    "Optional failover order: SEARCH_PROVIDER_ORDER=serpapi,brave (comma-separated provider ids; only listed providers are used, unknown ids stop startup).",
+    "Optional provider circuit breaker: SEARCH_PROVIDER_FAILURE_THRESHOLD and SEARCH_PROVIDER_COOLDOWN_MS.",
+    "Optional monthly provider caps: SEARCH_PROVIDER_MONTHLY_CAPS=brave:2000,serpapi:100.",
+    "Optional offline runs: SEARCH_REPLAY_MODE=replay|record with SEARCH_REPLAY_DIR=<path>.",
     "Optional query normalization override: NORMALIZE_QUERY=true|false (default true).",
+    "Optional normalization overlays: NORMALIZE_QUERY_PACKS=/path/to/team-pack.json (comma-separated, applied after the bundled core and Spanish packs).",
     "Optional extract cache controls: EXTRACT_CACHE_TTL_MS and EXTRACT_LINK_CATALOG_TTL_MS.",
     "Optional API protection: APP_BASIC_AUTH_USER and APP_BASIC_AUTH_PASS.",
     "Optional cost controls: SEARCH_COST_MODE=economy|standard and SEARCH_MAX_PROVIDER_CALLS=<number>.",
+    "Optional ranking rules override: SEARCH_RANKING_RULES_PATH=/path/to/ranking-rules.json (validated at startup).",
+    "Optional priority domain catalog override: SEARCH_DOMAIN_CATALOG_PATH=/path/to/domain-catalog.json (validated at startup).",
+    "Optional latency control: SEARCH_STAGE_A_CONCURRENCY=<number> parallel seed and priority-domain calls (1 = sequential).",
+    "Optional lexical rerank of ranked results: SEARCH_LEXICAL_RERANK=true (default false).",
+    "Optional local dataset catalog merged into every search: SEARCH_LOCAL_CATALOG=false to turn it off (default true), SEARCH_DATASET_CATALOG_PATH=/path/to/dataset-catalog.json to replace it.",
+    "Optional dead-link and redirect checks on results: SEARCH_LINK_VERIFY=true (default false), with SEARCH_LINK_VERIFY_TIMEOUT_MS, SEARCH_LINK_VERIFY_CONCURRENCY and SEARCH_LINK_VERIFY_CACHE_TTL_MS.",
     "Optional auto-upgrade on weak economy results: SEARCH_AUTO_ESCALATE_STANDARD=true.",
     "Optional shared cache: SEARCH_CACHE_BACKEND=redis and REDIS_URL from Render Key Value.",
     "Restart the app so environment variables reload.",
@@ -645,6 +849,83 @@ function respondJson(res, statusCode, body, extraHeaders = {}) {
   res.end(payload);
 }
 
+function openSearchEventStream(res) {
+  res.writeHead(200, withSecurityHeaders({
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-store",
+    "X-Accel-Buffering": "no"
+  }));
+
+  const send = (event, data) => {
+    if (res.writableEnded || res.destroyed) {
+      return;
+    }
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  return {
+    send,
+    finish(statusCode, body) {
+      if (statusCode >= 400) {
+        send("error", { statusCode, ...body });
+      } else {
+        send("result", body);
+      }
+      if (!res.writableEnded) {
+        res.end();
+      }
+    }
+  };
+}
+
+// Extractor defaults taken from the query: the county it names and the year it asks for.
+function buildExtractorContext(query) {
+  const text = String(query || "");
+  return {
+    place: selectExtractorPlace(detectLocations(text).places),
+    year: detectTemporalIntent(text).explicitYear
+  };
+}
+
+function selectResultPage(results, page, pageSize) {
+  const items = Array.isArray(results) ? results : [];
+  const size = Math.max(1, Number(pageSize) || items.length);
+  const totalPages = Math.max(1, Math.ceil(items.length / size));
+  const hasMore = page < totalPages;
+  return {
+    results: items.slice((page - 1) * size, page * size),
+    pagination: {
+      page,
+      pageSize: size,
+      totalResults: items.length,
+      totalPages,
+      hasMore,
+      nextPage: hasMore ? page + 1 : null
+    }
+  };
+}
+
+// Runs after the search cache, so link states follow their own TTL instead of
+// being stored with the cached results.
+async function verifyResultLinks(results, enabled, events) {
+  if (!enabled) {
+    return { results, summary: null };
+  }
+
+  events?.send("stage", { stage: "link_verification", phase: "verification", linkCount: results.length });
+  return linkVerifier.verifyResults(results);
+}
+
+function buildStageListener(events, phase, extractorContext) {
+  return (stageEvent) => {
+    events.send("stage", {
+      ...stageEvent,
+      phase,
+      results: attachExtractorEligibility(stageEvent.results, extractorContext)
+    });
+  };
+}
+
 function respondText(res, statusCode, body, type) {
   res.writeHead(statusCode, withSecurityHeaders({
     "Content-Type": type,
@@ -876,17 +1157,26 @@ function summarizeNormalization(normalization) {
     version: normalization.version,
     enabled: normalization.enabled,
     changed: normalization.changed,
+    originalQuery: normalization.originalQuery,
+    language: normalization.language,
     appliedRuleCount: normalization.appliedRuleCount,
-    appliedRuleTypes: normalization.appliedRuleTypes
+    appliedRuleTypes: normalization.appliedRuleTypes,
+    appliedRules: normalization.appliedRules,
+    subQueries: normalization.subQueries
   };
 }
 
-function shouldEscalateSearch({ requestedCostMode, results }) {
+function shouldEscalateSearch({ requestedCostMode, results, operators }) {
   if (!AUTO_ESCALATE_STANDARD || requestedCostMode !== "economy") {
     return false;
   }
 
   const quality = computeSearchQualitySignals(results);
+  // `site:` searches are narrowed to the requested domains on purpose, which may
+  // not be in the catalog, so only the result count decides.
+  if (operators?.includeDomains.length > 0) {
+    return quality.totalResults < ESCALATE_MIN_RESULTS;
+  }
   return (
     quality.totalResults < ESCALATE_MIN_RESULTS ||
     quality.priorityResults < ESCALATE_MIN_PRIORITY_RESULTS ||
@@ -1015,6 +1305,14 @@ function parsePositiveInt(value, fallback) {
   return Math.floor(parsed);
 }
 
+function parseRatio(value, fallback) {
+  const parsed = Number(value);
+  if (String(value ?? "").trim() === "" || !Number.isFinite(parsed) || parsed < 0 || parsed > 1) {
+    return fallback;
+  }
+  return parsed;
+}
+
 function parseBoolean(value, fallback) {
   const normalized = String(value || "").trim().toLowerCase();
   if (!normalized) {
@@ -1049,12 +1347,43 @@ function buildSearchCacheKey({
   providerName,
   costMode,
   normalizationEnabled,
-  normalizationVersion
+  normalizationVersion,
+  rankingRulesVersion,
+  domainCatalogVersion,
+  explain = false,
+  rerank = false,
+  datasetCatalogVersion = "",
+  operators = "",
+  subQueries = []
 }) {
   const normalizedQuery = query.toLowerCase().replace(/\s+/g, " ").trim();
   const normalizeFlag = normalizationEnabled ? "norm-on" : "norm-off";
   const version = normalizationEnabled ? normalizationVersion : "none";
-  return `${providerName}|${costMode}|${normalizeFlag}|${version}|${normalizedQuery}`;
+  const explainFlag = explain ? "|explain" : "";
+  const rerankFlag = rerank ? "|rerank" : "";
+  const catalogFlag = datasetCatalogVersion ? `|catalog-${datasetCatalogVersion}` : "";
+  const operatorFlag = operators ? `|ops-${operators}` : "";
+  // Queries that normalize to the same text can still send different sub-queries.
+  const subQueryFlag = subQueries.length > 0
+    ? `|subs-${subQueries.map((subQuery) => `${subQuery.id}:${subQuery.query.toLowerCase().replace(/\s+/g, " ").trim()}`).join(";")}`
+    : "";
+  return `${providerName}|${costMode}|rules-${rankingRulesVersion}|domains-${domainCatalogVersion}|${normalizeFlag}|${version}${explainFlag}${rerankFlag}${catalogFlag}${operatorFlag}${subQueryFlag}|${normalizedQuery}`;
+}
+
+// The cache key pins the sub-query texts, so only what the cached run did with
+// each one (`searched`, `resultCount`) is taken from the stored metadata.
+function reportCachedSubQueries(requestSubQueries, cachedSubQueries) {
+  const cachedById = new Map((Array.isArray(cachedSubQueries) ? cachedSubQueries : []).map((entry) => [entry.id, entry]));
+  if (!Array.isArray(requestSubQueries) || requestSubQueries.length === 0) {
+    return [...cachedById.values()];
+  }
+
+  return requestSubQueries.map(({ id, query }) => ({
+    id,
+    query,
+    searched: Boolean(cachedById.get(id)?.searched),
+    resultCount: cachedById.get(id)?.resultCount || 0
+  }));
 }
 
 async function getCachedSearch(cacheKey) {
@@ -3,6 +3,33 @@ import { resolveStateAbbr } from "./state-fips.js";
 
 const CDC_PLACES_TERMS_URL = "https://dev.socrata.com/foundry/data.cdc.gov/fu4u-a9bh";
 const DEFAULT_DATASET_ID = "fu4u-a9bh";
+// Newest BRFSS data year in the default PLACES release.
+const LATEST_DATA_YEAR = 2022;
+
+// Short names of common PLACES measures; the `measure` parameter filters on them.
+const PLACES_MEASURE_KEYWORDS = Object.freeze([
+  "arthritis",
+  "asthma",
+  "binge drinking",
+  "cancer",
+  "cholesterol screening",
+  "chronic kidney disease",
+  "chronic obstructive pulmonary disease",
+  "coronary heart disease",
+  "current smoking",
+  "dental visit",
+  "depression",
+  "diabetes",
+  "frequent mental distress",
+  "frequent physical distress",
+  "high blood pressure",
+  "high cholesterol",
+  "lack of health insurance",
+  "obesity",
+  "physical inactivity",
+  "short sleep duration",
+  "stroke"
+]);
 
 export const cdcPlacesExtractor = Object.freeze({
   id: "cdc_places",
@@ -10,7 +37,9 @@ export const cdcPlacesExtractor = Object.freeze({
   method: "api",
   description: "County-level PLACES indicators via CDC Socrata API.",
   supportedDomains: Object.freeze(["cdc.gov", "data.cdc.gov"]),
+  measureKeywords: PLACES_MEASURE_KEYWORDS,
   supportedOutputFormats: Object.freeze(["csv", "xlsx"]),
+  latestYear: LATEST_DATA_YEAR,
   defaultParameters: Object.freeze({
     datasetId: DEFAULT_DATASET_ID,
     geographyType: "county"
@@ -43,6 +72,9 @@ export const cdcPlacesExtractor = Object.freeze({
       defaults: this.defaultParameters
     };
   },
+  yearParameters(year) {
+    return { year };
+  },
   async extract({ url, parameters, fetchImpl, env }) {
     const datasetId = String(parameters?.datasetId || DEFAULT_DATASET_ID).trim();
     const year = normalizeYear(parameters?.year);
@@ -62,7 +62,15 @@ export const cdcWonderExtractor = Object.freeze({
   method: "api_template",
   description: "Preset CDC WONDER templates with deterministic request bodies and limited controls.",
   supportedDomains: Object.freeze(["wonder.cdc.gov"]),
+  measureKeywords: Object.freeze([
+    ...new Set(
+      Object.values(WONDER_TEMPLATES).flatMap((template) =>
+        [template.label, template.module, ...template.measurePriorityKeys].map((value) => value.toLowerCase())
+      )
+    )
+  ]),
   supportedOutputFormats: Object.freeze(["csv", "xlsx"]),
+  latestYear: DEFAULT_YEAR,
   defaultParameters: Object.freeze({
     templateId: "mortality_county_v1",
     year: DEFAULT_YEAR
@@ -83,6 +91,9 @@ export const cdcWonderExtractor = Object.freeze({
       notes: "Use preset templates only. State/county filters are not exposed in this MVP."
     };
   },
+  yearParameters(year) {
+    return { year };
+  },
   async extract({ url, parameters, fetchImpl }) {
     const sourceHost = resolveHost(url);
     if (!hostMatches(sourceHost, "wonder.cdc.gov")) {
@@ -50,7 +50,9 @@ export const censusAcsExtractor = Object.freeze({
   method: "api",
   description: "County/state extracts via U.S. Census Data API (ACS).",
   supportedDomains: Object.freeze(["data.census.gov"]),
+  measureKeywords: Object.freeze([...new Set(Object.values(CENSUS_MEASURE_MAP).flatMap((measure) => measure.keywords))]),
   supportedOutputFormats: Object.freeze(["csv", "xlsx"]),
+  latestYear: DEFAULT_VINTAGE,
   defaultParameters: Object.freeze({
     dataset: DEFAULT_DATASET,
     vintage: DEFAULT_VINTAGE,
@@ -75,6 +77,15 @@ export const censusAcsExtractor = Object.freeze({
       defaults: this.defaultParameters
     };
   },
+  placeParameters(place) {
+    return {
+      state: place.stateFips,
+      countyFips: place.countyFips.slice(2)
+    };
+  },
+  yearParameters(year) {
+    return { vintage: year };
+  },
   async extract({ url, parameters, query, env, fetchImpl }) {
     const dataset = String(parameters?.dataset || DEFAULT_DATASET).trim();
     const vintage = toSafeYear(parameters?.vintage, DEFAULT_VINTAGE);
@@ -32,26 +32,80 @@ export function listExtractorCatalog() {
   }));
 }
 
-export function getEligibleExtractors(result) {
+// Measure words every extractor understands, for the query normalizer's
+// spelling vocabulary.
+export function listExtractorMeasureKeywords() {
+  return [...new Set(EXTRACTORS.flatMap((extractor) => extractor.measureKeywords || []))];
+}
+
+// Defaults read from the search query: the place from src/search/place-signals.js
+// and the year from src/search/temporal-intent.js. An extractor opts in with a
+// placeParameters or yearParameters hook, and a latestYear caps the year it is
+// given.
+const QUERY_DEFAULT_HOOKS = Object.freeze([
+  Object.freeze({ contextKey: "place", hook: "placeParameters" }),
+  Object.freeze({ contextKey: "year", hook: "yearParameters", prepare: toSupportedYear })
+]);
+
+export function getEligibleExtractors(result, context = {}) {
   const eligible = [];
   for (const extractor of EXTRACTORS) {
     const match = extractor.eligibility(result);
     if (!match) {
       continue;
     }
+    const queryDefaults = resolveQueryDefaults(extractor, context);
+    if (Object.keys(queryDefaults).length > 0) {
+      match.defaults = { ...match.defaults, ...queryDefaults };
+    }
     eligible.push(match);
   }
   return eligible;
 }
 
-export function attachExtractorEligibility(results) {
+export function attachExtractorEligibility(results, context = {}) {
   const safeResults = Array.isArray(results) ? results : [];
   return safeResults.map((result) => ({
     ...result,
-    extractors: getEligibleExtractors(result)
+    extractors: getEligibleExtractors(result, context)
   }));
 }
 
+export function applyQueryDefaults(sourceId, parameters, context = {}) {
+  const extractor = EXTRACTORS.find((item) => item.id === sourceId);
+  if (!extractor) {
+    return parameters;
+  }
+
+  const queryDefaults = resolveQueryDefaults(extractor, context, parameters);
+  return Object.keys(queryDefaults).length > 0 ? { ...parameters, ...queryDefaults } : parameters;
+}
+
+// Each hook's parameters are filled as a group and only when the caller set
+// none of them, so an explicit state is never paired with a county from a
+// different state.
+function resolveQueryDefaults(extractor, context, parameters = {}) {
+  const defaults = {};
+  for (const { contextKey, hook, prepare } of QUERY_DEFAULT_HOOKS) {
+    const value = context?.[contextKey];
+    if (!value || typeof extractor[hook] !== "function") {
+      continue;
+    }
+
+    const hookParameters = extractor[hook](prepare ? prepare(extractor, value) : value);
+    const callerChose = Object.keys(hookParameters).some((key) => String(parameters?.[key] ?? "").trim());
+    if (!callerChose) {
+      Object.assign(defaults, hookParameters);
+    }
+  }
+  return defaults;
+}
+
+// A year newer than the extractor has published falls back to its latest one.
+function toSupportedYear(extractor, year) {
+  return Number.isInteger(extractor.latestYear) ? Math.min(year, extractor.latestYear) : year;
+}
+
 export function buildExtractionCacheKey({ sourceId, url, outputFormat, parameters }) {
   const normalizedUrl = normalizeText(url).replace(/\s+/g, " ");
   const normalizedFormat = normalizeOutputFormat(outputFormat);
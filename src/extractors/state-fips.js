@@ -108,6 +108,12 @@ const STATE_NAME_TO_ABBR = Object.freeze({
   "puerto rico": "PR"
 });
 
+export const US_STATES = Object.freeze(
+  Object.entries(STATE_NAME_TO_ABBR).map(([name, abbr]) =>
+    Object.freeze({ abbr, name, fips: STATE_FIPS_BY_ABBR[abbr] })
+  )
+);
+
 export function resolveStateFips(candidate) {
   const normalized = String(candidate || "").trim();
   if (!normalized) {
@@ -11,6 +11,9 @@ import {
 const DEFAULT_TDH_INDEX_URL =
   "https://www.tn.gov/health/health-program-areas/statistics/health-data/death-statistics.html";
 
+// TDH posts a year's death statistics only after the year ends.
+const LATEST_REPORT_YEAR = new Date().getUTCFullYear() - 1;
+
 let cachedExcelJsModule = null;
 
 export const tnDeathStatsExtractor = Object.freeze({
@@ -19,7 +22,9 @@ export const tnDeathStatsExtractor = Object.freeze({
   method: "download_index",
   description: "Extracts TDH link catalogs and optionally converts downloaded XLSX/CSV files into tidy rows.",
   supportedDomains: Object.freeze(["tn.gov"]),
+  measureKeywords: Object.freeze(["death statistics", "deaths", "mortality", "vital statistics"]),
   supportedOutputFormats: Object.freeze(["csv", "xlsx"]),
+  latestYear: LATEST_REPORT_YEAR,
   defaultParameters: Object.freeze({
     mode: "catalog",
     includePdf: true,
@@ -45,6 +50,9 @@ export const tnDeathStatsExtractor = Object.freeze({
       defaults: this.defaultParameters
     };
   },
+  yearParameters(year) {
+    return { year };
+  },
   async extract({ url, parameters, fetchImpl, caches }) {
     const indexUrl = String(parameters?.indexUrl || url || DEFAULT_TDH_INDEX_URL).trim() || DEFAULT_TDH_INDEX_URL;
     const includePdf = parseBoolean(parameters?.includePdf, true);
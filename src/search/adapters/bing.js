@@ -0,0 +1,31 @@
+export const bingAdapter = Object.freeze({
+  id: "bing",
+  label: "Bing Web Search API",
+  envVar: "BING_API_KEY",
+  maxCount: 50,
+  buildRequest({ envValue, query, count }) {
+    const url = new URL("https://api.bing.microsoft.com/v7.0/search");
+    url.searchParams.set("q", query);
+    url.searchParams.set("count", String(count));
+    url.searchParams.set("responseFilter", "Webpages");
+
+    return {
+      url,
+      options: {
+        headers: {
+          "Ocp-Apim-Subscription-Key": envValue
+        }
+      }
+    };
+  },
+  extractRows(payload) {
+    return payload?.webPages?.value || [];
+  },
+  mapRow(row) {
+    return {
+      title: row?.name || row?.title || "",
+      url: row?.url || "",
+      snippet: row?.snippet || row?.description || ""
+    };
+  }
+});
@@ -0,0 +1,31 @@
+export const braveAdapter = Object.freeze({
+  id: "brave",
+  label: "Brave Search API",
+  envVar: "BRAVE_API_KEY",
+  maxCount: 50,
+  buildRequest({ envValue, query, count }) {
+    const url = new URL("https://api.search.brave.com/res/v1/web/search");
+    url.searchParams.set("q", query);
+    url.searchParams.set("count", String(count));
+
+    return {
+      url,
+      options: {
+        headers: {
+          Accept: "application/json",
+          "X-Subscription-Token": envValue
+        }
+      }
+    };
+  },
+  extractRows(payload) {
+    return payload?.web?.results || payload?.results || [];
+  },
+  mapRow(row) {
+    return {
+      title: row?.title || row?.meta_title || "",
+      url: row?.url || row?.link || "",
+      snippet: row?.description || row?.snippet || ""
+    };
+  }
+});
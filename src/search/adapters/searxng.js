@@ -0,0 +1,37 @@
+export const searxngAdapter = Object.freeze({
+  id: "searxng",
+  label: "SearXNG (self-hosted)",
+  envVar: "SEARXNG_URL",
+  maxCount: 50,
+  buildRequest({ envValue, query }) {
+    // Keep any sub-path the instance is mounted under (e.g. https://host/searx/).
+    const baseUrl = envValue.endsWith("/") ? envValue : `${envValue}/`;
+    const url = new URL("search", baseUrl);
+    if (url.protocol !== "http:" && url.protocol !== "https:") {
+      throw new Error(`SEARXNG_URL must be an http(s) URL, got "${envValue}".`);
+    }
+
+    url.searchParams.set("q", query);
+    url.searchParams.set("format", "json");
+    url.searchParams.set("categories", "general");
+
+    return {
+      url,
+      options: {
+        headers: {
+          Accept: "application/json"
+        }
+      }
+    };
+  },
+  extractRows(payload) {
+    return payload?.results || [];
+  },
+  mapRow(row) {
+    return {
+      title: row?.title || "",
+      url: row?.url || "",
+      snippet: row?.content || row?.snippet || ""
+    };
+  }
+});
@@ -0,0 +1,25 @@
+export const serpApiAdapter = Object.freeze({
+  id: "serpapi",
+  label: "SerpApi (Google)",
+  envVar: "SERPAPI_KEY",
+  maxCount: 20,
+  buildRequest({ envValue, query, count }) {
+    const url = new URL("https://serpapi.com/search.json");
+    url.searchParams.set("engine", "google");
+    url.searchParams.set("q", query);
+    url.searchParams.set("num", String(count));
+    url.searchParams.set("api_key", envValue);
+
+    return { url, options: {} };
+  },
+  extractRows(payload) {
+    return payload?.organic_results || [];
+  },
+  mapRow(row) {
+    return {
+      title: row?.title || "",
+      url: row?.link || row?.url || "",
+      snippet: row?.snippet || row?.snippet_highlighted_words?.join(" ") || ""
+    };
+  }
+});
@@ -0,0 +1,146 @@
+import { fileURLToPath } from "url";
+
+import { deepFreeze, isPlainObject, readJsonConfigFile, reportUnknownKeys } from "./json-config.js";
+import { buildRerankQuery, scoreLexicalSimilarity, tokenizeForRerank } from "./lexical-rerank.js";
+
+export const DEFAULT_DATASET_CATALOG_PATH = fileURLToPath(new URL("./dataset-catalog.json", import.meta.url));
+export const GEOGRAPHY_LEVELS = Object.freeze(["nation", "state", "county", "place", "tract", "zcta"]);
+
+const DATASET_ENTRY_KEYS = ["id", "title", "url", "description", "keywords", "geographyLevels"];
+const DATASET_ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const DEFAULT_SEARCH_LIMIT = 5;
+// An entry must contain most of the query's own terms (expansions aside) and
+// score within reach of the best entry.
+const MIN_TERM_COVERAGE = 0.6;
+const MIN_RELATIVE_SCORE = 0.35;
+
+export class DatasetCatalogError extends Error {
+  constructor(message, errors = []) {
+    super(errors.length > 0 ? `${message}\n- ${errors.join("\n- ")}` : message);
+    this.name = "DatasetCatalogError";
+    this.errors = errors;
+  }
+}
+
+export function loadDatasetCatalog(filePath = DEFAULT_DATASET_CATALOG_PATH) {
+  const resolvedPath = String(filePath || "").trim() || DEFAULT_DATASET_CATALOG_PATH;
+
+  const raw = readJsonConfigFile(resolvedPath, DatasetCatalogError, "dataset catalog");
+  const errors = validateDatasetCatalog(raw);
+  if (errors.length > 0) {
+    throw new DatasetCatalogError(`Invalid dataset catalog in ${resolvedPath}:`, errors);
+  }
+
+  return deepFreeze(raw);
+}
+
+export function validateDatasetCatalog(catalog) {
+  const errors = [];
+  if (!isPlainObject(catalog)) {
+    return ["dataset catalog must contain a JSON object"];
+  }
+
+  reportUnknownKeys(catalog, ["version", "datasets"], "", errors);
+
+  if (typeof catalog.version !== "string" || !catalog.version.trim()) {
+    errors.push("version must be a non-empty string");
+  }
+
+  if (!Array.isArray(catalog.datasets) || catalog.datasets.length === 0) {
+    errors.push("datasets must be a non-empty array");
+    return errors;
+  }
+
+  const seenIds = new Set();
+  const seenUrls = new Set();
+  catalog.datasets.forEach((entry, index) => {
+    const path = `datasets[${index}]`;
+    if (!isPlainObject(entry)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+
+    reportUnknownKeys(entry, DATASET_ENTRY_KEYS, `${path}.`, errors);
+
+    if (typeof entry.id !== "string" || !DATASET_ID_PATTERN.test(entry.id)) {
+      errors.push(`${path}.id must be lowercase words joined by hyphens`);
+    } else if (seenIds.has(entry.id)) {
+      errors.push(`${path}.id "${entry.id}" is listed more than once`);
+    } else {
+      seenIds.add(entry.id);
+    }
+
+    if (!isHttpsUrl(entry.url)) {
+      errors.push(`${path}.url must be an absolute https URL`);
+    } else if (seenUrls.has(entry.url)) {
+      errors.push(`${path}.url "${entry.url}" is listed more than once`);
+    } else {
+      seenUrls.add(entry.url);
+    }
+
+    for (const key of ["title", "description"]) {
+      if (typeof entry[key] !== "string" || !entry[key].trim()) {
+        errors.push(`${path}.${key} must be a non-empty string`);
+      }
+    }
+
+    if (!Array.isArray(entry.keywords) || entry.keywords.length === 0) {
+      errors.push(`${path}.keywords must be a non-empty array of strings`);
+    } else {
+      entry.keywords.forEach((keyword, keywordIndex) => {
+        if (typeof keyword !== "string" || !keyword.trim()) {
+          errors.push(`${path}.keywords[${keywordIndex}] must be a non-empty string`);
+        } else if (keyword !== keyword.toLowerCase()) {
+          errors.push(`${path}.keywords[${keywordIndex}] must be lowercase ("${keyword}")`);
+        }
+      });
+    }
+
+    const validLevels = Array.isArray(entry.geographyLevels) &&
+      entry.geographyLevels.length > 0 &&
+      entry.geographyLevels.every((level) => GEOGRAPHY_LEVELS.includes(level));
+    if (!validLevels) {
+      errors.push(`${path}.geographyLevels must be a non-empty array of: ${GEOGRAPHY_LEVELS.join(", ")}`);
+    }
+  });
+
+  return errors;
+}
+
+// BM25 over the catalog (titles, keywords and descriptions), using the same
+// query expansion as the lexical rerank. Entries that do not cover the
+// requested geography level are skipped. Best match first; ties keep file order.
+export function searchDatasetCatalog(catalog, { queryText, queryTerms, geographyLevel = "", limit = DEFAULT_SEARCH_LIMIT } = {}) {
+  const datasets = (catalog?.datasets || []).filter(
+    (entry) => !geographyLevel || entry.geographyLevels.includes(geographyLevel)
+  );
+  const ownTerms = [...new Set((queryTerms || []).flatMap(tokenizeForRerank))];
+  if (datasets.length === 0 || ownTerms.length === 0) {
+    return [];
+  }
+
+  const documents = datasets.map((entry) => ({
+    title: entry.title,
+    snippet: `${entry.keywords.join(" ")} ${entry.description}`
+  }));
+  const similarities = scoreLexicalSimilarity(buildRerankQuery(String(queryText || ""), queryTerms), documents);
+
+  return datasets
+    .map((entry, index) => {
+      const tokens = new Set(tokenizeForRerank(`${documents[index].title} ${documents[index].snippet}`));
+      const coverage = ownTerms.filter((term) => tokens.has(term)).length / ownTerms.length;
+      return { entry, similarity: similarities[index], coverage, index };
+    })
+    .filter((hit) => hit.similarity >= MIN_RELATIVE_SCORE && hit.coverage >= MIN_TERM_COVERAGE)
+    .sort((a, b) => b.similarity - a.similarity || a.index - b.index)
+    .slice(0, limit)
+    .map(({ entry, similarity }) => ({ entry, similarity }));
+}
+
+function isHttpsUrl(candidate) {
+  try {
+    return new URL(candidate).protocol === "https:";
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,122 @@
+import { fileURLToPath } from "url";
+
+import { deepFreeze, isPlainObject, readJsonConfigFile, reportUnknownKeys } from "./json-config.js";
+
+export const DEFAULT_DOMAIN_CATALOG_PATH = fileURLToPath(new URL("./domain-catalog.json", import.meta.url));
+
+const DOMAIN_ENTRY_KEYS = ["domain", "tier", "bonus", "states"];
+const HOSTNAME_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+const STATE_ABBR_PATTERN = /^[A-Z]{2}$/;
+
+export class DomainCatalogError extends Error {
+  constructor(message, errors = []) {
+    super(errors.length > 0 ? `${message}\n- ${errors.join("\n- ")}` : message);
+    this.name = "DomainCatalogError";
+    this.errors = errors;
+  }
+}
+
+// Entries keep file order (Stage A batches sort by bonus, stable on that order)
+// and carry their resolved bonus so callers never look up tiers themselves.
+export function loadDomainCatalog(filePath = DEFAULT_DOMAIN_CATALOG_PATH) {
+  const resolvedPath = String(filePath || "").trim() || DEFAULT_DOMAIN_CATALOG_PATH;
+
+  const raw = readJsonConfigFile(resolvedPath, DomainCatalogError, "domain catalog");
+  const errors = validateDomainCatalog(raw);
+  if (errors.length > 0) {
+    throw new DomainCatalogError(`Invalid domain catalog in ${resolvedPath}:`, errors);
+  }
+
+  return deepFreeze({
+    version: raw.version,
+    tiers: raw.tiers,
+    domains: raw.domains.map((entry) => ({
+      domain: entry.domain,
+      tier: entry.tier,
+      tierLabel: raw.tiers[entry.tier].label,
+      bonus: entry.bonus ?? raw.tiers[entry.tier].bonus,
+      states: entry.states || null
+    }))
+  });
+}
+
+export function validateDomainCatalog(catalog) {
+  const errors = [];
+  if (!isPlainObject(catalog)) {
+    return ["domain catalog must contain a JSON object"];
+  }
+
+  reportUnknownKeys(catalog, ["version", "tiers", "domains"], "", errors);
+
+  if (typeof catalog.version !== "string" || !catalog.version.trim()) {
+    errors.push("version must be a non-empty string");
+  }
+
+  const tierIds = isPlainObject(catalog.tiers) ? Object.keys(catalog.tiers) : [];
+  if (tierIds.length === 0) {
+    errors.push("tiers must be an object with at least one tier");
+  }
+
+  for (const tierId of tierIds) {
+    const tier = catalog.tiers[tierId];
+    if (!isPlainObject(tier)) {
+      errors.push(`tiers.${tierId} must be an object`);
+      continue;
+    }
+
+    reportUnknownKeys(tier, ["label", "bonus"], `tiers.${tierId}.`, errors);
+    if (typeof tier.label !== "string" || !tier.label.trim()) {
+      errors.push(`tiers.${tierId}.label must be a non-empty string`);
+    }
+    if (!isPositiveNumber(tier.bonus)) {
+      errors.push(`tiers.${tierId}.bonus must be a positive number`);
+    }
+  }
+
+  if (!Array.isArray(catalog.domains) || catalog.domains.length === 0) {
+    errors.push("domains must be a non-empty array");
+    return errors;
+  }
+
+  const seenDomains = new Set();
+  catalog.domains.forEach((entry, index) => {
+    const path = `domains[${index}]`;
+    if (!isPlainObject(entry)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+
+    reportUnknownKeys(entry, DOMAIN_ENTRY_KEYS, `${path}.`, errors);
+
+    if (typeof entry.domain !== "string" || !HOSTNAME_PATTERN.test(entry.domain)) {
+      errors.push(`${path}.domain must be a lowercase hostname without scheme or path`);
+    } else if (seenDomains.has(entry.domain)) {
+      errors.push(`${path}.domain "${entry.domain}" is listed more than once`);
+    } else {
+      seenDomains.add(entry.domain);
+    }
+
+    if (!tierIds.includes(entry.tier)) {
+      errors.push(`${path}.tier must be one of: ${tierIds.join(", ")}`);
+    }
+
+    if (entry.bonus !== undefined && !isPositiveNumber(entry.bonus)) {
+      errors.push(`${path}.bonus must be a positive number`);
+    }
+
+    if (entry.states !== undefined) {
+      const validStates = Array.isArray(entry.states) &&
+        entry.states.length > 0 &&
+        entry.states.every((state) => typeof state === "string" && STATE_ABBR_PATTERN.test(state));
+      if (!validStates) {
+        errors.push(`${path}.states must be a non-empty array of two-letter uppercase state codes`);
+      }
+    }
+  });
+
+  return errors;
+}
+
+function isPositiveNumber(value) {
+  return typeof value === "number" && Number.isFinite(value) && value > 0;
+}
@@ -0,0 +1,32 @@
+import { readFileSync } from "fs";
+
+// Shared helpers for the JSON files that tune search (ranking rules, domain catalog).
+export function readJsonConfigFile(filePath, ErrorClass, label) {
+  try {
+    return JSON.parse(readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new ErrorClass(`Could not read ${label} from ${filePath}: ${error.message}`);
+  }
+}
+
+export function reportUnknownKeys(object, allowedKeys, prefix, errors) {
+  for (const key of Object.keys(object)) {
+    if (!allowedKeys.includes(key)) {
+      errors.push(`${prefix}${key} is not a recognized field`);
+    }
+  }
+}
+
+export function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+export function deepFreeze(value) {
+  if (value && typeof value === "object") {
+    for (const child of Object.values(value)) {
+      deepFreeze(child);
+    }
+    Object.freeze(value);
+  }
+  return value;
+}
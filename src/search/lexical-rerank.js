@@ -0,0 +1,128 @@
+import { NORMALIZATION_RULES } from "./normalization/packs.js";
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const TITLE_REPEAT = 2;
+const EXPANSION_WEIGHT = 0.5;
+
+const STOPWORDS = new Set([
+  "a",
+  "an",
+  "and",
+  "are",
+  "as",
+  "at",
+  "be",
+  "by",
+  "for",
+  "from",
+  "in",
+  "is",
+  "of",
+  "on",
+  "or",
+  "the",
+  "to",
+  "with"
+]);
+
+// Query terms weigh 1. Terms borrowed from the SoDH vocabulary (the indicator
+// aliases and abbreviations query normalization uses) weigh less, so
+// "uninsured" still favors a title that says "uninsured" over one that only
+// says "health insurance coverage".
+export function buildRerankQuery(queryText, queryTerms) {
+  const weights = new Map();
+  for (const term of queryTerms.flatMap(tokenizeForRerank)) {
+    weights.set(term, 1);
+  }
+
+  const expansions = [];
+  for (const rule of NORMALIZATION_RULES.indicatorAliases) {
+    if (rule.triggerPhrases.some((phrase) => containsPhrase(queryText, phrase))) {
+      expansions.push(...rule.triggerPhrases, ...rule.expansionPhrases);
+    }
+  }
+  for (const [abbreviation, { phrases }] of Object.entries(NORMALIZATION_RULES.abbreviations)) {
+    if (weights.has(abbreviation)) {
+      expansions.push(...phrases);
+    }
+  }
+
+  for (const term of expansions.flatMap(tokenizeForRerank)) {
+    if (!weights.has(term)) {
+      weights.set(term, EXPANSION_WEIGHT);
+    }
+  }
+
+  return weights;
+}
+
+// BM25 over the candidate results themselves, scaled so the best match is 1.
+// Titles count twice. Same query and results always give the same scores.
+export function scoreLexicalSimilarity(queryWeights, documents) {
+  const tokenized = documents.map(({ title, snippet }) => {
+    const titleTokens = tokenizeForRerank(title);
+    const tokens = [...Array(TITLE_REPEAT).fill(titleTokens).flat(), ...tokenizeForRerank(snippet)];
+    const frequencies = new Map();
+    for (const token of tokens) {
+      frequencies.set(token, (frequencies.get(token) || 0) + 1);
+    }
+    return { length: tokens.length, frequencies };
+  });
+
+  const documentCount = tokenized.length;
+  const averageLength = tokenized.reduce((total, doc) => total + doc.length, 0) / Math.max(documentCount, 1) || 1;
+  const documentFrequency = new Map();
+  for (const term of queryWeights.keys()) {
+    documentFrequency.set(term, tokenized.filter((doc) => doc.frequencies.has(term)).length);
+  }
+
+  const rawScores = tokenized.map((doc) => {
+    let score = 0;
+    for (const [term, weight] of queryWeights) {
+      const frequency = doc.frequencies.get(term) || 0;
+      if (frequency === 0) {
+        continue;
+      }
+      const df = documentFrequency.get(term);
+      const idf = Math.log(1 + (documentCount - df + 0.5) / (df + 0.5));
+      const lengthNorm = BM25_K1 * (1 - BM25_B + (BM25_B * doc.length) / averageLength);
+      score += weight * idf * ((frequency * (BM25_K1 + 1)) / (frequency + lengthNorm));
+    }
+    return score;
+  });
+
+  const best = Math.max(0, ...rawScores);
+  return rawScores.map((score) => (best > 0 ? score / best : 0));
+}
+
+// Reorders already-scored results (sorted best first) by score plus up to
+// `bonus` points of lexical similarity. Priority and non-priority results are
+// reordered only among themselves and keep the slots they held, so the rerank
+// can never push a priority domain below a non-priority one.
+export function rerankResults(sortedItems, { queryText, queryTerms, bonus }) {
+  const similarities = scoreLexicalSimilarity(buildRerankQuery(queryText, queryTerms), sortedItems);
+  const reranked = sortedItems.map((item, index) => ({
+    ...item,
+    rerankSimilarity: similarities[index],
+    rerankPoints: Math.round(similarities[index] * bonus)
+  }));
+
+  const byTotal = (a, b) => b.score + b.rerankPoints - (a.score + a.rerankPoints);
+  const queues = {
+    priority: reranked.filter((item) => item.isPriority).sort(byTotal),
+    other: reranked.filter((item) => !item.isPriority).sort(byTotal)
+  };
+
+  return reranked.map((item) => (item.isPriority ? queues.priority : queues.other).shift());
+}
+
+export function tokenizeForRerank(value) {
+  return (String(value || "").toLowerCase().match(/[a-z0-9]+/g) || []).filter(
+    (token) => token.length > 1 && !STOPWORDS.has(token)
+  );
+}
+
+function containsPhrase(haystack, phrase) {
+  return new RegExp(`(^|[^a-z0-9])${phrase.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}([^a-z0-9]|$)`).test(haystack);
+}
@@ -0,0 +1,257 @@
+import { lookup as dnsLookup } from "dns/promises";
+import { BlockList, isIP } from "net";
+
+const DEFAULT_TIMEOUT_MS = 3000;
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_MAX_REDIRECTS = 5;
+const DEFAULT_CACHE_TTL_MS = 6 * 60 * 60 * 1000;
+const DEFAULT_CACHE_MAX_ENTRIES = 2000;
+
+const REDIRECT_STATUS_CODES = new Set([301, 302, 303, 307, 308]);
+const DEAD_STATUS_CODES = new Set([404, 410]);
+// Servers that refuse HEAD (or answer it with a blanket 403) get a GET instead.
+const HEAD_REJECTED_STATUS_CODES = new Set([403, 405, 501]);
+// Result URLs come from the open web, so the checker must not be steered at the
+// server's own network: loopback, private, link-local and other non-public ranges.
+const NON_PUBLIC_ADDRESSES = createNonPublicAddressList();
+
+// Checks result URLs with HEAD (GET when HEAD is refused), following redirects
+// by hand so the final URL and hop count are known. Dead links (404/410) are
+// moved below every live result; anything else that could not be confirmed is
+// reported as "unverified" and left in place. Outcomes are cached per URL with
+// their own TTL, apart from the search response cache; timeouts, network
+// failures, 429s and 5xx responses are not cached and are retried next search.
+// Every URL in a redirect chain must resolve to public addresses only.
+// `allowPrivateHosts` turns that guard off and `lookup` replaces DNS, both for tests.
+export function createLinkVerifier({
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  concurrency = DEFAULT_CONCURRENCY,
+  maxRedirects = DEFAULT_MAX_REDIRECTS,
+  cacheTtlMs = DEFAULT_CACHE_TTL_MS,
+  cacheMaxEntries = DEFAULT_CACHE_MAX_ENTRIES,
+  allowPrivateHosts = false,
+  lookup = dnsLookup,
+  now = Date.now
+} = {}) {
+  const timeout = normalizePositiveInt(timeoutMs, DEFAULT_TIMEOUT_MS);
+  const workerCount = normalizePositiveInt(concurrency, DEFAULT_CONCURRENCY);
+  const redirectLimit = normalizePositiveInt(maxRedirects, DEFAULT_MAX_REDIRECTS);
+  const ttl = normalizePositiveInt(cacheTtlMs, DEFAULT_CACHE_TTL_MS);
+  const maxEntries = normalizePositiveInt(cacheMaxEntries, DEFAULT_CACHE_MAX_ENTRIES);
+  const cache = new Map();
+  const pending = new Map();
+
+  function getCached(url) {
+    const entry = cache.get(url);
+    if (!entry) {
+      return null;
+    }
+    if (now() - entry.savedAt > ttl) {
+      cache.delete(url);
+      return null;
+    }
+    cache.delete(url);
+    cache.set(url, entry);
+    return entry.value;
+  }
+
+  function setCached(url, value) {
+    cache.delete(url);
+    cache.set(url, { value, savedAt: now() });
+    while (cache.size > maxEntries) {
+      cache.delete(cache.keys().next().value);
+    }
+  }
+
+  async function verifyUrl(url) {
+    const cached = getCached(url);
+    if (cached) {
+      return { ...cached, cacheHit: true };
+    }
+    if (pending.has(url)) {
+      return pending.get(url);
+    }
+
+    const check = checkLink(url, {
+      timeout,
+      redirectLimit,
+      isAllowedHost: allowPrivateHosts ? async () => true : (hostname) => isPublicHost(hostname, lookup),
+      checkedAt: new Date(now()).toISOString()
+    })
+      .then((outcome) => {
+        if (!outcome.transient) {
+          setCached(url, outcome.status);
+        }
+        return { ...outcome.status, cacheHit: false };
+      })
+      .finally(() => pending.delete(url));
+    pending.set(url, check);
+    return check;
+  }
+
+  return {
+    timeoutMs: timeout,
+    concurrency: workerCount,
+    cacheTtlMs: ttl,
+    verifyUrl,
+    async verifyResults(results) {
+      const items = Array.isArray(results) ? results : [];
+      const urls = [...new Set(items.map((item) => item.url).filter(Boolean))];
+      const statuses = new Map();
+
+      let nextIndex = 0;
+      const worker = async () => {
+        while (nextIndex < urls.length) {
+          const url = urls[nextIndex];
+          nextIndex += 1;
+          statuses.set(url, await verifyUrl(url));
+        }
+      };
+      await Promise.all(Array.from({ length: Math.min(workerCount, urls.length) }, worker));
+
+      const summary = { checked: urls.length, cacheHits: 0, ok: 0, redirected: 0, dead: 0, unverified: 0 };
+      for (const status of statuses.values()) {
+        summary[status.state] += 1;
+        summary.cacheHits += status.cacheHit ? 1 : 0;
+      }
+
+      const verified = items.map((item) => {
+        const { cacheHit, ...linkStatus } = statuses.get(item.url) || {};
+        return item.url ? { ...item, linkStatus } : item;
+      });
+      return {
+        results: [
+          ...verified.filter((item) => item.linkStatus?.state !== "dead"),
+          ...verified.filter((item) => item.linkStatus?.state === "dead")
+        ],
+        summary
+      };
+    }
+  };
+}
+
+async function checkLink(url, { timeout, redirectLimit, isAllowedHost, checkedAt }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  const status = (state, details) => ({ state, finalUrl: url, statusCode: null, redirectCount: 0, checkedAt, ...details });
+
+  let currentUrl = url;
+  let redirectCount = 0;
+  try {
+    while (true) {
+      if (!isHttpUrl(currentUrl)) {
+        return { status: status("unverified", { finalUrl: currentUrl, redirectCount, reason: "unsupported_url" }) };
+      }
+      if (!(await isAllowedHost(new URL(currentUrl).hostname))) {
+        return { status: status("unverified", { finalUrl: currentUrl, redirectCount, reason: "blocked_address" }) };
+      }
+
+      let response = await requestStatus(currentUrl, controller.signal, "HEAD");
+      let method = "HEAD";
+      if (HEAD_REJECTED_STATUS_CODES.has(response.status)) {
+        response = await requestStatus(currentUrl, controller.signal, "GET");
+        method = "GET";
+      }
+
+      const location = response.headers.get("location");
+      if (REDIRECT_STATUS_CODES.has(response.status) && location) {
+        if (redirectCount >= redirectLimit) {
+          return {
+            status: status("unverified", {
+              finalUrl: currentUrl,
+              statusCode: response.status,
+              redirectCount,
+              method,
+              reason: "too_many_redirects"
+            })
+          };
+        }
+        currentUrl = new URL(location, currentUrl).toString();
+        redirectCount += 1;
+        continue;
+      }
+
+      const details = { finalUrl: currentUrl, statusCode: response.status, redirectCount, method };
+      if (DEAD_STATUS_CODES.has(response.status)) {
+        return { status: status("dead", details) };
+      }
+      if (response.ok) {
+        return { status: status(redirectCount > 0 ? "redirected" : "ok", details) };
+      }
+      return {
+        status: status("unverified", { ...details, reason: "http_error" }),
+        transient: response.status === 429 || response.status >= 500
+      };
+    }
+  } catch (error) {
+    const reason = error?.name === "AbortError" ? "timeout" : "network_error";
+    return { status: status("unverified", { finalUrl: currentUrl, redirectCount, reason }), transient: true };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Only the status line and headers matter; a GET body is discarded unread.
+async function requestStatus(url, signal, method) {
+  const response = await fetch(url, { method, redirect: "manual", signal });
+  await response.body?.cancel().catch(() => {});
+  return response;
+}
+
+// A hostname passes when it and every address it resolves to are public. The
+// fetch resolves the name again, so this narrows but does not close DNS rebinding.
+async function isPublicHost(hostname, lookup) {
+  const host = hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (host === "localhost" || host.endsWith(".localhost")) {
+    return false;
+  }
+
+  const addresses = isIP(host) ? [{ address: host, family: isIP(host) }] : await lookup(host, { all: true });
+  return addresses.length > 0
+    && addresses.every(({ address, family }) => !NON_PUBLIC_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4"));
+}
+
+function createNonPublicAddressList() {
+  const list = new BlockList();
+  for (const [network, prefix] of [
+    ["0.0.0.0", 8],
+    ["10.0.0.0", 8],
+    ["100.64.0.0", 10],
+    ["127.0.0.0", 8],
+    ["169.254.0.0", 16],
+    ["172.16.0.0", 12],
+    ["192.0.0.0", 24],
+    ["192.168.0.0", 16],
+    ["198.18.0.0", 15],
+    ["224.0.0.0", 3]
+  ]) {
+    list.addSubnet(network, prefix, "ipv4");
+  }
+  for (const [network, prefix] of [
+    ["::", 127],
+    ["64:ff9b::", 96],
+    ["fc00::", 7],
+    ["fe80::", 10],
+    ["ff00::", 8]
+  ]) {
+    list.addSubnet(network, prefix, "ipv6");
+  }
+  return list;
+}
+
+function isHttpUrl(candidate) {
+  try {
+    const parsed = new URL(candidate);
+    return parsed.protocol === "http:" || parsed.protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+function normalizePositiveInt(candidate, fallback) {
+  const parsed = Number(candidate);
+  if (!Number.isFinite(parsed) || parsed <= 0) {
+    return fallback;
+  }
+  return Math.floor(parsed);
+}
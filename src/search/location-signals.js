@@ -0,0 +1,96 @@
+import { readFileSync } from "fs";
+
+import { US_STATES } from "../extractors/state-fips.js";
+
+// Two-letter codes that are also everyday words ("in", "or", "me", "ok", ...)
+// or common medical abbreviations ("CT scan", "MS prevalence"). They only count
+// as states when written in capitals in a state position, e.g. "Portland, OR"
+// or "obesity rates in OK".
+export const AMBIGUOUS_STATE_ABBREVIATIONS = Object.freeze(
+  new Set(["al", "co", "ct", "de", "hi", "id", "in", "la", "ma", "md", "me", "mi", "ms", "ne", "oh", "ok", "or", "pa"])
+);
+const PLACE_SUFFIX_PATTERN = /\b(county|counties|parish|borough|city)$/i;
+const CITY_NAMES = new Set(
+  JSON.parse(readFileSync(new URL("./gazetteer/us-cities.json", import.meta.url), "utf8")).cities.map((city) =>
+    city.name.toLowerCase()
+  )
+);
+
+const STATES_BY_NAME_LENGTH = [...US_STATES].sort((a, b) => b.name.length - a.name.length);
+const STATES_BY_ABBR = new Map(US_STATES.map((state) => [state.abbr, state]));
+const ABBREVIATION_PATTERN = /(^|[^A-Za-z0-9])([A-Za-z]{2})(?![A-Za-z0-9])/g;
+
+export function detectStateMentions(rawQuery) {
+  const original = String(rawQuery || "");
+  const mentions = new Map();
+  const record = (state, index, matchedBy) => {
+    const existing = mentions.get(state.abbr);
+    if (!existing || index < existing.index) {
+      mentions.set(state.abbr, { state, index, matchedBy });
+    }
+  };
+
+  // Longest names first, blanking each match so "west virginia" does not also
+  // yield Virginia. A name followed by "county" is a county ("Washington County").
+  let working = original.toLowerCase();
+  for (const state of STATES_BY_NAME_LENGTH) {
+    const pattern = new RegExp(
+      `(^|[^a-z0-9])(${state.name.replace(/ /g, "\\s+")})(?![a-z0-9])(?!\\s+(?:county|counties|parish|borough)\\b)`,
+      "g"
+    );
+    working = working.replace(pattern, (match, lead, name, offset) => {
+      record(state, offset + lead.length, "name");
+      return lead + " ".repeat(name.length);
+    });
+  }
+
+  for (const match of original.matchAll(ABBREVIATION_PATTERN)) {
+    const token = match[2];
+    const abbr = token.toUpperCase();
+    if (!STATES_BY_ABBR.has(abbr)) {
+      continue;
+    }
+
+    // Other codes count when written in capitals or when lowercase in a state
+    // position: after a comma or a place name ("knox county tn"), or at the end.
+    const index = match.index + match[1].length;
+    const before = original.slice(0, index).trimEnd();
+    const after = original.slice(index + token.length);
+    const inStatePosition =
+      before.endsWith(",") || followsPlaceName(before) || !/[A-Za-z0-9]/.test(after);
+    const capitalized = token === abbr;
+    if (AMBIGUOUS_STATE_ABBREVIATIONS.has(token.toLowerCase())
+      ? !capitalized || !inStatePosition
+      : !capitalized && !inStatePosition) {
+      continue;
+    }
+
+    record(STATES_BY_ABBR.get(abbr), index, "abbreviation");
+  }
+
+  return [...mentions.values()]
+    .sort((a, b) => a.index - b.index)
+    .map(({ state, matchedBy }) => ({ ...state, matchedBy }));
+}
+
+// True when the text ends with a place suffix ("knox county") or a city from
+// the gazetteer ("nashville", "san antonio").
+function followsPlaceName(text) {
+  if (PLACE_SUFFIX_PATTERN.test(text)) {
+    return true;
+  }
+  const words = text.toLowerCase().split(/[^a-z.'-]+/).filter(Boolean);
+  return [1, 2, 3].some((count) => words.length >= count && CITY_NAMES.has(words.slice(-count).join(" ")));
+}
+
+// Aliases used to look for the state in result titles, snippets and URLs.
+// Ambiguous codes are left out because "or"/"in" appear in almost every snippet.
+export function buildLocationSignal(state) {
+  const abbr = state.abbr.toLowerCase();
+  return {
+    id: abbr,
+    abbr: state.abbr,
+    fips: state.fips,
+    aliases: AMBIGUOUS_STATE_ABBREVIATIONS.has(abbr) ? [state.name] : [abbr, state.name]
+  };
+}
@@ -0,0 +1,115 @@
+import { US_STATES } from "../extractors/state-fips.js";
+
+const TRACKING_PARAM_PATTERN = /^(utm_[a-z0-9_]+|gclid|fbclid|msclkid|mc_cid|mc_eid|_ga|_gl|cmpid|s_cid)$/;
+const INDEX_FILE_PATTERN = /\/(index|default)\.(html?|php|aspx?)$/;
+const STATE_PARAM_NAMES = new Set(["state", "st", "statefips", "state_fips", "statecode"]);
+const TITLE_SIMILARITY_THRESHOLD = 0.75;
+
+// Path segments and parameter values that only say which state a page covers:
+// "tennessee", "new-york", "new_york" or "tn". FIPS codes are left out because
+// "05" or "12" is as likely a month or a day; they count only as the value of a
+// state parameter (STATE_PARAM_NAMES).
+const STATE_SLUGS = new Set(
+  US_STATES.flatMap((state) => [
+    state.name.replace(/ /g, "-"),
+    state.name.replace(/ /g, "_"),
+    state.name.replace(/ /g, ""),
+    state.abbr.toLowerCase()
+  ])
+);
+const STATE_NAME_PATTERN = new RegExp(
+  `\\b(${[...US_STATES].sort((a, b) => b.name.length - a.name.length).map((state) => state.name).join("|")})\\b`,
+  "g"
+);
+const STATE_CODE_PATTERN = new RegExp(`\\b(${US_STATES.map((state) => state.abbr).join("|")})\\b`, "g");
+
+// Same page behind a different scheme, "www.", trailing slash, "/index.html"
+// or tracking parameters.
+export function normalizeResultUrl(candidateUrl) {
+  const parsed = parseUrl(candidateUrl);
+  if (!parsed) {
+    return String(candidateUrl || "");
+  }
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([name]) => !TRACKING_PARAM_PATTERN.test(name.toLowerCase()))
+    .map(([name, value]) => `${name.toLowerCase()}=${value}`)
+    .sort();
+  const path = parsed.pathname.toLowerCase().replace(INDEX_FILE_PATTERN, "/").replace(/\/+$/, "");
+  return `${parsed.hostname.replace(/^www\./, "")}${path}${params.length > 0 ? `?${params.join("&")}` : ""}`;
+}
+
+// The normalized URL with every state-only segment or parameter replaced, so
+// the same measure page under /tennessee/ and /kentucky/ shares one pattern.
+export function buildUrlPathPattern(candidateUrl) {
+  const normalized = normalizeResultUrl(candidateUrl);
+  const [location, query = ""] = normalized.split("?");
+  const [host, ...segments] = location.split("/");
+  const pathPattern = segments.map((segment) => (STATE_SLUGS.has(segment) ? "{state}" : segment));
+  const queryPattern = query
+    .split("&")
+    .filter(Boolean)
+    .map((pair) => {
+      const [name, value = ""] = pair.split("=");
+      return STATE_PARAM_NAMES.has(name) || STATE_SLUGS.has(value.toLowerCase()) ? `${name}={state}` : pair;
+    });
+  return [host, ...pathPattern].join("/") + (queryPattern.length > 0 ? `?${queryPattern.join("&")}` : "");
+}
+
+// Jaccard similarity of title words, ignoring state names and codes.
+export function titleSimilarity(titleA, titleB) {
+  const a = titleTokens(titleA);
+  const b = titleTokens(titleB);
+  if (a.size === 0 || b.size === 0) {
+    return 0;
+  }
+
+  let shared = 0;
+  for (const token of a) {
+    if (b.has(token)) {
+      shared += 1;
+    }
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+// Walks results best first. A result that repeats an earlier one (same
+// normalized URL, or same state-agnostic URL pattern with a similar title) is
+// folded into that earlier result's `alternates`.
+export function collapseNearDuplicates(sortedItems) {
+  const representatives = [];
+  for (const item of sortedItems) {
+    const urlKey = normalizeResultUrl(item.url);
+    const pattern = buildUrlPathPattern(item.url);
+    const cluster = representatives.find(
+      (candidate) =>
+        candidate.nearDuplicateKey === urlKey ||
+        (candidate.nearDuplicatePattern === pattern &&
+          titleSimilarity(candidate.title, item.title) >= TITLE_SIMILARITY_THRESHOLD)
+    );
+
+    if (cluster) {
+      cluster.alternates.push(item);
+      continue;
+    }
+
+    representatives.push({ ...item, nearDuplicateKey: urlKey, nearDuplicatePattern: pattern, alternates: [] });
+  }
+  return representatives;
+}
+
+function titleTokens(title) {
+  const withoutStates = String(title || "")
+    .replace(STATE_CODE_PATTERN, " ")
+    .toLowerCase()
+    .replace(STATE_NAME_PATTERN, " ");
+  return new Set(withoutStates.match(/[a-z0-9]+/g) || []);
+}
+
+function parseUrl(candidateUrl) {
+  try {
+    return new URL(candidateUrl);
+  } catch {
+    return null;
+  }
+}
@@ -1,10 +0,0 @@
-export const TOKEN_EXPANSIONS = Object.freeze({
-  acs: ["american community survey"],
-  chna: ["community health needs assessment"],
-  sdoh: ["social determinants of health"],
-  sodh: ["social determinants of health"],
-  tn: ["tennessee"],
-  tennessee: ["tn"],
-  va: ["virginia"],
-  virginia: ["va"]
-});
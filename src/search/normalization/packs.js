@@ -0,0 +1,276 @@
+import { fileURLToPath } from "url";
+
+import { deepFreeze, isPlainObject, readJsonConfigFile, reportUnknownKeys } from "../json-config.js";
+
+export const CORE_NORMALIZATION_PACK_PATH = fileURLToPath(new URL("./packs/core.json", import.meta.url));
+export const SPANISH_NORMALIZATION_PACK_PATH = fileURLToPath(new URL("./packs/es.json", import.meta.url));
+const BUNDLED_NORMALIZATION_PACK_PATHS = [CORE_NORMALIZATION_PACK_PATH, SPANISH_NORMALIZATION_PACK_PATH];
+
+const PACK_KEYS = [
+  "id",
+  "version",
+  "description",
+  "language",
+  "typos",
+  "abbreviations",
+  "indicatorAliases",
+  "vocabulary",
+  "translations",
+  "stopwords",
+  "placePrefixes"
+];
+const RULE_KEYS = ["typos", "abbreviations", "indicatorAliases", "vocabulary", "translations", "stopwords", "placePrefixes"];
+const LANGUAGE_RULE_KEYS = ["translations", "stopwords", "placePrefixes"];
+const INDICATOR_ALIAS_KEYS = ["id", "triggerPhrases", "expansionPhrases", "formalName"];
+const PACK_ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const RULE_ID_PATTERN = /^[a-z0-9]+(_[a-z0-9]+)*$/;
+const TOKEN_PATTERN = /^[a-z0-9]+$/;
+const PHRASE_PATTERN = /^[a-z0-9]+( [a-z0-9]+)*$/;
+const LANGUAGE_PATTERN = /^[a-z]{2}$/;
+
+export class NormalizationPackError extends Error {
+  constructor(message, errors = []) {
+    super(errors.length > 0 ? `${message}\n- ${errors.join("\n- ")}` : message);
+    this.name = "NormalizationPackError";
+    this.errors = errors;
+  }
+}
+
+// `NORMALIZE_QUERY_PACKS` lists overlay files, comma-separated, applied in order.
+export function parsePackPaths(value) {
+  return String(value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+// The bundled packs (core, then Spanish) load before any overlays.
+export function loadNormalizationPacks(overlayPaths = [], bundledPaths = BUNDLED_NORMALIZATION_PACK_PATHS) {
+  const packs = [...bundledPaths, ...overlayPaths].map(loadNormalizationPack);
+  const seenIds = new Set();
+  for (const pack of packs) {
+    if (seenIds.has(pack.id)) {
+      throw new NormalizationPackError(`Normalization pack id "${pack.id}" is loaded more than once.`);
+    }
+    seenIds.add(pack.id);
+  }
+
+  return deepFreeze(mergeNormalizationPacks(packs));
+}
+
+export function loadNormalizationPack(filePath) {
+  const raw = readJsonConfigFile(filePath, NormalizationPackError, "normalization pack");
+  const errors = validateNormalizationPack(raw);
+  if (errors.length > 0) {
+    throw new NormalizationPackError(`Invalid normalization pack in ${filePath}:`, errors);
+  }
+  return raw;
+}
+
+// The core pack comes first and each overlay replaces typo and abbreviation
+// entries with the same key, and indicator aliases with the same id, in place.
+// Every entry keeps the id of the pack it came from for provenance. Vocabulary
+// phrases (words the fuzzy spelling corrector accepts) are pooled. Translations,
+// stopwords and place prefixes also keep their pack's language.
+export function mergeNormalizationPacks(packs) {
+  const typos = {};
+  const abbreviations = {};
+  const indicatorAliases = new Map();
+  const vocabulary = new Set();
+  const translations = {};
+  const stopwords = {};
+  const placePrefixes = {};
+
+  for (const pack of packs) {
+    for (const [from, to] of Object.entries(pack.typos || {})) {
+      typos[from] = { to, pack: pack.id };
+    }
+    for (const [from, phrases] of Object.entries(pack.abbreviations || {})) {
+      abbreviations[from] = { phrases, pack: pack.id };
+    }
+    for (const rule of pack.indicatorAliases || []) {
+      indicatorAliases.set(rule.id, { ...rule, pack: pack.id });
+    }
+    for (const phrase of pack.vocabulary || []) {
+      vocabulary.add(phrase);
+    }
+    for (const [from, to] of Object.entries(pack.translations || {})) {
+      translations[from] = { to, pack: pack.id, language: pack.language };
+    }
+    for (const token of pack.stopwords || []) {
+      stopwords[token] = { pack: pack.id, language: pack.language };
+    }
+    for (const [from, to] of Object.entries(pack.placePrefixes || {})) {
+      placePrefixes[from] = { to, pack: pack.id, language: pack.language };
+    }
+  }
+
+  return {
+    version: packs.map((pack, index) => (index === 0 ? pack.version : `${pack.id}@${pack.version}`)).join("+"),
+    packs: packs.map((pack) => (pack.language
+      ? { id: pack.id, version: pack.version, language: pack.language }
+      : { id: pack.id, version: pack.version })),
+    typos,
+    abbreviations,
+    indicatorAliases: [...indicatorAliases.values()],
+    vocabulary: [...vocabulary],
+    translations,
+    stopwords,
+    placePrefixes
+  };
+}
+
+export function validateNormalizationPack(pack) {
+  const errors = [];
+  if (!isPlainObject(pack)) {
+    return ["normalization pack must contain a JSON object"];
+  }
+
+  reportUnknownKeys(pack, PACK_KEYS, "", errors);
+
+  if (typeof pack.id !== "string" || !PACK_ID_PATTERN.test(pack.id)) {
+    errors.push("id must be lowercase words joined by hyphens");
+  }
+  if (typeof pack.version !== "string" || !pack.version.trim()) {
+    errors.push("version must be a non-empty string");
+  }
+  if (pack.description !== undefined && typeof pack.description !== "string") {
+    errors.push("description must be a string");
+  }
+  if (RULE_KEYS.every((key) => pack[key] === undefined)) {
+    errors.push("pack needs typos, abbreviations, indicatorAliases, vocabulary or translations");
+  }
+  if (pack.language !== undefined && (typeof pack.language !== "string" || !LANGUAGE_PATTERN.test(pack.language))) {
+    errors.push("language must be a two-letter lowercase code");
+  }
+  if (pack.language === undefined && LANGUAGE_RULE_KEYS.some((key) => pack[key] !== undefined)) {
+    errors.push("language is required with translations, stopwords or placePrefixes");
+  }
+
+  if (pack.typos !== undefined) {
+    if (!isPlainObject(pack.typos)) {
+      errors.push("typos must be an object mapping a misspelled token to its correction");
+    } else {
+      for (const [from, to] of Object.entries(pack.typos)) {
+        if (!TOKEN_PATTERN.test(from)) {
+          errors.push(`typos["${from}"] key must be a single lowercase token`);
+        }
+        if (typeof to !== "string" || !TOKEN_PATTERN.test(to)) {
+          errors.push(`typos["${from}"] must be a single lowercase token`);
+        }
+      }
+    }
+  }
+
+  if (pack.abbreviations !== undefined) {
+    if (!isPlainObject(pack.abbreviations)) {
+      errors.push("abbreviations must be an object mapping a token to its expansions");
+    } else {
+      for (const [from, phrases] of Object.entries(pack.abbreviations)) {
+        if (!TOKEN_PATTERN.test(from)) {
+          errors.push(`abbreviations["${from}"] key must be a single lowercase token`);
+        }
+        checkPhraseList(phrases, `abbreviations["${from}"]`, errors);
+      }
+    }
+  }
+
+  if (pack.indicatorAliases !== undefined) {
+    if (!Array.isArray(pack.indicatorAliases)) {
+      errors.push("indicatorAliases must be an array");
+    } else {
+      const seenIds = new Set();
+      pack.indicatorAliases.forEach((rule, index) => {
+        const path = `indicatorAliases[${index}]`;
+        if (!isPlainObject(rule)) {
+          errors.push(`${path} must be an object`);
+          return;
+        }
+        reportUnknownKeys(rule, INDICATOR_ALIAS_KEYS, `${path}.`, errors);
+        if (typeof rule.id !== "string" || !RULE_ID_PATTERN.test(rule.id)) {
+          errors.push(`${path}.id must be lowercase words joined by underscores`);
+        } else if (seenIds.has(rule.id)) {
+          errors.push(`${path}.id "${rule.id}" is listed more than once`);
+        } else {
+          seenIds.add(rule.id);
+        }
+        checkPhraseList(rule.triggerPhrases, `${path}.triggerPhrases`, errors);
+        checkPhraseList(rule.expansionPhrases, `${path}.expansionPhrases`, errors);
+        if (rule.formalName !== undefined && !isLowercasePhrase(rule.formalName)) {
+          errors.push(`${path}.formalName must be a non-empty lowercase string`);
+        }
+      });
+    }
+  }
+
+  if (pack.vocabulary !== undefined) {
+    checkPhraseList(pack.vocabulary, "vocabulary", errors);
+  }
+
+  // Translation and place prefix keys are matched against query words with
+  // accents removed, so they are written without accents too.
+  if (pack.translations !== undefined) {
+    if (!isPlainObject(pack.translations)) {
+      errors.push("translations must be an object mapping a phrase to its English search terms");
+    } else {
+      for (const [from, to] of Object.entries(pack.translations)) {
+        if (!PHRASE_PATTERN.test(from)) {
+          errors.push(`translations["${from}"] key must be lowercase words without accents`);
+        }
+        if (!isLowercasePhrase(to)) {
+          errors.push(`translations["${from}"] must be a non-empty lowercase string`);
+        }
+      }
+    }
+  }
+
+  if (pack.stopwords !== undefined) {
+    if (!Array.isArray(pack.stopwords) || pack.stopwords.length === 0) {
+      errors.push("stopwords must be a non-empty array of strings");
+    } else {
+      pack.stopwords.forEach((token, index) => {
+        if (typeof token !== "string" || !TOKEN_PATTERN.test(token)) {
+          errors.push(`stopwords[${index}] must be a single lowercase token`);
+        }
+      });
+    }
+  }
+
+  if (pack.placePrefixes !== undefined) {
+    if (!isPlainObject(pack.placePrefixes)) {
+      errors.push("placePrefixes must be an object mapping a phrase to a place suffix");
+    } else {
+      for (const [from, to] of Object.entries(pack.placePrefixes)) {
+        if (!PHRASE_PATTERN.test(from)) {
+          errors.push(`placePrefixes["${from}"] key must be lowercase words without accents`);
+        }
+        if (typeof to !== "string" || !TOKEN_PATTERN.test(to)) {
+          errors.push(`placePrefixes["${from}"] must be a single lowercase token`);
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+function isLowercasePhrase(value) {
+  return typeof value === "string" && Boolean(value.trim()) && value === value.toLowerCase();
+}
+
+function checkPhraseList(value, path, errors) {
+  if (!Array.isArray(value) || value.length === 0) {
+    errors.push(`${path} must be a non-empty array of strings`);
+    return;
+  }
+
+  value.forEach((item, index) => {
+    if (typeof item !== "string" || !item.trim()) {
+      errors.push(`${path}[${index}] must be a non-empty string`);
+    } else if (item !== item.toLowerCase()) {
+      errors.push(`${path}[${index}] must be lowercase ("${item}")`);
+    }
+  });
+}
+
+export const NORMALIZATION_RULES = loadNormalizationPacks(parsePackPaths(process.env.NORMALIZE_QUERY_PACKS));
@@ -1,19 +0,0 @@
-export const TYPO_CORRECTIONS = Object.freeze({
-  absense: "absence",
-  absences: "absence",
-  absentieesm: "absenteeism",
-  absentism: "absenteeism",
-  absnteeism: "absenteeism",
-  chonic: "chronic",
-  commutte: "commute",
-  expectency: "expectancy",
-  houshold: "household",
-  housingg: "housing",
-  incareration: "incarceration",
-  incarcereration: "incarceration",
-  insurace: "insurance",
-  medicad: "medicaid",
-  tennesee: "tennessee",
-  uninsurace: "uninsured",
-  virgina: "virginia"
-});
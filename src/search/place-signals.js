@@ -0,0 +1,286 @@
+import { readFileSync } from "fs";
+
+import { STATE_FIPS_BY_ABBR, US_STATES } from "../extractors/state-fips.js";
+import { detectStateMentions } from "./location-signals.js";
+
+const COUNTIES_PATH = new URL("./gazetteer/us-counties.json", import.meta.url);
+const CITIES_PATH = new URL("./gazetteer/us-cities.json", import.meta.url);
+
+const STATE_ABBR_BY_FIPS = new Map(Object.entries(STATE_FIPS_BY_ABBR).map(([abbr, fips]) => [fips, abbr]));
+const STATES_BY_ABBR = new Map(US_STATES.map((state) => [state.abbr, state]));
+
+// Census name suffixes, longest first. Independent cities keep Census's
+// lowercase "city" ("Richmond city"), which keeps them apart from names like
+// "Carson City" that are matched as written.
+const COUNTY_KINDS = [
+  { suffix: " City and Borough", phrases: (base) => [`${base} city and borough`, `city and borough of ${base}`, `${base} borough`] },
+  { suffix: " Census Area", phrases: (base) => [`${base} census area`] },
+  { suffix: " Municipality", phrases: (base) => [`${base} municipality`, `municipality of ${base}`] },
+  { suffix: " Borough", phrases: (base) => [`${base} borough`] },
+  { suffix: " Parish", phrases: (base) => [`${base} parish`] },
+  { suffix: " County", phrases: (base) => [`${base} county`] },
+  { suffix: " city", phrases: (base) => [`${base} city`, `city of ${base}`] }
+];
+
+// "Knox and Blount counties" is read as "Knox county and Blount county".
+const PLURAL_SUFFIXES = new Map([
+  ["counties", "county"],
+  ["parishes", "parish"],
+  ["boroughs", "borough"]
+]);
+const LIST_SEPARATORS = new Set([",", "and", "&"]);
+
+const COUNTIES = loadCounties();
+const PLACE_PHRASES = buildPlacePhrases();
+const MAX_PHRASE_TOKENS = Math.max(...[...PLACE_PHRASES.keys()].map((phrase) => phrase.split(" ").length));
+const SINGULAR_BASES = buildSingularBases();
+const PLACE_NAME_TOKENS = new Set([
+  ...[...PLACE_PHRASES.keys()].flatMap((phrase) => phrase.split(" ")),
+  ...US_STATES.flatMap((state) => normalizePlaceText(state.name).split(" "))
+]);
+
+// Lowercases, drops accents and punctuation inside names ("St. Mary's" ->
+// "st marys") and spells "saint" as "st", so queries and result text compare
+// on the same form.
+export function normalizePlaceText(value) {
+  return String(value || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/['’.]/g, "")
+    .replace(/[^a-z0-9,&]+/g, " ")
+    .replace(/\bsaint\b/g, "st")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Counties need their suffix ("Sullivan County", "Orleans Parish") because bare
+// county names are everyday words; cities come from a short list of major
+// cities. State mentions elsewhere in the query pick between same-named places,
+// and the states of resolved places are added to the returned states.
+export function detectLocations(rawQuery) {
+  const original = String(rawQuery || "");
+  const tokens = expandPluralSuffixes(tokenizePlaceQuery(original));
+  const matches = [];
+
+  for (let index = 0; index < tokens.length; ) {
+    const match = matchPhraseAt(tokens, index);
+    if (!match) {
+      index += 1;
+      continue;
+    }
+    matches.push(match);
+    index += match.length;
+  }
+
+  // Place names can contain state names ("Kansas City", "Virginia Beach"), so
+  // states are only read from the text around them.
+  let remaining = original;
+  for (const match of matches) {
+    remaining = remaining.slice(0, match.start) + " ".repeat(match.end - match.start) + remaining.slice(match.end);
+  }
+  const states = detectStateMentions(remaining);
+  const hintedStates = new Set(states.map((state) => state.abbr));
+
+  const places = [];
+  const seenPlaces = new Set();
+  for (const match of matches) {
+    const place = resolvePlace(match, hintedStates);
+    if (place && !seenPlaces.has(place.id)) {
+      seenPlaces.add(place.id);
+      places.push(place);
+    }
+  }
+
+  for (const place of places) {
+    if (place.state && !states.some((state) => state.abbr === place.state)) {
+      states.push({ ...STATES_BY_ABBR.get(place.state), matchedBy: "place" });
+    }
+  }
+
+  return { states, places };
+}
+
+// True for any word of a county, city or state name in the gazetteer. Spelling
+// correction leaves these alone.
+export function isPlaceNameToken(token) {
+  return PLACE_NAME_TOKENS.has(String(token || "").toLowerCase());
+}
+
+// The county an extractor should default to: the first place that resolved to
+// exactly one county.
+export function selectExtractorPlace(places) {
+  return (Array.isArray(places) ? places : []).find((place) => place.countyFips) || null;
+}
+
+function resolvePlace(match, hintedStates) {
+  const hinted = match.entries.filter((entry) => hintedStates.has(entry.state));
+  // A state named elsewhere that matches none of the candidates means some
+  // other place with the same name ("Knoxville, Iowa").
+  if (hintedStates.size > 0 && hinted.length === 0) {
+    return null;
+  }
+
+  const candidates = hinted.length > 0 ? hinted : match.entries;
+  const [first] = candidates;
+  const aliases = [...new Set(candidates.flatMap((entry) => entry.aliases))];
+
+  if (candidates.length === 1) {
+    return {
+      id: `${first.type}:${first.state.toLowerCase()}:${normalizePlaceText(first.name).replace(/ /g, "-")}`,
+      type: first.type,
+      name: first.name,
+      state: first.state,
+      stateFips: STATE_FIPS_BY_ABBR[first.state],
+      countyFips: first.countyFips,
+      countyName: first.countyName,
+      aliases
+    };
+  }
+
+  return {
+    id: `${first.type}:${normalizePlaceText(first.name).replace(/ /g, "-")}`,
+    type: first.type,
+    name: first.name,
+    state: null,
+    stateFips: null,
+    countyFips: null,
+    countyName: null,
+    aliases,
+    candidates: candidates.map((entry) => ({ state: entry.state, countyFips: entry.countyFips }))
+  };
+}
+
+function matchPhraseAt(tokens, index) {
+  const maxLength = Math.min(MAX_PHRASE_TOKENS, tokens.length - index);
+  for (let length = maxLength; length > 0; length -= 1) {
+    const slice = tokens.slice(index, index + length);
+    const entries = PLACE_PHRASES.get(slice.map((token) => token.text).join(" "));
+    if (entries) {
+      return { entries, length, start: slice[0].start, end: slice[slice.length - 1].end };
+    }
+  }
+  return null;
+}
+
+function tokenizePlaceQuery(original) {
+  const tokens = [];
+  for (const match of original.matchAll(/[^\s,&]+|[,&]/g)) {
+    const start = match.index;
+    const end = start + match[0].length;
+    for (const text of normalizePlaceText(match[0]).split(" ").filter(Boolean)) {
+      tokens.push({ text, start, end });
+    }
+  }
+  return tokens;
+}
+
+function expandPluralSuffixes(tokens) {
+  const expanded = [...tokens];
+  for (let index = expanded.length - 1; index >= 0; index -= 1) {
+    const singular = PLURAL_SUFFIXES.get(expanded[index].text);
+    if (!singular) {
+      continue;
+    }
+
+    const bases = SINGULAR_BASES.get(singular);
+    expanded[index] = { ...expanded[index], text: singular };
+    let end = index;
+    let first = true;
+    while (end > 0) {
+      const baseLength = findBaseEndingAt(expanded, end, bases);
+      if (!baseLength) {
+        break;
+      }
+      if (!first) {
+        const anchor = expanded[end - 1];
+        expanded.splice(end, 0, { text: singular, start: anchor.end, end: anchor.end });
+      }
+      first = false;
+      end -= baseLength;
+      while (end > 0 && LIST_SEPARATORS.has(expanded[end - 1].text)) {
+        end -= 1;
+      }
+    }
+  }
+  return expanded;
+}
+
+function findBaseEndingAt(tokens, end, bases) {
+  for (let length = Math.min(MAX_PHRASE_TOKENS, end); length > 0; length -= 1) {
+    const candidate = tokens.slice(end - length, end).map((token) => token.text).join(" ");
+    if (bases.has(candidate)) {
+      return length;
+    }
+  }
+  return 0;
+}
+
+function loadCounties() {
+  const { counties } = JSON.parse(readFileSync(COUNTIES_PATH, "utf8"));
+  return counties.map(([countyFips, name]) => {
+    const kind = COUNTY_KINDS.find((candidate) => name.endsWith(candidate.suffix));
+    const base = normalizePlaceText(kind ? name.slice(0, -kind.suffix.length) : name);
+    return {
+      type: "county",
+      name,
+      state: STATE_ABBR_BY_FIPS.get(countyFips.slice(0, 2)),
+      countyFips,
+      countyName: name,
+      base,
+      phrases: kind ? kind.phrases(base) : [base],
+      aliases: [normalizePlaceText(name)]
+    };
+  });
+}
+
+function buildPlacePhrases() {
+  const phrases = new Map();
+  const add = (phrase, entry) => {
+    const existing = phrases.get(phrase) || [];
+    if (!existing.includes(entry)) {
+      phrases.set(phrase, [...existing, entry]);
+    }
+  };
+
+  for (const county of COUNTIES) {
+    for (const phrase of county.phrases) {
+      add(phrase, county);
+    }
+  }
+
+  const countiesByFips = new Map(COUNTIES.map((county) => [county.countyFips, county]));
+  const { cities } = JSON.parse(readFileSync(CITIES_PATH, "utf8"));
+  for (const city of cities) {
+    const name = normalizePlaceText(city.name);
+    const county = countiesByFips.get(city.countyFips) || null;
+    const entry = {
+      type: "city",
+      name: city.name,
+      state: city.state,
+      countyFips: city.countyFips,
+      countyName: county?.name || null,
+      // County-level tables name the county rather than the city.
+      aliases: [name, ...(county ? county.aliases : [])]
+    };
+    for (const phrase of [name, `city of ${name}`, ...(city.aliases || [])]) {
+      add(phrase, entry);
+    }
+  }
+
+  return phrases;
+}
+
+function buildSingularBases() {
+  const bases = new Map([...PLURAL_SUFFIXES.values()].map((singular) => [singular, new Set()]));
+  for (const county of COUNTIES) {
+    for (const phrase of county.phrases) {
+      for (const singular of bases.keys()) {
+        if (phrase === `${county.base} ${singular}`) {
+          bases.get(singular).add(county.base);
+        }
+      }
+    }
+  }
+  return bases;
+}
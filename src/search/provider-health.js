@@ -0,0 +1,127 @@
+const DEFAULT_FAILURE_THRESHOLD = 3;
+const DEFAULT_COOLDOWN_MS = 15 * 60 * 1000;
+
+export function createProviderHealthTracker({
+  failureThreshold = DEFAULT_FAILURE_THRESHOLD,
+  cooldownMs = DEFAULT_COOLDOWN_MS,
+  now = Date.now
+} = {}) {
+  const threshold = normalizePositiveInt(failureThreshold, DEFAULT_FAILURE_THRESHOLD);
+  const cooldown = normalizePositiveInt(cooldownMs, DEFAULT_COOLDOWN_MS);
+  const states = new Map();
+
+  function getState(providerName) {
+    let state = states.get(providerName);
+    if (!state) {
+      state = {
+        state: "closed",
+        consecutiveFailures: 0,
+        totalFailures: 0,
+        totalSuccesses: 0,
+        openedAt: null,
+        openUntil: null,
+        probeInFlight: false,
+        lastFailureAt: null,
+        lastFailureStatusCode: null,
+        lastSuccessAt: null
+      };
+      states.set(providerName, state);
+    }
+    return state;
+  }
+
+  function openCircuit(state, timestamp) {
+    state.state = "open";
+    state.openedAt = timestamp;
+    state.openUntil = timestamp + cooldown;
+    state.probeInFlight = false;
+  }
+
+  function closeCircuit(state) {
+    state.state = "closed";
+    state.consecutiveFailures = 0;
+    state.openedAt = null;
+    state.openUntil = null;
+    state.probeInFlight = false;
+  }
+
+  return {
+    failureThreshold: threshold,
+    cooldownMs: cooldown,
+    canRequest(providerName) {
+      const state = getState(providerName);
+      if (state.state === "closed") {
+        return true;
+      }
+
+      // Cooldown elapsed: let a single trial request through (half-open) and
+      // hold everyone else back until it reports a result.
+      if (state.state === "open" && now() < state.openUntil) {
+        return false;
+      }
+      if (state.probeInFlight) {
+        return false;
+      }
+
+      state.state = "half_open";
+      state.probeInFlight = true;
+      return true;
+    },
+    recordSuccess(providerName) {
+      const state = getState(providerName);
+      closeCircuit(state);
+      state.totalSuccesses += 1;
+      state.lastSuccessAt = now();
+    },
+    // The provider answered with an error that is not its fault (e.g. a 422 for
+    // an unsupported query), so it is reachable and a trial request passes.
+    recordResponse(providerName) {
+      closeCircuit(getState(providerName));
+    },
+    recordFailure(providerName, statusCode = null) {
+      const timestamp = now();
+      const state = getState(providerName);
+      state.consecutiveFailures += 1;
+      state.totalFailures += 1;
+      state.lastFailureAt = timestamp;
+      state.lastFailureStatusCode = statusCode;
+
+      if (state.state === "half_open" || state.consecutiveFailures >= threshold) {
+        openCircuit(state, timestamp);
+      }
+    },
+    getSnapshot(providerNames = [...states.keys()]) {
+      const timestamp = now();
+      return providerNames.map((providerName) => {
+        const state = getState(providerName);
+        const open = state.state === "open" && timestamp < state.openUntil;
+        return {
+          provider: providerName,
+          state: state.state === "open" && !open ? "half_open" : state.state,
+          available: !open && !state.probeInFlight,
+          consecutiveFailures: state.consecutiveFailures,
+          totalFailures: state.totalFailures,
+          totalSuccesses: state.totalSuccesses,
+          openedAt: toIsoTimestamp(state.openedAt),
+          openUntil: toIsoTimestamp(state.openUntil),
+          retryAfterMs: open ? state.openUntil - timestamp : 0,
+          lastFailureAt: toIsoTimestamp(state.lastFailureAt),
+          lastFailureStatusCode: state.lastFailureStatusCode,
+          lastSuccessAt: toIsoTimestamp(state.lastSuccessAt)
+        };
+      });
+    }
+  };
+}
+
+function toIsoTimestamp(value) {
+  return Number.isFinite(value) ? new Date(value).toISOString() : null;
+}
+
+function normalizePositiveInt(candidate, fallback) {
+  const parsed = Number(candidate);
+  if (!Number.isFinite(parsed) || parsed <= 0) {
+    return fallback;
+  }
+  return Math.floor(parsed);
+}
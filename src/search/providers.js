@@ -1,42 +1,25 @@
-export const PRIORITY_DOMAINS = [
-  "cdc.gov",
-  "ephtracking.cdc.gov",
-  "data.census.gov",
-  "countyhealthrankings.org",
-  "bls.gov",
-  "ers.usda.gov",
-  "broadbandmap.fcc.gov",
-  "cms.gov",
-  "data.cms.gov",
-  "hhs.gov",
-  "acf.hhs.gov",
-  "samhsa.gov",
-  "tn.gov",
-  "healthdata.tn.gov",
-  "vdh.virginia.gov",
-  "irs.gov",
-  "nces.ed.gov",
-  "transportation.gov",
-  "hud.gov",
-  "epa.gov",
-  "ucr.fbi.gov",
-  "feedingamerica.org",
-  "opportunityinsights.org",
-  "urban.org",
-  "sparkmaps.com",
-  "droughtmonitor.unl.edu",
-  "impactlab.org",
-  "cnt.org",
-  "hifld-geoplatform.opendata.arcgis.com"
-];
-
-const PROVIDER_ENV_ORDER = [
-  { envVar: "BRAVE_API_KEY", provider: "brave" },
-  { envVar: "SERPAPI_KEY", provider: "serpapi" },
-  { envVar: "BING_API_KEY", provider: "bing" }
-];
+import { createHash } from "crypto";
+import { mkdir, readFile, writeFile } from "fs/promises";
+import path from "path";
+
+import { bingAdapter } from "./adapters/bing.js";
+import { braveAdapter } from "./adapters/brave.js";
+import { searxngAdapter } from "./adapters/searxng.js";
+import { serpApiAdapter } from "./adapters/serpapi.js";
+import { loadDomainCatalog } from "./domain-catalog.js";
+
+export const DOMAIN_CATALOG = loadDomainCatalog(process.env.SEARCH_DOMAIN_CATALOG_PATH);
+export const PRIORITY_DOMAINS = DOMAIN_CATALOG.domains.map((entry) => entry.domain);
+
+const PROVIDER_ADAPTERS = Object.freeze([
+  braveAdapter,
+  serpApiAdapter,
+  bingAdapter,
+  searxngAdapter
+]);
 
 const DEFAULT_TIMEOUT_MS = 15000;
+const REPLAY_MODES = ["replay", "record"];
 
 export class ProviderRequestError extends Error {
   constructor(message, provider, statusCode = 500, details = "") {
@@ -48,27 +31,106 @@ export class ProviderRequestError extends Error {
   }
 }
 
+export class ProviderOrderError extends Error {
+  constructor(message, errors = []) {
+    super(errors.length > 0 ? `${message}\n- ${errors.join("\n- ")}` : message);
+    this.name = "ProviderOrderError";
+    this.errors = errors;
+  }
+}
+
+export function listProviderAdapters() {
+  return PROVIDER_ADAPTERS.map((adapter) => ({
+    id: adapter.id,
+    label: adapter.label,
+    envVar: adapter.envVar,
+    maxCount: adapter.maxCount
+  }));
+}
+
+export function resolveProviderOrder(env = process.env) {
+  const requested = String(env?.SEARCH_PROVIDER_ORDER || "")
+    .split(",")
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (requested.length === 0) {
+    return [...PROVIDER_ADAPTERS];
+  }
+
+  const ordered = [];
+  const errors = [];
+  for (const id of requested) {
+    const adapter = PROVIDER_ADAPTERS.find((item) => item.id === id);
+    if (!adapter) {
+      errors.push(`unknown provider id "${id}" (expected one of ${PROVIDER_ADAPTERS.map((item) => item.id).join(", ")})`);
+    } else if (!ordered.includes(adapter)) {
+      ordered.push(adapter);
+    }
+  }
+  if (errors.length > 0) {
+    throw new ProviderOrderError("Invalid SEARCH_PROVIDER_ORDER:", errors);
+  }
+
+  return ordered;
+}
+
+// Providers with a key that SEARCH_PROVIDER_ORDER leaves out, and so never serve.
+export function listUnlistedProviderNames(env = process.env) {
+  const ordered = resolveProviderOrder(env);
+  return PROVIDER_ADAPTERS
+    .filter((adapter) => !ordered.includes(adapter) && String(env?.[adapter.envVar] || "").trim())
+    .map((adapter) => adapter.id);
+}
+
+export function listConfiguredProviderNames(env = process.env) {
+  return resolveProviderOrder(env)
+    .filter((adapter) => String(env?.[adapter.envVar] || "").trim())
+    .map((adapter) => adapter.id);
+}
+
 export function getProviderSelectionStatus(env = process.env) {
   const selected = resolveConfiguredProvider(env);
+  const providerOrder = resolveProviderOrder(env);
+  const providerEnvOrder = providerOrder.map((adapter) => adapter.envVar);
   return {
     configured: Boolean(selected),
     provider: selected?.name ?? null,
     selectedEnvVar: selected?.envVar ?? null,
-    providerEnvOrder: PROVIDER_ENV_ORDER.map((item) => item.envVar),
+    replayMode: resolveReplayConfig(env)?.mode ?? null,
+    providerOrder: providerOrder.map((adapter) => adapter.id),
+    providerEnvOrder,
     setupHint:
-      "Configure one key in .env. Selection order: BRAVE_API_KEY, SERPAPI_KEY, then BING_API_KEY."
+      `Configure one key in .env. Selection order: ${providerEnvOrder.join(", ")}. Override with SEARCH_PROVIDER_ORDER.`
   };
 }
 
-export function resolveConfiguredProvider(env = process.env) {
-  const configuredProviders = PROVIDER_ENV_ORDER
-    .map(({ envVar, provider }) => {
-      const key = String(env[envVar] || "").trim();
-      if (!key) {
+export function resolveConfiguredProvider(env = process.env, options = {}) {
+  const replayConfig = resolveReplayConfig(env);
+  if (replayConfig?.mode === "replay") {
+    return createReplayProvider(replayConfig.directory);
+  }
+
+  const liveProvider = resolveLiveProvider(env, {
+    healthTracker: options.healthTracker || null,
+    usageLedger: options.usageLedger || null
+  });
+  if (liveProvider && replayConfig?.mode === "record") {
+    return createRecordingProvider(liveProvider, replayConfig.directory);
+  }
+
+  return liveProvider;
+}
+
+function resolveLiveProvider(env, { healthTracker, usageLedger }) {
+  const configuredProviders = resolveProviderOrder(env)
+    .map((adapter) => {
+      const envValue = String(env?.[adapter.envVar] || "").trim();
+      if (!envValue) {
         return null;
       }
 
-      return createProviderClient(provider, envVar, key);
+      return createProviderClient(adapter, envValue);
     })
     .filter(Boolean);
 
@@ -85,112 +147,207 @@ export function resolveConfiguredProvider(env = process.env) {
     async searchWeb(query, options = {}) {
       const count = options.count ?? 30;
       let lastError = null;
+      let quotaSkipped = false;
 
       for (let index = activeProviderIndex; index < configuredProviders.length; index += 1) {
         const provider = configuredProviders[index];
+        if (usageLedger && !(await usageLedger.reserveCall(provider.name))) {
+          quotaSkipped = true;
+          continue;
+        }
+        // Checked last: a half-open circuit hands out its one trial request here.
+        if (healthTracker && !healthTracker.canRequest(provider.name)) {
+          await usageLedger?.releaseCall(provider.name);
+          continue;
+        }
+
         try {
           const rows = await provider.searchWeb(query, { count });
+          healthTracker?.recordSuccess(provider.name);
           activeProviderIndex = index;
           return rows;
         } catch (error) {
           lastError = error;
-          if (!shouldFailoverProviderError(error) || index === configuredProviders.length - 1) {
+          const failover = shouldFailoverProviderError(error);
+          if (failover) {
+            healthTracker?.recordFailure(provider.name, error.statusCode);
+          } else {
+            healthTracker?.recordResponse(provider.name);
+          }
+          if (!failover || index === configuredProviders.length - 1) {
             throw error;
           }
         }
       }
 
-      throw lastError;
+      if (lastError) {
+        throw lastError;
+      }
+      if (quotaSkipped) {
+        throw new ProviderRequestError(
+          "All available search providers have used their monthly quota.",
+          primary.name,
+          429
+        );
+      }
+      throw new ProviderRequestError(
+        "All configured search providers are cooling down after repeated failures.",
+        primary.name,
+        503
+      );
     }
   };
 }
 
-function createProviderClient(provider, envVar, key) {
+function createProviderClient(adapter, envValue) {
   return {
-    name: provider,
-    envVar,
+    name: adapter.id,
+    envVar: adapter.envVar,
     async searchWeb(query, options = {}) {
-      const count = options.count ?? 30;
-      if (provider === "brave") {
-        return searchBrave(key, query, count);
-      }
-      if (provider === "serpapi") {
-        return searchSerpApi(key, query, count);
+      const count = Math.min(Math.max(options.count ?? 30, 1), adapter.maxCount);
+      let request;
+      try {
+        request = adapter.buildRequest({ envValue, query, count });
+      } catch (error) {
+        throw new ProviderRequestError(
+          `Search provider ${adapter.id} is misconfigured. Check ${adapter.envVar}.`,
+          adapter.id,
+          500,
+          String(error?.message || error)
+        );
       }
-      return searchBing(key, query, count);
+
+      const payload = await requestJson(request.url, request.options || {}, adapter.id);
+      const rows = normalizeResults(adapter.extractRows(payload), (row) => adapter.mapRow(row));
+      return rows.slice(0, count);
     }
   };
 }
 
-function shouldFailoverProviderError(error) {
-  if (!(error instanceof ProviderRequestError)) {
-    return false;
+function resolveReplayConfig(env) {
+  const mode = String(env?.SEARCH_REPLAY_MODE || "").trim().toLowerCase();
+  const directory = String(env?.SEARCH_REPLAY_DIR || "").trim();
+  if (!REPLAY_MODES.includes(mode) || !directory) {
+    return null;
   }
 
-  const statusCode = Number(error.statusCode || 0);
-  return statusCode === 401
-    || statusCode === 402
-    || statusCode === 403
-    || statusCode === 408
-    || statusCode === 429
-    || statusCode >= 500;
+  return {
+    mode,
+    directory: path.resolve(directory)
+  };
 }
 
-async function searchBrave(apiKey, query, count) {
-  const url = new URL("https://api.search.brave.com/res/v1/web/search");
-  url.searchParams.set("q", query);
-  url.searchParams.set("count", String(Math.min(Math.max(count, 1), 50)));
+function createReplayProvider(directory) {
+  return {
+    name: "replay",
+    envVar: "SEARCH_REPLAY_DIR",
+    async searchWeb(query, options = {}) {
+      const count = options.count ?? 30;
+      const recording = await readRecordedResponse(directory, query, count);
+      if (!recording) {
+        throw new ProviderRequestError(
+          `No recorded response for query "${query}" (count ${count}) in ${directory}.`,
+          "replay",
+          404
+        );
+      }
 
-  const payload = await requestJson(url, {
-    headers: {
-      Accept: "application/json",
-      "X-Subscription-Token": apiKey
+      return recording.rows.map((row) => ({ ...row }));
     }
-  }, "brave");
+  };
+}
 
-  const rows = payload?.web?.results || payload?.results || [];
-  return normalizeResults(rows, (row) => ({
-    title: row?.title || row?.meta_title || "",
-    url: row?.url || row?.link || "",
-    snippet: row?.description || row?.snippet || ""
-  }));
+function createRecordingProvider(liveProvider, directory) {
+  return {
+    name: liveProvider.name,
+    envVar: liveProvider.envVar,
+    async searchWeb(query, options = {}) {
+      const count = options.count ?? 30;
+      const rows = await liveProvider.searchWeb(query, { count });
+      await writeRecordedResponse(directory, {
+        query,
+        count,
+        provider: liveProvider.name,
+        recordedAt: new Date().toISOString(),
+        rows
+      });
+      return rows;
+    }
+  };
 }
 
-async function searchSerpApi(apiKey, query, count) {
-  const url = new URL("https://serpapi.com/search.json");
-  url.searchParams.set("engine", "google");
-  url.searchParams.set("q", query);
-  url.searchParams.set("num", String(Math.min(Math.max(count, 1), 20)));
-  url.searchParams.set("api_key", apiKey);
+async function readRecordedResponse(directory, query, count) {
+  const filePath = path.join(directory, buildRecordingFileName(query, count));
+  let raw;
+  try {
+    raw = await readFile(filePath, "utf8");
+  } catch (error) {
+    // Only a missing file means "not recorded"; anything else is a broken corpus.
+    if (error?.code === "ENOENT") {
+      return null;
+    }
+    throw new ProviderRequestError(
+      `Recorded response ${filePath} could not be read (${error?.code || "unknown error"}).`,
+      "replay",
+      500,
+      String(error?.message || error)
+    );
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    throw new ProviderRequestError(
+      `Recorded response ${filePath} is not valid JSON.`,
+      "replay",
+      500
+    );
+  }
+
+  if (!Array.isArray(parsed?.rows)) {
+    throw new ProviderRequestError(
+      `Recorded response ${filePath} is missing a rows array.`,
+      "replay",
+      500
+    );
+  }
 
-  const payload = await requestJson(url, {}, "serpapi");
+  return parsed;
+}
 
-  const rows = payload?.organic_results || [];
-  return normalizeResults(rows, (row) => ({
-    title: row?.title || "",
-    url: row?.link || row?.url || "",
-    snippet: row?.snippet || row?.snippet_highlighted_words?.join(" ") || ""
-  }));
+async function writeRecordedResponse(directory, recording) {
+  const filePath = path.join(directory, buildRecordingFileName(recording.query, recording.count));
+  await mkdir(directory, { recursive: true });
+  await writeFile(filePath, `${JSON.stringify(recording, null, 2)}\n`, "utf8");
 }
 
-async function searchBing(apiKey, query, count) {
-  const url = new URL("https://api.bing.microsoft.com/v7.0/search");
-  url.searchParams.set("q", query);
-  url.searchParams.set("count", String(Math.min(Math.max(count, 1), 50)));
-  url.searchParams.set("responseFilter", "Webpages");
+function buildRecordingFileName(query, count) {
+  const recordingKey = `${normalizeRecordingQuery(query)}|${count}`;
+  const slug = normalizeRecordingQuery(query)
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60) || "query";
+  const hash = createHash("sha256").update(recordingKey).digest("hex").slice(0, 16);
+  return `${slug}-${count}-${hash}.json`;
+}
 
-  const payload = await requestJson(url, {
-    headers: {
-      "Ocp-Apim-Subscription-Key": apiKey
-    }
-  }, "bing");
+function normalizeRecordingQuery(query) {
+  return String(query || "").toLowerCase().replace(/\s+/g, " ").trim();
+}
 
-  const rows = payload?.webPages?.value || [];
-  return normalizeResults(rows, (row) => ({
-    title: row?.name || row?.title || "",
-    url: row?.url || "",
-    snippet: row?.snippet || row?.description || ""
-  }));
+function shouldFailoverProviderError(error) {
+  if (!(error instanceof ProviderRequestError)) {
+    return false;
+  }
+
+  const statusCode = Number(error.statusCode || 0);
+  return statusCode === 401
+    || statusCode === 402
+    || statusCode === 403
+    || statusCode === 408
+    || statusCode === 429
+    || statusCode >= 500;
 }
 
 async function requestJson(url, options, providerName) {
@@ -0,0 +1,34 @@
+export const DEFAULT_QUERY_INTENT = "dataset";
+
+const WORD_PATTERN = /[a-z0-9]+/g;
+
+// Picks the intent profile whose trigger terms and phrases show up most often
+// in the query. Ties go to the profile listed first in the rules file, and a
+// query that triggers nothing keeps the dataset profile the ranker has always
+// scored with.
+export function classifyQueryIntent(rawQuery, intentProfiles = {}) {
+  const queryText = String(rawQuery || "").toLowerCase().replace(/\s+/g, " ").trim();
+  const queryTerms = new Set(queryText.match(WORD_PATTERN) || []);
+  let best = { intent: DEFAULT_QUERY_INTENT, matchedTerms: [] };
+
+  for (const [intent, profile] of Object.entries(intentProfiles || {})) {
+    const matchedTerms = [
+      ...(profile.triggerTerms || []).filter((term) => queryTerms.has(term)),
+      ...(profile.triggerPhrases || []).filter((phrase) => containsPhrase(queryText, phrase))
+    ];
+    if (matchedTerms.length > best.matchedTerms.length) {
+      best = { intent, matchedTerms };
+    }
+  }
+
+  return best;
+}
+
+// Intent profiles only override the weights they list.
+export function resolveIntentWeights(baseWeights, intentProfiles, intent) {
+  return { ...baseWeights, ...(intentProfiles?.[intent]?.weights || {}) };
+}
+
+function containsPhrase(queryText, phrase) {
+  return ` ${queryText.replace(/[^a-z0-9]+/g, " ")} `.includes(` ${phrase} `);
+}
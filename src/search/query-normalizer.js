@@ -1,9 +1,32 @@
-import { TOKEN_EXPANSIONS } from "./normalization/abbreviations.js";
-import { INDICATOR_ALIAS_RULES } from "./normalization/indicator-aliases.js";
-import { TYPO_CORRECTIONS } from "./normalization/typos.js";
+import { listExtractorMeasureKeywords } from "../extractors/registry.js";
+import { AMBIGUOUS_STATE_ABBREVIATIONS, detectStateMentions } from "./location-signals.js";
+import { NORMALIZATION_RULES } from "./normalization/packs.js";
+import { detectLocations, isPlaceNameToken } from "./place-signals.js";
 
-export const QUERY_NORMALIZATION_VERSION = "2026-03-13-v3";
+export const QUERY_NORMALIZATION_VERSION = NORMALIZATION_RULES.version;
+export const QUERY_NORMALIZATION_PACKS = NORMALIZATION_RULES.packs;
 const MAX_NORMALIZED_TERMS = 24;
+const SUB_QUERY_IDS = Object.freeze(["original", "alias", "formal"]);
+const MAX_PLACE_NAME_TOKENS = 3;
+const MAX_TRANSLATION_PHRASE_TOKENS = Math.max(
+  1,
+  ...[...Object.keys(NORMALIZATION_RULES.translations), ...Object.keys(NORMALIZATION_RULES.placePrefixes)].map(
+    (phrase) => phrase.split(" ").length
+  )
+);
+
+// Fuzzy spelling correction only touches unknown words of five letters or
+// more, allows one edit (two from ten letters up) and needs a single closest
+// vocabulary word that starts with the same letter. Five- and six-letter words
+// are only unswapped ("incmoe"), since one changed letter there often makes
+// another real word ("court" -> "count").
+const MIN_FUZZY_TOKEN_LENGTH = 5;
+const SHORT_FUZZY_TOKEN_LENGTH = 7;
+const LONG_FUZZY_TOKEN_LENGTH = 10;
+const MIN_FUZZY_CONFIDENCE = 0.8;
+const PLACE_SUFFIX_TOKENS = new Set(["county", "parish", "borough", "city"]);
+const SPELLING_VOCABULARY = buildSpellingVocabulary();
+const FUZZY_CANDIDATES = [...SPELLING_VOCABULARY].filter((word) => word.length >= MIN_FUZZY_TOKEN_LENGTH).sort();
 
 export function resolveQueryNormalizationDefault(env = process.env) {
   return parseBooleanLike(env?.NORMALIZE_QUERY, true);
@@ -16,6 +39,11 @@ export function resolveQueryNormalizationPreference(requestValue, fallbackValue)
   return parseBooleanLike(requestValue, Boolean(fallbackValue));
 }
 
+// Each applied rule records what it matched (`from`), what it added or
+// replaced it with (`to`), its `ruleId` and the pack it came from. State and
+// fuzzy spelling rules are built in and carry `pack: null`; fuzzy ones also
+// report their edit `distance` and `confidence`. Queries in another language
+// are translated first and report the pack's `language`.
 export function normalizeSearchQuery(rawQuery, options = {}) {
   const originalQuery = String(rawQuery || "").trim();
   const enabled = Boolean(options.enabled);
@@ -25,8 +53,11 @@ export function normalizeSearchQuery(rawQuery, options = {}) {
     changed: false,
     originalQuery,
     normalizedQuery: originalQuery,
+    language: null,
     appliedRuleCount: 0,
-    appliedRuleTypes: []
+    appliedRuleTypes: [],
+    appliedRules: [],
+    subQueries: originalQuery ? [{ id: "original", query: originalQuery }] : []
   };
 
   if (!enabled || !originalQuery) {
@@ -34,16 +65,35 @@ export function normalizeSearchQuery(rawQuery, options = {}) {
   }
 
   const typoCorrections = [];
-  const correctedTokens = tokenize(rawQuery).map((token) => {
-    const replacement = TYPO_CORRECTIONS[token] || token;
-    if (replacement !== token) {
+  const translation = translateTokens(rawQuery, tokenize(rawQuery));
+  const protectedTokens = collectProtectedTokens(rawQuery, translation.tokens);
+  const correctedTokens = translation.tokens.map((token) => {
+    const correction = NORMALIZATION_RULES.typos[token];
+    if (correction && correction.to !== token) {
       typoCorrections.push({
         type: "typo",
         from: token,
-        to: replacement
+        to: correction.to,
+        ruleId: `typo:${token}`,
+        pack: correction.pack
       });
+      return correction.to;
+    }
+
+    const fuzzy = correction || protectedTokens.has(token) ? null : findFuzzyCorrection(token);
+    if (!fuzzy) {
+      return token;
     }
-    return replacement;
+    typoCorrections.push({
+      type: "fuzzy_typo",
+      from: token,
+      to: fuzzy.to,
+      ruleId: `fuzzy_typo:${token}`,
+      pack: null,
+      distance: fuzzy.distance,
+      confidence: fuzzy.confidence
+    });
+    return fuzzy.to;
   });
 
   const orderedTerms = [];
@@ -56,8 +106,8 @@ export function normalizeSearchQuery(rawQuery, options = {}) {
 
   const seedTerms = [...orderedTerms];
   for (const token of seedTerms) {
-    const expansions = TOKEN_EXPANSIONS[token] || [];
-    for (const expansion of expansions) {
+    const abbreviation = NORMALIZATION_RULES.abbreviations[token];
+    for (const expansion of abbreviation?.phrases || []) {
       const expansionTokens = tokenize(expansion);
       const beforeSize = seenTerms.size;
       for (const expansionToken of expansionTokens) {
@@ -67,17 +117,43 @@ export function normalizeSearchQuery(rawQuery, options = {}) {
         appliedExpansions.push({
           type: "abbreviation",
           from: token,
-          to: expansion
+          to: expansion,
+          ruleId: `abbreviation:${token}`,
+          pack: abbreviation.pack
         });
       }
     }
   }
 
   const correctedPhrase = correctedTokens.join(" ");
-  for (const rule of INDICATOR_ALIAS_RULES) {
-    if (!isIndicatorRuleTriggered(correctedPhrase, rule.triggerPhrases)) {
+  const stateMentions = collectStateMentions(rawQuery, correctedPhrase);
+  for (const state of stateMentions) {
+    const abbr = state.abbr.toLowerCase();
+    const aliases = AMBIGUOUS_STATE_ABBREVIATIONS.has(abbr) ? [state.name] : [state.name, abbr];
+    for (const alias of aliases) {
+      const beforeSize = seenTerms.size;
+      for (const aliasToken of tokenize(alias)) {
+        addTerm(orderedTerms, seenTerms, aliasToken);
+      }
+      if (seenTerms.size > beforeSize) {
+        appliedExpansions.push({
+          type: "state",
+          from: state.matchedBy === "name" ? state.name : abbr,
+          to: alias,
+          ruleId: `state:${abbr}`,
+          pack: null
+        });
+      }
+    }
+  }
+
+  let firstAlias = null;
+  for (const rule of NORMALIZATION_RULES.indicatorAliases) {
+    const trigger = findTriggerPhrase(correctedPhrase, rule.triggerPhrases);
+    if (!trigger) {
       continue;
     }
+    firstAlias = firstAlias || { rule, trigger };
 
     for (const expansion of rule.expansionPhrases) {
       const expansionTokens = tokenize(expansion);
@@ -88,8 +164,10 @@ export function normalizeSearchQuery(rawQuery, options = {}) {
       if (seenTerms.size > beforeSize) {
         appliedExpansions.push({
           type: "indicator_alias",
-          from: rule.id,
-          to: expansion
+          from: trigger,
+          to: expansion,
+          ruleId: `indicator_alias:${rule.id}`,
+          pack: rule.pack
         });
       }
     }
@@ -99,20 +177,296 @@ export function normalizeSearchQuery(rawQuery, options = {}) {
   const normalizedQuery = normalizedTerms.join(" ").trim() || originalQuery;
   const canonicalOriginal = originalQuery.toLowerCase().replace(/\s+/g, " ").trim();
 
-  const appliedRules = [...typoCorrections, ...appliedExpansions];
+  const appliedRules = [...translation.rules, ...typoCorrections, ...appliedExpansions];
   normalization.normalizedQuery = normalizedQuery;
+  normalization.language = translation.language;
   normalization.changed = normalizedQuery !== canonicalOriginal;
   normalization.appliedRuleCount = appliedRules.length;
   normalization.appliedRuleTypes = [...new Set(appliedRules.map((item) => item.type))];
+  normalization.appliedRules = appliedRules;
+  normalization.subQueries = buildSubQueries(correctedPhrase, firstAlias, stateMentions);
 
   return normalization;
 }
 
+// Rewrites phrases from a language pack (Spanish in the bundled packs) into
+// English search terms before spelling correction; the longest phrase wins at
+// each position. A place prefix moves the name in front of its suffix
+// ("condado de Knox" -> "knox county") so place detection sees it. A language's
+// stopwords are only dropped once one of its phrases matched. Stopwords typed
+// in capitals ("DE") or starting a capitalized name ("Los Angeles") are kept.
+function translateTokens(rawQuery, tokens) {
+  const cases = markTokenCases(rawQuery);
+  const output = [];
+  const rules = [];
+  const languages = [];
+  const useLanguage = (language) => {
+    if (!languages.includes(language)) {
+      languages.push(language);
+    }
+  };
+
+  for (let index = 0; index < tokens.length; ) {
+    const prefix = matchPackPhrase(tokens, index, NORMALIZATION_RULES.placePrefixes);
+    const nameStart = index + (prefix?.length || 0);
+    if (prefix && nameStart < tokens.length) {
+      const nameLength = resolvePlaceNameLength(tokens, nameStart, prefix.rule.to);
+      const name = tokens.slice(nameStart, nameStart + nameLength).join(" ");
+      output.push(...tokenize(`${name} ${prefix.rule.to}`).map((token) => ({ token, case: "lower" })));
+      rules.push({
+        type: "place_prefix",
+        from: `${prefix.phrase} ${name}`,
+        to: `${name} ${prefix.rule.to}`,
+        ruleId: `place_prefix:${prefix.phrase}`,
+        pack: prefix.rule.pack
+      });
+      useLanguage(prefix.rule.language);
+      index = nameStart + nameLength;
+      continue;
+    }
+
+    const phrase = matchPackPhrase(tokens, index, NORMALIZATION_RULES.translations);
+    if (phrase) {
+      output.push(...tokenize(phrase.rule.to).map((token) => ({ token, case: "lower" })));
+      rules.push({
+        type: "translation",
+        from: phrase.phrase,
+        to: phrase.rule.to,
+        ruleId: `translation:${phrase.phrase}`,
+        pack: phrase.rule.pack
+      });
+      useLanguage(phrase.rule.language);
+      index += phrase.length;
+      continue;
+    }
+
+    output.push({ token: tokens[index], case: cases[index] || "lower" });
+    index += 1;
+  }
+
+  const kept = output.filter((entry, index) => {
+    const stopword = Object.hasOwn(NORMALIZATION_RULES.stopwords, entry.token)
+      ? NORMALIZATION_RULES.stopwords[entry.token]
+      : null;
+    const startsName = entry.case !== "lower" && (output[index + 1]?.case || "lower") !== "lower";
+    if (!stopword || !languages.includes(stopword.language) || entry.case === "upper" || startsName) {
+      return true;
+    }
+    rules.push({ type: "stopword", from: entry.token, to: "", ruleId: `stopword:${entry.token}`, pack: stopword.pack });
+    return false;
+  });
+
+  return { tokens: kept.map((entry) => entry.token), rules, language: languages[0] || null };
+}
+
+function matchPackPhrase(tokens, index, rules) {
+  for (let length = Math.min(MAX_TRANSLATION_PHRASE_TOKENS, tokens.length - index); length > 0; length -= 1) {
+    const phrase = tokens.slice(index, index + length).join(" ");
+    if (Object.hasOwn(rules, phrase)) {
+      return { phrase, length, rule: rules[phrase] };
+    }
+  }
+  return null;
+}
+
+// The longest run of words (up to three) that names a known place with the
+// suffix; one word when none does.
+function resolvePlaceNameLength(tokens, start, suffix) {
+  for (let length = Math.min(MAX_PLACE_NAME_TOKENS, tokens.length - start); length > 1; length -= 1) {
+    if (detectLocations(`${tokens.slice(start, start + length).join(" ")} ${suffix}`).places.length > 0) {
+      return length;
+    }
+  }
+  return 1;
+}
+
+// One entry per token from `tokenize`: "upper" for words typed in capitals
+// ("DE"), "title" for capitalized words and "lower" otherwise.
+function markTokenCases(rawQuery) {
+  return (foldAccents(rawQuery).match(/[A-Za-z0-9]+/g) || []).map((word) => {
+    if (word.length > 1 && word === word.toUpperCase() && /[A-Z]/.test(word)) {
+      return "upper";
+    }
+    return /^[A-Z]/.test(word) ? "title" : "lower";
+  });
+}
+
+// Alternative wordings the pipeline sends to the provider as separate searches,
+// since one long string of every expansion finds less: the spelling-corrected
+// query, the first matching indicator alias in its alias phrasing, and a
+// formal version that uses the indicator's formal name and spells out
+// abbreviations and state codes. Duplicates are dropped.
+function buildSubQueries(correctedPhrase, firstAlias, stateMentions) {
+  const stateNames = new Map(
+    stateMentions
+      .filter((state) => state.matchedBy === "abbreviation")
+      .map((state) => [state.abbr.toLowerCase(), state.name.toLowerCase()])
+  );
+  const aliasPhrase = firstAlias?.rule.expansionPhrases.find((phrase) => phrase !== firstAlias.trigger);
+  const formalPhrase = firstAlias?.rule.formalName
+    ? replacePhrase(correctedPhrase, firstAlias.trigger, firstAlias.rule.formalName)
+    : correctedPhrase;
+  const candidates = {
+    original: correctedPhrase,
+    alias: aliasPhrase ? replacePhrase(correctedPhrase, firstAlias.trigger, aliasPhrase) : "",
+    formal: tokenize(formalPhrase)
+      .map((token) => NORMALIZATION_RULES.abbreviations[token]?.phrases[0] || stateNames.get(token) || token)
+      .join(" ")
+  };
+
+  const subQueries = [];
+  for (const id of SUB_QUERY_IDS) {
+    const query = candidates[id];
+    if (query && !subQueries.some((subQuery) => subQuery.query === query)) {
+      subQueries.push({ id, query });
+    }
+  }
+  return subQueries;
+}
+
+function replacePhrase(phrase, from, to) {
+  return ` ${phrase} `.replace(` ${from} `, ` ${to} `).trim();
+}
+
+// Acronyms typed in capitals ("SNAP", "BRFSS"), place names from the gazetteer
+// and the word before "County" or "Parish" are never fuzzy-corrected.
+function collectProtectedTokens(rawQuery, tokens) {
+  const protectedTokens = new Set(
+    (String(rawQuery || "").match(/[A-Za-z0-9]+/g) || [])
+      .filter((word) => /[A-Z]/.test(word) && word === word.toUpperCase())
+      .map((word) => word.toLowerCase())
+  );
+  tokens.forEach((token, index) => {
+    if (isPlaceNameToken(token) || PLACE_SUFFIX_TOKENS.has(tokens[index + 1])) {
+      protectedTokens.add(token);
+    }
+  });
+  return protectedTokens;
+}
+
+function findFuzzyCorrection(token) {
+  if (token.length < MIN_FUZZY_TOKEN_LENGTH || /[0-9]/.test(token) || SPELLING_VOCABULARY.has(token)) {
+    return null;
+  }
+
+  const maxDistance = token.length >= LONG_FUZZY_TOKEN_LENGTH ? 2 : 1;
+  let bestDistance = maxDistance + 1;
+  let bestWords = [];
+  for (const word of FUZZY_CANDIDATES) {
+    // Plurals and other word endings ("rates" -> "rate") are not typos.
+    if (word[0] !== token[0] || word.startsWith(token) || token.startsWith(word)) {
+      continue;
+    }
+    if (token.length < SHORT_FUZZY_TOKEN_LENGTH && !isAdjacentSwap(token, word)) {
+      continue;
+    }
+    const distance = boundedEditDistance(token, word, Math.min(maxDistance, bestDistance));
+    if (distance > maxDistance) {
+      continue;
+    }
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      bestWords = [word];
+    } else if (distance === bestDistance) {
+      bestWords.push(word);
+    }
+  }
+
+  if (bestWords.length !== 1) {
+    return null;
+  }
+
+  const [to] = bestWords;
+  const confidence = Number((1 - bestDistance / Math.max(token.length, to.length)).toFixed(2));
+  return confidence >= MIN_FUZZY_CONFIDENCE ? { to, distance: bestDistance, confidence } : null;
+}
+
+function isAdjacentSwap(source, target) {
+  if (source.length !== target.length) {
+    return false;
+  }
+  const mismatches = [];
+  for (let index = 0; index < source.length; index += 1) {
+    if (source[index] !== target[index]) {
+      mismatches.push(index);
+    }
+  }
+  const [first, second] = mismatches;
+  return mismatches.length === 2 &&
+    second === first + 1 &&
+    source[first] === target[second] &&
+    source[second] === target[first];
+}
+
+// Damerau-Levenshtein distance (optimal string alignment, so "hosueholds" is
+// one swap from "households"). Returns maxDistance + 1 as soon as the
+// distance is known to exceed maxDistance.
+function boundedEditDistance(source, target, maxDistance) {
+  if (Math.abs(source.length - target.length) > maxDistance) {
+    return maxDistance + 1;
+  }
+
+  let previousRow = null;
+  let row = Array.from({ length: target.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= source.length; i += 1) {
+    const nextRow = [i];
+    let rowMinimum = i;
+    for (let j = 1; j <= target.length; j += 1) {
+      const cost = source[i - 1] === target[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && source[i - 1] === target[j - 2] && source[i - 2] === target[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      nextRow.push(value);
+      rowMinimum = Math.min(rowMinimum, value);
+    }
+    if (rowMinimum > maxDistance) {
+      return maxDistance + 1;
+    }
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return Math.min(row[target.length], maxDistance + 1);
+}
+
+// Words from every pack (typo targets, abbreviation expansions, indicator
+// aliases and the pack vocabulary, which lists the County Health Rankings
+// measure names in core) plus the extractors' measure keywords.
+function buildSpellingVocabulary() {
+  const phrases = [
+    ...Object.values(NORMALIZATION_RULES.typos).map((correction) => correction.to),
+    ...Object.values(NORMALIZATION_RULES.abbreviations).flatMap((abbreviation) => abbreviation.phrases),
+    ...NORMALIZATION_RULES.indicatorAliases.flatMap((rule) => [...rule.triggerPhrases, ...rule.expansionPhrases]),
+    ...NORMALIZATION_RULES.vocabulary,
+    ...Object.values(NORMALIZATION_RULES.translations).map((translation) => translation.to),
+    ...listExtractorMeasureKeywords()
+  ];
+  return new Set(phrases.flatMap(tokenize));
+}
+
+// The raw query keeps capitals ("Portland, OR"); the corrected phrase catches
+// state names that only appear after typo fixes ("tennesee").
+function collectStateMentions(rawQuery, correctedPhrase) {
+  const mentions = new Map();
+  for (const state of [...detectStateMentions(rawQuery), ...detectStateMentions(correctedPhrase)]) {
+    if (!mentions.has(state.abbr)) {
+      mentions.set(state.abbr, state);
+    }
+  }
+  return [...mentions.values()];
+}
+
 function tokenize(value) {
-  const normalized = String(value || "").toLowerCase();
+  const normalized = foldAccents(value).toLowerCase();
   return normalized.match(/[a-z0-9]+/g) || [];
 }
 
+// "Educación" and "niños" are matched as "educacion" and "ninos".
+function foldAccents(value) {
+  return String(value || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+}
+
 function addTerm(target, seen, value) {
   const normalized = String(value || "").trim().toLowerCase();
   if (!normalized) {
@@ -127,13 +481,17 @@ function addTerm(target, seen, value) {
   target.push(normalized);
 }
 
-function isIndicatorRuleTriggered(queryPhrase, triggerPhrases) {
+// Returns the longest trigger in the query, so "mental health providers" is
+// replaced whole rather than leaving "providers" behind in a sub-query.
+function findTriggerPhrase(queryPhrase, triggerPhrases) {
   const normalized = ` ${String(queryPhrase || "").toLowerCase()} `;
-  return triggerPhrases.some((phrase) => {
-    const escaped = escapeRegExp(phrase.toLowerCase());
-    const pattern = new RegExp(`(^|[^a-z0-9])${escaped}([^a-z0-9]|$)`);
-    return pattern.test(normalized);
-  });
+  return triggerPhrases
+    .filter((phrase) => {
+      const escaped = escapeRegExp(phrase.toLowerCase());
+      const pattern = new RegExp(`(^|[^a-z0-9])${escaped}([^a-z0-9]|$)`);
+      return pattern.test(normalized);
+    })
+    .reduce((longest, phrase) => (longest && longest.length >= phrase.length ? longest : phrase), undefined);
 }
 
 function parseBooleanLike(candidate, fallback) {
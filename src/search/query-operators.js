@@ -0,0 +1,116 @@
+import { DOMAIN_CATALOG } from "./providers.js";
+
+const OPERATOR_PATTERN = /(^|\s)(-?)(site|filetype|ext|source):("[^"]*"|\S*)/gi;
+const HOSTNAME_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+const FILE_TYPE_PATTERN = /^[a-z0-9]{1,8}$/;
+
+export const EMPTY_QUERY_OPERATORS = Object.freeze({
+  includeDomains: Object.freeze([]),
+  excludeDomains: Object.freeze([]),
+  fileTypes: Object.freeze([]),
+  sources: Object.freeze([])
+});
+
+// `source:` takes "priority" or a domain catalog tier id such as "federal".
+export function listSourceOperatorValues() {
+  return ["priority", ...Object.keys(DOMAIN_CATALOG.tiers)];
+}
+
+// Pulls `site:`, `-site:`, `filetype:` (or `ext:`) and `source:` out of the
+// query. The remaining text is what gets normalized and searched; operators
+// that do not parse are dropped from the text and listed in `invalid`.
+export function parseQueryOperators(rawQuery) {
+  const includeDomains = new Set();
+  const excludeDomains = new Set();
+  const fileTypes = new Set();
+  const sources = new Set();
+  const applied = [];
+  const invalid = [];
+  const sourceValues = listSourceOperatorValues();
+
+  const query = String(rawQuery || "")
+    .replace(OPERATOR_PATTERN, (match, leading, negation, rawName, rawValue) => {
+      const name = rawName.toLowerCase();
+      const value = rawValue.replace(/^"|"$/g, "").trim().toLowerCase();
+      const token = match.trim();
+
+      if (name === "site") {
+        const domain = normalizeOperatorDomain(value);
+        if (!domain) {
+          invalid.push(token);
+        } else {
+          (negation ? excludeDomains : includeDomains).add(domain);
+          applied.push(`${negation}site:${domain}`);
+        }
+      } else if (negation) {
+        invalid.push(token);
+      } else if (name === "filetype" || name === "ext") {
+        const fileType = value.replace(/^\./, "");
+        if (!FILE_TYPE_PATTERN.test(fileType)) {
+          invalid.push(token);
+        } else {
+          fileTypes.add(fileType);
+          applied.push(`filetype:${fileType}`);
+        }
+      } else if (sourceValues.includes(value)) {
+        sources.add(value);
+        applied.push(`source:${value}`);
+      } else {
+        invalid.push(token);
+      }
+
+      return leading;
+    })
+    .replace(/\s+/g, " ")
+    .trim();
+
+  for (const domain of excludeDomains) {
+    includeDomains.delete(domain);
+  }
+
+  return {
+    query,
+    operators: {
+      includeDomains: [...includeDomains],
+      excludeDomains: [...excludeDomains],
+      fileTypes: [...fileTypes],
+      sources: [...sources]
+    },
+    applied: [...new Set(applied)],
+    invalid
+  };
+}
+
+export function hasQueryOperators(operators) {
+  return Boolean(
+    operators &&
+      (operators.includeDomains?.length ||
+        operators.excludeDomains?.length ||
+        operators.fileTypes?.length ||
+        operators.sources?.length)
+  );
+}
+
+// Stable text form for cache keys and display, independent of typing order.
+export function describeQueryOperators(operators) {
+  if (!hasQueryOperators(operators)) {
+    return "";
+  }
+
+  return [
+    ...[...operators.includeDomains].sort().map((domain) => `site:${domain}`),
+    ...[...operators.excludeDomains].sort().map((domain) => `-site:${domain}`),
+    ...[...operators.fileTypes].sort().map((fileType) => `filetype:${fileType}`),
+    ...[...operators.sources].sort().map((source) => `source:${source}`)
+  ].join(" ");
+}
+
+function normalizeOperatorDomain(value) {
+  const domain = value
+    .replace(/^[a-z]+:\/\//, "")
+    .replace(/[/?#].*$/, "")
+    .replace(/^\*\./, "")
+    .replace(/^www\./, "")
+    .replace(/\.$/, "");
+  return HOSTNAME_PATTERN.test(domain) ? domain : "";
+}
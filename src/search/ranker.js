@@ -1,10 +1,20 @@
-import { PRIORITY_DOMAINS } from "./providers.js";
+import { DOMAIN_CATALOG } from "./providers.js";
+import { loadDatasetCatalog, searchDatasetCatalog } from "./dataset-catalog.js";
+import { rerankResults } from "./lexical-rerank.js";
+import { collapseNearDuplicates } from "./near-duplicates.js";
+import { EMPTY_QUERY_OPERATORS } from "./query-operators.js";
+import { classifyQueryIntent, resolveIntentWeights } from "./query-intent.js";
+import { buildLocationSignal } from "./location-signals.js";
+import { detectLocations, normalizePlaceText } from "./place-signals.js";
+import { STALE_VINTAGE_AGE_YEARS, detectTemporalIntent, extractMentionedYears } from "./temporal-intent.js";
+import { INTENT_WEIGHT_KEYS, loadRankingRules } from "./ranking-rules.js";
 
 const DEFAULT_SEARCH_COST_MODE = "economy";
 const SEARCH_COST_MODES = {
   economy: {
     mode: "economy",
     maxProviderCalls: 4,
+    maxSubQueryCalls: 1,
     maxTopicSeedCalls: 2,
     maxTopicSeedDomainsPerRule: 2,
     topicSeedResultCount: 10,
@@ -12,11 +22,13 @@ const SEARCH_COST_MODES = {
     dataCensusSeedResultCount: 8,
     stageADomainBatchSize: 6,
     stageABatchLimit: 2,
+    stageAConcurrency: 2,
     stageABatchResultCount: 12,
     stageADomainResultCount: 8,
     allowStageADomainFallbackOn422: false,
     stageABufferLimit: 16,
     stageAMaxResultsPerDomain: 2,
+    maxCatalogResults: 4,
     maxPriorityResults: 8,
     minStageADiverseDomains: 3,
     minGoodResults: 8,
@@ -28,6 +40,7 @@ const SEARCH_COST_MODES = {
   standard: {
     mode: "standard",
     maxProviderCalls: 8,
+    maxSubQueryCalls: 2,
     maxTopicSeedCalls: 6,
     maxTopicSeedDomainsPerRule: 3,
     topicSeedResultCount: 12,
@@ -35,11 +48,13 @@ const SEARCH_COST_MODES = {
     dataCensusSeedResultCount: 12,
     stageADomainBatchSize: 4,
     stageABatchLimit: 6,
+    stageAConcurrency: 3,
     stageABatchResultCount: 20,
     stageADomainResultCount: 10,
     allowStageADomainFallbackOn422: true,
     stageABufferLimit: 24,
     stageAMaxResultsPerDomain: 3,
+    maxCatalogResults: 6,
     maxPriorityResults: 10,
     minStageADiverseDomains: 4,
     minGoodResults: 8,
@@ -52,82 +67,47 @@ const SEARCH_COST_MODES = {
 
 const DATA_CENSUS_HOST = "data.census.gov";
 const CENSUS_HOST = "census.gov";
-const DATA_CENSUS_BONUS = 160;
-const DATA_CENSUS_INTENT_BONUS = 220;
-const BROAD_CENSUS_DATA_INTENT_PENALTY = 130;
-const DATA_ASSET_HINT_BONUS = 90;
-const DATA_FILE_EXTENSION_BONUS = 140;
-const DATA_MAP_HINT_BONUS = 45;
-const NON_DATA_HINT_PENALTY = 45;
+const RANKING_RULES = loadRankingRules(process.env.SEARCH_RANKING_RULES_PATH);
+export const RANKING_RULES_VERSION = RANKING_RULES.version;
+const DATASET_CATALOG = loadDatasetCatalog(process.env.SEARCH_DATASET_CATALOG_PATH);
+export const DATASET_CATALOG_VERSION = DATASET_CATALOG.version;
+export const DATASET_CATALOG_SIZE = DATASET_CATALOG.datasets.length;
+
+const DATA_CENSUS_BONUS = RANKING_RULES.weights.dataCensusBonus;
+const DATA_CENSUS_INTENT_BONUS = RANKING_RULES.weights.dataCensusIntentBonus;
+const BROAD_CENSUS_DATA_INTENT_PENALTY = RANKING_RULES.weights.broadCensusDataIntentPenalty;
+// The resource-type weights are picked per query from the intent profiles.
+const BASE_INTENT_WEIGHTS = Object.fromEntries(INTENT_WEIGHT_KEYS.map((key) => [key, RANKING_RULES.weights[key]]));
+const INTENT_PROFILES = RANKING_RULES.intentProfiles || {};
 const PRIORITY_ASSET_QUERY_SUFFIX = "dataset table download csv xlsx";
-
-const LOCATION_SIGNAL_BONUS = 70;
-const MISSING_LOCATION_SIGNAL_PENALTY = 90;
-const COUNTY_SIGNAL_BONUS = 55;
-const MISSING_COUNTY_SIGNAL_PENALTY = 120;
-const CENSUS_WHEN_TOPIC_PENALTY = 190;
-const TOPIC_PHRASE_TITLE_BONUS = 72;
-const TOPIC_PHRASE_SNIPPET_BONUS = 36;
-const TOPIC_PHRASE_URL_BONUS = 24;
-
-const DATA_ASSET_HINTS = [
-  "table",
-  "tables",
-  "dataset",
-  "datasets",
-  "data",
-  "download",
-  "indicator",
-  "csv",
-  "xls",
-  "xlsx",
-  "api",
-  "open data",
-  "microdata",
-  "shapefile",
-  "geojson",
-  "map",
-  "gis"
-];
-
-const DATA_FILE_EXTENSIONS = [
-  ".csv",
-  ".xls",
-  ".xlsx",
-  ".zip",
-  ".json",
-  ".geojson",
-  ".shp",
-  ".gpkg",
-  ".kml",
-  ".kmz"
-];
-
-const DATA_MAP_HINTS = [
-  "map",
-  "arcgis",
-  "geoplatform",
-  "atlas",
-  "hifld",
-  "gis"
-];
-
-const NON_DATA_HINTS = [
-  "news",
-  "press release",
-  "blog",
-  "about",
-  "careers",
-  "privacy",
-  "terms",
-  "contact us",
-  "rehab",
-  "rehabs",
-  "detox",
-  "treatment center",
-  "recovery center",
-  "addiction treatment"
-];
+const MAX_SUB_QUERIES = 3;
+const RRF_K = 60;
+
+const LOCATION_SIGNAL_BONUS = RANKING_RULES.weights.locationSignalBonus;
+const MISSING_LOCATION_SIGNAL_PENALTY = RANKING_RULES.weights.missingLocationSignalPenalty;
+const COUNTY_SIGNAL_BONUS = RANKING_RULES.weights.countySignalBonus;
+const MISSING_COUNTY_SIGNAL_PENALTY = RANKING_RULES.weights.missingCountySignalPenalty;
+const PLACE_SIGNAL_BONUS = RANKING_RULES.weights.placeSignalBonus;
+const YEAR_MATCH_BONUS = RANKING_RULES.weights.yearMatchBonus;
+const STALE_VINTAGE_PENALTY = RANKING_RULES.weights.staleVintagePenalty;
+const LEXICAL_RERANK_BONUS = RANKING_RULES.weights.lexicalRerankBonus;
+const CENSUS_WHEN_TOPIC_PENALTY = RANKING_RULES.weights.censusWhenTopicPenalty;
+const TOPIC_PHRASE_TITLE_BONUS = RANKING_RULES.weights.topicPhraseTitleBonus;
+const TOPIC_PHRASE_SNIPPET_BONUS = RANKING_RULES.weights.topicPhraseSnippetBonus;
+const TOPIC_PHRASE_URL_BONUS = RANKING_RULES.weights.topicPhraseUrlBonus;
+const DATASET_CATALOG_BONUS = RANKING_RULES.weights.datasetCatalogBonus;
+
+const DATA_ASSET_HINTS = RANKING_RULES.hints.dataAsset;
+const DATA_FILE_EXTENSIONS = RANKING_RULES.hints.dataFileExtensions;
+const DATA_MAP_HINTS = RANKING_RULES.hints.dataMap;
+const NON_DATA_HINTS = RANKING_RULES.hints.nonData;
+const REPORT_HINTS = RANKING_RULES.hints.report;
+const METHODOLOGY_HINTS = RANKING_RULES.hints.methodology;
+const DOCUMENT_EXTENSIONS = RANKING_RULES.hints.documentExtensions;
+// Labels read the title and URL only; "data" on its own says little about
+// what kind of page a result is, while dashboards and viewers are maps here.
+const DATASET_RESOURCE_HINTS = DATA_ASSET_HINTS.filter((hint) => hint !== "data");
+const MAP_RESOURCE_HINTS = [...DATA_MAP_HINTS, "dashboard", "dashboards", "viewer"];
 
 const LOW_SIGNAL_TERMS = new Set([
   "for",
@@ -148,122 +128,42 @@ const LOW_SIGNAL_TERMS = new Set([
   "map",
   "maps",
   "table",
-  "tables"
+  "tables",
+  "latest",
+  "newest",
+  "recent"
 ]);
 
-const LOCATION_SIGNAL_GROUPS = [
-  { id: "tn", aliases: ["tn", "tennessee"] },
-  { id: "va", aliases: ["va", "virginia"] }
-];
-
-const TOPIC_DOMAIN_BOOST_RULES = [
-  {
-    triggerTerms: ["absent", "absence", "attendance", "chronic"],
-    domains: ["nces.ed.gov", "tn.gov", "vdh.virginia.gov"],
-    bonus: 420
-  },
-  {
-    triggerTerms: ["incarceration", "incarcerated", "jail", "prison", "offender"],
-    domains: ["ucr.fbi.gov", "urban.org", "tn.gov"],
-    bonus: 430
-  },
-  {
-    triggerTerms: ["drought", "dry", "water"],
-    domains: ["droughtmonitor.unl.edu", "epa.gov", "tn.gov"],
-    bonus: 460
-  },
-  {
-    triggerTerms: ["opportunity", "mobility", "atlas"],
-    domains: ["opportunityinsights.org"],
-    bonus: 560
-  },
-  {
-    triggerTerms: ["medicaid", "medicare", "chip"],
-    domains: ["cms.gov", "tn.gov", "hhs.gov", "acf.hhs.gov"],
-    bonus: 430
-  },
-  {
-    triggerTerms: ["food", "desert", "insecurity"],
-    triggerPhrases: ["low food access", "food access", "food environment"],
-    seedPhrases: ["limited access to healthy foods", "food environment index"],
-    domainSeedPhrases: {
-      "ers.usda.gov": ["food access research atlas"]
-    },
-    domains: ["countyhealthrankings.org", "ers.usda.gov", "feedingamerica.org"],
-    bonus: 430
-  },
-  {
-    triggerPhrases: ["affordable housing", "housing cost burden", "severe housing cost burden", "rent burden"],
-    seedPhrases: ["severe housing cost burden", "severe housing problems"],
-    domains: [DATA_CENSUS_HOST, "countyhealthrankings.org", "hud.gov", "cnt.org"],
-    bonus: 450
-  },
-  {
-    triggerPhrases: ["broadband access", "internet access", "internet subscription", "digital divide"],
-    seedPhrases: ["broadband access", "internet subscription"],
-    domainSeedPhrases: {
-      "broadbandmap.fcc.gov": ["fcc national broadband map"]
-    },
-    domains: ["countyhealthrankings.org", DATA_CENSUS_HOST, "broadbandmap.fcc.gov", "ers.usda.gov"],
-    bonus: 430
-  },
-  {
-    triggerTerms: ["transit", "transportation", "commute", "mobility"],
-    domains: ["transportation.gov", "cnt.org", "tn.gov"],
-    bonus: 390
-  },
-  {
-    triggerTerms: ["homeless", "homelessness", "shelter", "unsheltered"],
-    domains: ["hud.gov", "tn.gov", "countyhealthrankings.org", "hhs.gov", "acf.hhs.gov"],
-    bonus: 430
-  },
-  {
-    triggerTerms: ["childcare", "daycare", "headstart", "prekindergarten"],
-    triggerPhrases: ["child care", "child care centers"],
-    seedPhrases: ["child care centers", "early care and education"],
-    domains: ["acf.hhs.gov", "hhs.gov", "tn.gov", "countyhealthrankings.org"],
-    bonus: 430
-  },
-  {
-    triggerPhrases: ["primary care providers", "primary care physicians", "primary care"],
-    seedPhrases: ["primary care physicians", "other primary care providers"],
-    domains: ["countyhealthrankings.org", "cdc.gov", "healthdata.tn.gov", "cms.gov", "hhs.gov", "tn.gov"],
-    bonus: 440
-  },
-  {
-    triggerPhrases: ["behavioral health", "mental health", "behavioral health providers", "mental health providers"],
-    seedPhrases: ["behavioral health providers", "mental health providers"],
-    domains: ["countyhealthrankings.org", "cdc.gov", "hhs.gov", "samhsa.gov", "healthdata.tn.gov", "tn.gov"],
-    bonus: 440
-  },
-  {
-    triggerPhrases: ["substance abuse", "substance misuse", "drug abuse", "drug overdose", "opioid overdose", "excessive drinking", "alcohol and drug use"],
-    seedPhrases: ["drug overdose deaths", "excessive drinking"],
-    domains: ["countyhealthrankings.org", "cdc.gov", "samhsa.gov", "healthdata.tn.gov", "tn.gov", "hhs.gov"],
-    bonus: 460
-  },
-  {
-    triggerPhrases: ["substance abuse providers", "substance use providers", "addiction providers"],
-    seedPhrases: ["mental health providers", "substance use treatment"],
-    domains: ["countyhealthrankings.org", "samhsa.gov", "healthdata.tn.gov", "hhs.gov"],
-    bonus: 430
-  },
-  {
-    triggerPhrases: ["adult smoking", "current smokers", "smoking", "tobacco use"],
-    seedPhrases: ["adult smoking", "tobacco use"],
-    domains: ["countyhealthrankings.org", "healthdata.tn.gov", "cdc.gov", "hhs.gov"],
-    bonus: 430
-  },
-  {
-    triggerPhrases: ["air quality", "air pollution", "pm2.5", "particulate matter"],
-    seedPhrases: ["air pollution particulate matter", "air quality"],
-    domainSeedPhrases: {
-      "ephtracking.cdc.gov": ["air quality"]
-    },
-    domains: ["countyhealthrankings.org", "ephtracking.cdc.gov", "epa.gov", "healthdata.tn.gov", "vdh.virginia.gov"],
-    bonus: 440
-  }
-];
+const TOPIC_DOMAIN_BOOST_RULES = RANKING_RULES.topicRules;
+
+const SCORE_COMPONENT_LABELS = {
+  priority_domain: "Trusted priority domain",
+  dataset_catalog: "Curated dataset catalog entry",
+  data_census_host: "data.census.gov table",
+  data_census_intent: "Query asks for Census data tables",
+  broad_census_for_data_intent: "Broad census.gov page for a data-table query",
+  data_asset_hint: "Looks like a dataset or table",
+  data_map_hint: "Looks like a map or dashboard",
+  data_file_extension: "Direct data file link",
+  report_hint: "Looks like a report or brief",
+  methodology_hint: "Looks like methodology or documentation",
+  document_file: "Direct document link",
+  non_data_hint: "Looks like news, a blog or a press page",
+  core_term_coverage: "Matches core query terms",
+  topic_term_coverage: "Matches topic terms",
+  topic_phrase_matches: "Matches topic phrases",
+  query_term_matches: "Query words in title, snippet or URL",
+  location_signal: "Mentions the requested place",
+  missing_location_signal: "Does not mention the requested place",
+  county_signal: "Mentions county-level data",
+  missing_county_signal: "No county-level signal for a county query",
+  place_signal: "Mentions the requested county or city",
+  year_match: "Mentions the requested year",
+  stale_vintage: "Older data for a latest-data query",
+  lexical_rerank: "Wording close to the query (rerank)",
+  topic_domain_boost: "Preferred source for this topic",
+  topic_mismatch_penalty: "Census source for a non-Census topic"
+};
 
 const CENSUS_SEED_TERMS = new Set([
   "income",
@@ -302,196 +202,400 @@ export function getSearchCostConfig({ mode, maxProviderCalls } = {}) {
 }
 
 export async function runSearchPipeline({ query, provider, options = {} }) {
-  const queryContext = buildQueryContext(query);
+  const queryContext = buildQueryContext(query, { now: options.now, operators: options.operators });
   const costProfile = resolveSearchCostProfile(options.costMode);
-  const requestBudget = createRequestBudget(costProfile, options.maxProviderCalls);
+  // Without a provider only the local dataset catalog is searched.
+  const requestBudget = createRequestBudget(
+    provider ? normalizeMaxProviderCalls(options.maxProviderCalls, costProfile.maxProviderCalls) : 0
+  );
+  const explain = options.explain === true;
+  const rerank = options.rerank === true;
+  const localCatalog = options.localCatalog === true || !provider;
+  const rankOptions = { explain, rerank, queryContext };
+  // Sub-queries are alternative wordings from query normalization. The first
+  // stands in for the query in every provider call and the broad search runs
+  // each of them; without them the query is sent as given.
+  const subQueries = resolveSubQueries(options.subQueries);
+  const trackFoundBy = subQueries.length > 0;
+  const searchPlan = trackFoundBy ? subQueries : [{ id: "original", query }];
+  const providerQuery = searchPlan[0].query;
+  // The first sub-query shares the request budget; the others have their own
+  // small budget, spent only when the broad search runs.
+  const subQueryBudget = createRequestBudget(
+    requestBudget.limit > 0 ? Math.min(searchPlan.length - 1, costProfile.maxSubQueryCalls) : 0
+  );
 
-  const seenUrls = new Set();
+  const seenRows = new Map();
+  const catalogResults = [];
   const stageAPriorityResults = [];
   const stageADomainCounts = new Map();
-
-  let topicSeedCalls = 0;
-  for (const activeRule of queryContext.activeTopicRules) {
-    const limitedDomains = activeRule.domains.slice(0, costProfile.maxTopicSeedDomainsPerRule);
-    const domainSeedPlans = limitedDomains.map((domain) => ({
-      domain,
-      queries: buildTopicSeedQueries(queryContext, activeRule, domain, query)
-    }));
-
-    let seedDepth = 0;
-    while (topicSeedCalls < costProfile.maxTopicSeedCalls && requestBudget.remaining > 1) {
-      let executedAtDepth = false;
-
-      for (const plan of domainSeedPlans) {
-        const seedQuery = plan.queries[seedDepth];
-        if (!seedQuery) {
-          continue;
-        }
-
-        const domainSeedRows = await searchQueryAllow422({
-          provider,
-          query: seedQuery,
-          count: costProfile.topicSeedResultCount,
-          requestBudget
-        });
-
-        topicSeedCalls += 1;
-        executedAtDepth = true;
-        appendUniquePriorityRows({
-          rows: domainSeedRows,
-          queryContext,
-          seenUrls,
-          target: stageAPriorityResults,
-          domainCounts: stageADomainCounts,
-          maxPerDomain: 2,
-          bufferLimit: costProfile.stageABufferLimit
-        });
-
-        if (topicSeedCalls >= costProfile.maxTopicSeedCalls || requestBudget.remaining <= 1) {
-          break;
-        }
-      }
-
-      if (!executedAtDepth) {
-        break;
-      }
-
-      seedDepth += 1;
+  const emitStage = (stage, items, details = {}) => {
+    if (typeof options.onStage !== "function") {
+      return;
     }
 
-    if (topicSeedCalls >= costProfile.maxTopicSeedCalls || requestBudget.remaining <= 1) {
-      break;
+    options.onStage({
+      stage,
+      ...details,
+      costMode: costProfile.mode,
+      providerRequestCount: requestBudget.used + subQueryBudget.used,
+      providerRequestLimit: requestBudget.limit + subQueryBudget.limit,
+      results: buildRankedResults([...catalogResults, ...items], costProfile, rankOptions)
+    });
+  };
+
+  const catalogMatches = localCatalog ? searchCatalogForQuery(queryContext, costProfile.maxCatalogResults) : [];
+  for (const { entry } of catalogMatches) {
+    const normalized = normalizeRow(
+      { title: entry.title, url: entry.url, snippet: entry.description, keywords: entry.keywords, catalogId: entry.id },
+      queryContext
+    );
+    if (normalized && !seenRows.has(normalized.urlKey)) {
+      seenRows.set(normalized.urlKey, normalized);
+      catalogResults.push(normalized);
     }
   }
 
-  if (shouldSeedDataCensus(queryContext)) {
-    let dataSeedCalls = 0;
-    for (const seedQuery of buildDataCensusSeedQueries(query)) {
-      if (dataSeedCalls >= costProfile.maxDataCensusSeedCalls || requestBudget.remaining <= 1) {
-        break;
-      }
+  if (catalogResults.length > 0) {
+    emitStage("dataset_catalog", [], { matchCount: catalogResults.length });
+  }
 
-      const seedRows = await searchQueryAllow422({
+  // Higher-bonus tiers are searched first; sort is stable, so catalog order breaks ties.
+  // A `site:` operator replaces the catalog with the requested domains.
+  const stageADomains = queryContext.operators.includeDomains.length > 0
+    ? [...queryContext.operators.includeDomains]
+    : [...queryContext.priorityDomains]
+        .sort((a, b) => b.bonus - a.bonus)
+        .map((entry) => entry.domain)
+        .filter((domain) => domain !== DATA_CENSUS_HOST && isDomainAllowedByOperators(domain, queryContext));
+  const stageABatches = chunkArray(stageADomains, costProfile.stageADomainBatchSize);
+  const stageABatchCount = Math.min(stageABatches.length, costProfile.stageABatchLimit);
+  const stageAConcurrency = normalizeMaxProviderCalls(options.stageAConcurrency, costProfile.stageAConcurrency);
+
+  const topicSeedQueries = planTopicSeedQueries(queryContext, providerQuery, costProfile);
+  let topicSeedCalls = 0;
+  await runInOrderWithConcurrency({
+    taskCount: topicSeedQueries.length,
+    concurrency: stageAConcurrency,
+    requestBudget,
+    launch: (index) =>
+      searchQueryAllow422({
         provider,
-        query: seedQuery,
-        count: costProfile.dataCensusSeedResultCount,
+        query: withFileTypeOperator(topicSeedQueries[index], queryContext.operators),
+        count: costProfile.topicSeedResultCount,
         requestBudget
-      });
-
-      dataSeedCalls += 1;
+      }),
+    consume: (domainSeedRows) => {
+      topicSeedCalls += 1;
       appendUniquePriorityRows({
-        rows: seedRows,
+        rows: domainSeedRows,
         queryContext,
-        seenUrls,
+        seenRows,
         target: stageAPriorityResults,
         domainCounts: stageADomainCounts,
         maxPerDomain: 2,
         bufferLimit: costProfile.stageABufferLimit
       });
-
-      if (hasEnoughStageAResults(stageAPriorityResults, costProfile)) {
-        break;
-      }
+      return false;
     }
-  }
-
-  const stageABatches = chunkArray(
-    PRIORITY_DOMAINS.filter((domain) => domain !== DATA_CENSUS_HOST),
-    costProfile.stageADomainBatchSize
-  );
+  });
 
-  for (let index = 0; index < stageABatches.length && index < costProfile.stageABatchLimit; index += 1) {
-    if (requestBudget.remaining <= 1) {
-      break;
-    }
+  if (topicSeedCalls > 0) {
+    emitStage("topic_seeds", stageAPriorityResults, { callCount: topicSeedCalls });
+  }
 
-    const domainBatch = stageABatches[index];
-    const stageARaw = await searchPriorityBatch({
-      query,
-      domainBatch,
-      provider,
+  if (shouldSeedDataCensus(queryContext) && isDomainAllowedByOperators(DATA_CENSUS_HOST, queryContext)) {
+    const dataSeedQueries = buildDataCensusSeedQueries(providerQuery).slice(0, costProfile.maxDataCensusSeedCalls);
+    let dataSeedCalls = 0;
+    await runInOrderWithConcurrency({
+      taskCount: dataSeedQueries.length,
+      concurrency: stageAConcurrency,
       requestBudget,
-      costProfile
+      // A seed dropped after an early stop must still leave the first Stage A batch its call.
+      headroom: stageABatchCount > 0 ? 2 : 1,
+      launch: (index) =>
+        searchQueryAllow422({
+          provider,
+          query: withFileTypeOperator(dataSeedQueries[index], queryContext.operators),
+          count: costProfile.dataCensusSeedResultCount,
+          requestBudget
+        }),
+      consume: (seedRows) => {
+        dataSeedCalls += 1;
+        appendUniquePriorityRows({
+          rows: seedRows,
+          queryContext,
+          seenRows,
+          target: stageAPriorityResults,
+          domainCounts: stageADomainCounts,
+          maxPerDomain: 2,
+          bufferLimit: costProfile.stageABufferLimit
+        });
+        return hasEnoughStageAResults(stageAPriorityResults, costProfile);
+      }
     });
 
+    if (dataSeedCalls > 0) {
+      emitStage("census_seeds", stageAPriorityResults, { callCount: dataSeedCalls });
+    }
+  }
+
+  const stageAQuery = withFileTypeOperator(providerQuery, queryContext.operators);
+  const mergeStageARows = (rows) =>
     appendUniquePriorityRows({
-      rows: stageARaw,
+      rows,
       queryContext,
-      seenUrls,
+      seenRows,
       target: stageAPriorityResults,
       domainCounts: stageADomainCounts,
       maxPerDomain: costProfile.stageAMaxResultsPerDomain,
-      bufferLimit: costProfile.stageABufferLimit
+      bufferLimit: costProfile.stageABufferLimit,
+      foundBy: trackFoundBy ? [searchPlan[0].id] : []
     });
-
-    if (hasEnoughStageAResults(stageAPriorityResults, costProfile)) {
-      break;
+  const beforeStageA = {
+    seenRows: new Map(seenRows),
+    resultCount: stageAPriorityResults.length,
+    domainCounts: new Map(stageADomainCounts)
+  };
+  // Rows per consumed batch; null marks a batch the provider rejected with a 422.
+  const stageABatchRows = [];
+  let stageAHasEnough = false;
+  await runInOrderWithConcurrency({
+    taskCount: stageABatchCount,
+    concurrency: stageAConcurrency,
+    requestBudget,
+    launch: (index) =>
+      searchPriorityBatch({
+        query: stageAQuery,
+        domainBatch: stageABatches[index],
+        provider,
+        requestBudget,
+        costProfile
+      }),
+    consume: (batchRows) => {
+      stageABatchRows.push(batchRows);
+      mergeStageARows(batchRows || []);
+      emitStage("stage_a_batch", stageAPriorityResults, {
+        batchIndex: stageABatchRows.length - 1,
+        batchCount: stageABatchCount
+      });
+      stageAHasEnough = hasEnoughStageAResults(stageAPriorityResults, costProfile);
+      return stageAHasEnough;
     }
+  });
+
+  // Rejected batches are retried one domain at a time once the batch wave is
+  // over, so their retries never hold back the wave. A wave that already found
+  // enough skips them. The merge is then redone in batch order with the retried
+  // rows in their batch's place, as if each retry had followed its batch.
+  const domainRetries = stageAHasEnough
+    ? []
+    : stageABatchRows.flatMap((rows, batchIndex) =>
+        rows === null ? stageABatches[batchIndex].map((domain) => ({ batchIndex, domain })) : []
+      );
+  if (domainRetries.length > 0) {
+    const retriedRows = stageABatchRows.map(() => []);
+    let domainRetryCalls = 0;
+    await runInOrderWithConcurrency({
+      taskCount: domainRetries.length,
+      concurrency: stageAConcurrency,
+      requestBudget,
+      launch: (index) =>
+        searchQueryAllow422({
+          provider,
+          query: `${stageAQuery} site:${domainRetries[index].domain}`,
+          count: costProfile.stageADomainResultCount,
+          requestBudget
+        }),
+      consume: (rows) => {
+        retriedRows[domainRetries[domainRetryCalls].batchIndex].push(...rows);
+        domainRetryCalls += 1;
+        return false;
+      }
+    });
+
+    seenRows.clear();
+    beforeStageA.seenRows.forEach((row, urlKey) => seenRows.set(urlKey, row));
+    stageAPriorityResults.length = beforeStageA.resultCount;
+    stageADomainCounts.clear();
+    beforeStageA.domainCounts.forEach((count, domain) => stageADomainCounts.set(domain, count));
+    stageABatchRows.forEach((rows, batchIndex) => mergeStageARows(rows ?? retriedRows[batchIndex]));
+    emitStage("stage_a_domain_retries", stageAPriorityResults, { callCount: domainRetryCalls });
   }
 
+  // Catalog matches count toward the good-result threshold, so a strong local
+  // hit can save the broad provider search.
   const combined = [...stageAPriorityResults];
-  const shouldRunFallback = stageAPriorityResults.length < costProfile.minGoodResults;
+  const priorityCallCount = requestBudget.used;
+  const shouldRunFallback =
+    requestBudget.limit > 0 && catalogResults.length + stageAPriorityResults.length < costProfile.minGoodResults;
 
+  // The broad search runs each sub-query while its budget remains and merges
+  // the lists with reciprocal rank fusion before they join the stage A results.
+  const subQueryRuns = new Map();
   if (shouldRunFallback && requestBudget.remaining > 0) {
-    const stageBRaw = await searchWithBudget({
-      provider,
-      query,
-      count: costProfile.fallbackResultCount,
-      requestBudget
-    });
-
-    for (const row of stageBRaw) {
-      const normalized = normalizeRow(row, queryContext);
-      if (!normalized) {
-        continue;
+    const rankedLists = [];
+    for (const [index, subQuery] of searchPlan.entries()) {
+      const budget = index === 0 ? requestBudget : subQueryBudget;
+      if (budget.remaining <= 0) {
+        break;
       }
 
-      if (seenUrls.has(normalized.urlKey)) {
+      const fallbackQuery = withFileTypeOperator(subQuery.query, queryContext.operators);
+      const stageBRaw = await searchWithBudget({
+        provider,
+        query: queryContext.operators.includeDomains.length > 0
+          ? buildDomainBatchQuery(fallbackQuery, queryContext.operators.includeDomains)
+          : fallbackQuery,
+        count: costProfile.fallbackResultCount,
+        requestBudget: budget
+      });
+      const rows = stageBRaw.map((row) => normalizeRow(row, queryContext));
+      rankedLists.push({ id: subQuery.id, rows });
+      subQueryRuns.set(subQuery.id, rows.filter(Boolean).length);
+    }
+
+    for (const { row, foundBy } of fuseRankedLists(rankedLists)) {
+      const existing = seenRows.get(row.urlKey);
+      if (existing) {
+        if (trackFoundBy) {
+          existing.foundBy = searchPlan
+            .map((subQuery) => subQuery.id)
+            .filter((id) => existing.foundBy.includes(id) || foundBy.includes(id));
+        }
         continue;
       }
 
-      seenUrls.add(normalized.urlKey);
-      combined.push(normalized);
+      row.foundBy = trackFoundBy ? foundBy : [];
+      seenRows.set(row.urlKey, row);
+      combined.push(row);
 
       if (combined.length >= costProfile.targetResultCount * 2) {
         break;
       }
     }
+
+    emitStage("stage_b_fallback", combined, { subQueryCount: rankedLists.length });
   }
 
-  const sorted = combined.sort(compareByScore);
-  const balanced = limitResultsPerDomain(
-    sorted,
+  const rankedCandidates = buildRankedResults([...catalogResults, ...combined], costProfile, rankOptions);
+  const rankedResults = rankedCandidates.slice(0, costProfile.absoluteMaxResults);
+
+  return {
+    results: rankedResults,
+    // Everything ranked, first page included, for callers that page through it.
+    candidates: rankedCandidates,
+    metadata: {
+      fallbackUsed: shouldRunFallback,
+      priorityResultCount: stageAPriorityResults.length,
+      catalogResultCount: catalogResults.length,
+      totalResultCount: rankedResults.length,
+      candidateResultCount: rankedCandidates.length,
+      pageSize: costProfile.absoluteMaxResults,
+      collapsedDuplicateCount: rankedCandidates.reduce((total, result) => total + (result.alternates?.length || 0), 0),
+      costMode: costProfile.mode,
+      providerRequestCount: requestBudget.used + subQueryBudget.used,
+      providerRequestLimit: requestBudget.limit + subQueryBudget.limit,
+      subQueryRequestCount: subQueryBudget.used,
+      subQueryRequestLimit: subQueryBudget.limit,
+      providerBudgetExhausted: requestBudget.exhausted,
+      stageAConcurrency,
+      explain,
+      rerank,
+      localCatalog,
+      rankingRulesVersion: RANKING_RULES_VERSION,
+      domainCatalogVersion: DOMAIN_CATALOG.version,
+      datasetCatalogVersion: DATASET_CATALOG_VERSION,
+      places: queryContext.placeSignals,
+      queryOperators: queryContext.operators,
+      queryIntent: queryContext.intent,
+      // The first sub-query also counts as searched when only the priority
+      // stages sent it.
+      subQueries: searchPlan.map(({ id, query: subQueryText }, index) => ({
+        id,
+        query: subQueryText,
+        searched: subQueryRuns.has(id) || (index === 0 && priorityCallCount > 0),
+        resultCount: subQueryRuns.get(id) || 0
+      })),
+      temporal: {
+        years: queryContext.temporal.years,
+        range: queryContext.temporal.range,
+        recency: queryContext.temporal.recency,
+        targetYear: queryContext.temporal.targetYear,
+        explicitYear: queryContext.temporal.explicitYear
+      }
+    }
+  };
+}
+
+function buildRankedResults(items, costProfile, { explain = false, rerank = false, queryContext } = {}) {
+  const sorted = items.sort(compareByScore);
+  const ordered = rerank
+    ? rerankResults(sorted, {
+        queryText: queryContext.queryText,
+        queryTerms: queryContext.coreTerms,
+        bonus: LEXICAL_RERANK_BONUS
+      })
+    : sorted;
+  const balanced = paginateResultsPerDomain(
+    collapseNearDuplicates(ordered),
     costProfile.maxResultsPerDomain,
     costProfile.absoluteMaxResults
   );
 
-  return {
-    results: balanced.map((item) => ({
+  return balanced.map((item, index) => {
+    const result = {
       title: item.title,
       url: item.url,
       snippet: item.snippet,
       domain: item.domain,
-      isPriority: item.isPriority
-    })),
-    metadata: {
-      fallbackUsed: shouldRunFallback,
-      priorityResultCount: stageAPriorityResults.length,
-      totalResultCount: balanced.length,
-      costMode: costProfile.mode,
-      providerRequestCount: requestBudget.used,
-      providerRequestLimit: requestBudget.limit,
-      providerBudgetExhausted: requestBudget.exhausted
+      isPriority: item.isPriority,
+      priorityTier: item.priorityTier,
+      resourceType: item.resourceType
+    };
+
+    if (item.catalogId) {
+      result.catalogId = item.catalogId;
     }
-  };
+
+    if (item.foundBy.length > 0) {
+      result.foundBy = item.foundBy;
+    }
+
+    if (item.alternates.length > 0) {
+      result.alternates = item.alternates.map((alternate) => ({
+        title: alternate.title,
+        url: alternate.url,
+        domain: alternate.domain
+      }));
+    }
+
+    if (explain) {
+      const components = item.rerankPoints
+        ? [
+            ...item.scoreComponents,
+            { factor: "lexical_rerank", points: item.rerankPoints, detail: item.rerankSimilarity.toFixed(2) }
+          ]
+        : item.scoreComponents;
+      result.scoreBreakdown = {
+        rank: index + 1,
+        total: item.score + (item.rerankPoints || 0),
+        components: components.map((component) => ({
+          ...component,
+          label: SCORE_COMPONENT_LABELS[component.factor] || component.factor
+        }))
+      };
+    }
+
+    return result;
+  });
 }
 
 function resolveSearchCostProfile(mode) {
   return SEARCH_COST_MODES[resolveSearchCostMode(mode)];
 }
 
-function createRequestBudget(costProfile, maxProviderCalls) {
-  const limit = normalizeMaxProviderCalls(maxProviderCalls, costProfile.maxProviderCalls);
+function createRequestBudget(limit) {
   const budget = {
     limit,
     used: 0,
@@ -518,6 +622,48 @@ function normalizeMaxProviderCalls(candidate, fallback) {
   return Math.floor(parsed);
 }
 
+// Keeps up to `concurrency` tasks in flight but hands results to `consume` in task
+// order, so merged rows match a sequential run. Each task makes one provider call
+// and `launch` must count it against the budget synchronously. The first task in
+// flight starts whenever more than one call is left, as a sequential loop would;
+// more join it only while over `headroom` calls are left, so a task dropped after
+// an early stop never takes a call a later stage needs.
+// Returning true from `consume` stops further launches; tasks still in flight are
+// awaited and their results dropped.
+async function runInOrderWithConcurrency({ taskCount, concurrency, requestBudget, headroom = 1, launch, consume }) {
+  const inFlight = [];
+  let nextIndex = 0;
+
+  const canLaunch = () => requestBudget.remaining > (inFlight.length === 0 ? 1 : headroom);
+
+  const fill = () => {
+    while (inFlight.length < concurrency && nextIndex < taskCount && canLaunch()) {
+      inFlight.push(launch(nextIndex).then((value) => ({ value }), (error) => ({ error })));
+      nextIndex += 1;
+    }
+  };
+
+  const settleInFlight = () => Promise.all(inFlight);
+
+  fill();
+  while (inFlight.length > 0) {
+    const outcome = await inFlight.shift();
+    if (outcome.error) {
+      await settleInFlight();
+      throw outcome.error;
+    }
+
+    if (consume(outcome.value)) {
+      await settleInFlight();
+      return;
+    }
+
+    fill();
+  }
+}
+
+// Resolves to null when the provider rejects the OR-joined `site:` filters with a
+// 422 and the cost profile allows retrying each domain on its own.
 async function searchPriorityBatch({ query, domainBatch, provider, requestBudget, costProfile }) {
   const batchQuery = buildDomainBatchQuery(query, domainBatch);
 
@@ -535,33 +681,7 @@ async function searchPriorityBatch({ query, domainBatch, provider, requestBudget
     }
   }
 
-  if (!costProfile.allowStageADomainFallbackOn422) {
-    return [];
-  }
-
-  const merged = [];
-  for (const domain of domainBatch) {
-    try {
-      if (requestBudget.remaining <= 1) {
-        break;
-      }
-
-      const domainQuery = `${query} site:${domain}`;
-      const rows = await searchWithBudget({
-        provider,
-        query: domainQuery,
-        count: costProfile.stageADomainResultCount,
-        requestBudget
-      });
-      merged.push(...rows);
-    } catch (error) {
-      if (Number(error?.statusCode) !== 422) {
-        throw error;
-      }
-    }
-  }
-
-  return merged;
+  return costProfile.allowStageADomainFallbackOn422 ? null : [];
 }
 
 async function searchQueryAllow422({ provider, query, count, requestBudget }) {
@@ -596,7 +716,9 @@ function normalizeRow(row, queryContext) {
   }
 
   const lowerTitle = title.toLowerCase();
-  const lowerSnippet = snippet.toLowerCase();
+  // Catalog keywords are matched and scored like snippet text but never shown.
+  const keywords = Array.isArray(row?.keywords) ? row.keywords : [];
+  const lowerSnippet = [snippet, ...keywords].join(" ").toLowerCase();
   const lowerUrl = url.toLowerCase();
 
   const coreCoverage = computeTermCoverage(queryContext.coreTerms, lowerTitle, lowerSnippet, lowerUrl);
@@ -609,14 +731,21 @@ function normalizeRow(row, queryContext) {
     return null;
   }
 
-  const isPriority = isPriorityDomain(domain);
-  const score = scoreResult(
+  const priorityEntry = findPriorityDomain(domain, queryContext.priorityDomains);
+  if (!passesQueryOperators(domain, priorityEntry, lowerUrl, queryContext.operators)) {
+    return null;
+  }
+
+  const isPriority = Boolean(priorityEntry);
+  const { score, components: scoreComponents } = scoreResult(
     {
       title,
       snippet,
       url,
       domain,
       isPriority,
+      priorityEntry,
+      catalogId: row?.catalogId || null,
       lowerTitle,
       lowerSnippet,
       lowerUrl
@@ -632,31 +761,69 @@ function normalizeRow(row, queryContext) {
     snippet,
     domain,
     isPriority,
+    priorityTier: priorityEntry?.tier || null,
+    resourceType: classifyResourceType(lowerTitle, lowerUrl, domain),
+    catalogId: row?.catalogId || null,
     score,
-    urlKey: canonicalUrl(url)
+    scoreComponents,
+    urlKey: canonicalUrl(url),
+    foundBy: []
   };
 }
 
+// Keeps up to MAX_SUB_QUERIES well-formed `{ id, query }` entries.
+function resolveSubQueries(candidates) {
+  return (Array.isArray(candidates) ? candidates : [])
+    .filter((subQuery) => typeof subQuery?.id === "string" && String(subQuery?.query || "").trim())
+    .slice(0, MAX_SUB_QUERIES)
+    .map((subQuery) => ({ id: subQuery.id, query: subQuery.query.trim() }));
+}
+
+// Reciprocal rank fusion: a row earns 1 / (RRF_K + rank) from every list that
+// returned it, so rows several sub-queries agree on move up. Ranks count the
+// provider's own positions, filtered rows included; ties keep first-seen order.
+function fuseRankedLists(rankedLists) {
+  const fused = new Map();
+  for (const { id, rows } of rankedLists) {
+    rows.forEach((row, index) => {
+      if (!row) {
+        return;
+      }
+      const entry = fused.get(row.urlKey) || { row, foundBy: [], score: 0, order: fused.size };
+      if (entry.foundBy.includes(id)) {
+        return;
+      }
+      entry.score += 1 / (RRF_K + index + 1);
+      entry.foundBy.push(id);
+      fused.set(row.urlKey, entry);
+    });
+  }
+
+  return [...fused.values()].sort((a, b) => b.score - a.score || a.order - b.order);
+}
+
 function appendUniquePriorityRows({
   rows,
   queryContext,
-  seenUrls,
+  seenRows,
   target,
   domainCounts,
   maxPerDomain,
-  bufferLimit
+  bufferLimit,
+  foundBy = []
 }) {
   for (const row of rows) {
     if (target.length >= bufferLimit) {
       break;
     }
 
+    // Results from `site:` domains count here even when the catalog does not list them.
     const normalized = normalizeRow(row, queryContext);
-    if (!normalized || !normalized.isPriority) {
+    if (!normalized || (!normalized.isPriority && queryContext.operators.includeDomains.length === 0)) {
       continue;
     }
 
-    if (seenUrls.has(normalized.urlKey)) {
+    if (seenRows.has(normalized.urlKey)) {
       continue;
     }
 
@@ -665,90 +832,155 @@ function appendUniquePriorityRows({
       continue;
     }
 
-    seenUrls.add(normalized.urlKey);
+    normalized.foundBy = [...foundBy];
+    seenRows.set(normalized.urlKey, normalized);
     target.push(normalized);
     domainCounts.set(normalized.domain, currentDomainCount + 1);
   }
 }
 
+// Returns the total plus each non-zero contribution, so explain mode can show
+// exactly how a result earned its position.
 function scoreResult(result, queryContext, coreCoverage, topicCoverage) {
-  let score = 0;
+  const components = [];
+  const add = (factor, points, detail) => {
+    if (points !== 0) {
+      components.push(detail ? { factor, points, detail } : { factor, points });
+    }
+  };
+
+  if (result.priorityEntry) {
+    add("priority_domain", result.priorityEntry.bonus, result.priorityEntry.tierLabel);
+  }
 
-  if (result.isPriority) {
-    score += 1000;
+  if (result.catalogId) {
+    add("dataset_catalog", DATASET_CATALOG_BONUS, result.catalogId);
   }
 
   if (matchesHost(result.domain.toLowerCase(), DATA_CENSUS_HOST)) {
-    score += DATA_CENSUS_BONUS;
+    add("data_census_host", DATA_CENSUS_BONUS);
     if (queryContext.prefersDataCensus) {
-      score += DATA_CENSUS_INTENT_BONUS;
+      add("data_census_intent", DATA_CENSUS_INTENT_BONUS);
     }
   } else if (queryContext.prefersDataCensus && matchesHost(result.domain.toLowerCase(), CENSUS_HOST)) {
-    score -= BROAD_CENSUS_DATA_INTENT_PENALTY;
+    add("broad_census_for_data_intent", -BROAD_CENSUS_DATA_INTENT_PENALTY);
   }
 
+  const weights = queryContext.intentWeights;
   if (containsAnyHint(DATA_ASSET_HINTS, result.lowerUrl, result.lowerTitle, result.lowerSnippet)) {
-    score += DATA_ASSET_HINT_BONUS;
+    add("data_asset_hint", weights.dataAssetHintBonus);
   }
 
   if (containsAnyHint(DATA_MAP_HINTS, result.lowerUrl, result.lowerTitle, result.lowerSnippet)) {
-    score += DATA_MAP_HINT_BONUS;
+    add("data_map_hint", weights.dataMapHintBonus);
   }
 
-  if (hasDataFileExtension(result.lowerUrl)) {
-    score += DATA_FILE_EXTENSION_BONUS;
+  if (hasUrlExtension(result.lowerUrl, DATA_FILE_EXTENSIONS)) {
+    add("data_file_extension", weights.dataFileExtensionBonus);
+  }
+
+  if (containsAnyHint(REPORT_HINTS, result.lowerUrl, result.lowerTitle, result.lowerSnippet)) {
+    add("report_hint", weights.reportHintBonus);
+  }
+
+  if (containsAnyHint(METHODOLOGY_HINTS, result.lowerUrl, result.lowerTitle, result.lowerSnippet)) {
+    add("methodology_hint", weights.methodologyHintBonus);
+  }
+
+  if (hasUrlExtension(result.lowerUrl, DOCUMENT_EXTENSIONS)) {
+    add("document_file", weights.documentFileBonus);
   }
 
   if (containsAnyHint(NON_DATA_HINTS, result.lowerUrl, result.lowerTitle, result.lowerSnippet)) {
-    score -= NON_DATA_HINT_PENALTY;
+    add("non_data_hint", -weights.nonDataHintPenalty);
   }
 
-  score += coreCoverage.titleMatches * 24;
-  score += coreCoverage.snippetMatches * 12;
-  score += coreCoverage.urlMatches * 8;
-  score += coreCoverage.uniqueMatches * 18;
-  score += topicCoverage.titleMatches * 18;
-  score += topicCoverage.snippetMatches * 9;
-  score += topicCoverage.urlMatches * 6;
-  score += topicCoverage.uniqueMatches * 14;
-  score += countPhraseMatches(queryContext.topicPhrases, result.lowerTitle) * TOPIC_PHRASE_TITLE_BONUS;
-  score += countPhraseMatches(queryContext.topicPhrases, result.lowerSnippet) * TOPIC_PHRASE_SNIPPET_BONUS;
-  score += countPhraseMatches(queryContext.topicPhrases, result.lowerUrl) * TOPIC_PHRASE_URL_BONUS;
+  add(
+    "core_term_coverage",
+    coreCoverage.titleMatches * 24 +
+      coreCoverage.snippetMatches * 12 +
+      coreCoverage.urlMatches * 8 +
+      coreCoverage.uniqueMatches * 18
+  );
+  add(
+    "topic_term_coverage",
+    topicCoverage.titleMatches * 18 +
+      topicCoverage.snippetMatches * 9 +
+      topicCoverage.urlMatches * 6 +
+      topicCoverage.uniqueMatches * 14
+  );
+  add(
+    "topic_phrase_matches",
+    countPhraseMatches(queryContext.topicPhrases, result.lowerTitle) * TOPIC_PHRASE_TITLE_BONUS +
+      countPhraseMatches(queryContext.topicPhrases, result.lowerSnippet) * TOPIC_PHRASE_SNIPPET_BONUS +
+      countPhraseMatches(queryContext.topicPhrases, result.lowerUrl) * TOPIC_PHRASE_URL_BONUS
+  );
 
+  let queryTermPoints = 0;
   for (const term of queryContext.queryTerms) {
     if (containsToken(result.lowerTitle, term)) {
-      score += 8;
+      queryTermPoints += 8;
     }
     if (containsToken(result.lowerSnippet, term)) {
-      score += 4;
+      queryTermPoints += 4;
     }
     if (containsToken(result.lowerUrl, term)) {
-      score += 3;
+      queryTermPoints += 3;
     }
   }
+  add("query_term_matches", queryTermPoints);
 
   const locationMatches = countLocationSignalMatches(queryContext.locationSignals, result);
   if (queryContext.locationSignals.length > 0) {
     if (locationMatches === 0) {
-      score -= MISSING_LOCATION_SIGNAL_PENALTY;
+      add("missing_location_signal", -MISSING_LOCATION_SIGNAL_PENALTY);
     } else {
-      score += locationMatches * LOCATION_SIGNAL_BONUS;
+      add("location_signal", locationMatches * LOCATION_SIGNAL_BONUS);
     }
   }
 
   if (queryContext.countyRequested) {
     const countyMatches = countCountySignalMatches(result);
     if (countyMatches === 0) {
-      score -= MISSING_COUNTY_SIGNAL_PENALTY;
+      add("missing_county_signal", -MISSING_COUNTY_SIGNAL_PENALTY);
     } else {
-      score += countyMatches * COUNTY_SIGNAL_BONUS;
+      add("county_signal", countyMatches * COUNTY_SIGNAL_BONUS);
     }
   }
 
-  score += getTopicDomainBoost(queryContext.activeTopicRules, result.domain);
-  score += getTopicMismatchPenalty(queryContext.activeTopicRules, queryContext.queryTerms, result.domain);
+  const matchedPlaces = findPlaceSignalMatches(queryContext.placeSignals, result);
+  if (matchedPlaces.length > 0) {
+    add("place_signal", matchedPlaces.length * PLACE_SIGNAL_BONUS, matchedPlaces.map((place) => place.name).join(", "));
+  }
+
+  const { temporal } = queryContext;
+  if (temporal.matchYears.length > 0 || temporal.recency) {
+    const mentionedYears = extractMentionedYears(
+      `${result.lowerTitle} ${result.lowerSnippet} ${result.lowerUrl}`,
+      temporal.referenceYear
+    );
+    const requestedYears = mentionedYears.filter((year) => temporal.matchYears.includes(year));
+    if (requestedYears.length > 0) {
+      add("year_match", YEAR_MATCH_BONUS, requestedYears.sort((a, b) => a - b).join(", "));
+    }
+
+    // Only penalize when every year the result mentions is old; undated pages are left alone.
+    const newestYear = mentionedYears.length > 0 ? Math.max(...mentionedYears) : null;
+    if (temporal.recency && newestYear !== null && newestYear < temporal.referenceYear - STALE_VINTAGE_AGE_YEARS) {
+      add("stale_vintage", -STALE_VINTAGE_PENALTY, String(newestYear));
+    }
+  }
+
+  add("topic_domain_boost", getTopicDomainBoost(queryContext.activeTopicRules, result.domain));
+  add(
+    "topic_mismatch_penalty",
+    getTopicMismatchPenalty(queryContext.activeTopicRules, queryContext.queryTerms, result.domain)
+  );
 
-  return score;
+  return {
+    score: components.reduce((total, component) => total + component.points, 0),
+    components
+  };
 }
 
 function compareByScore(a, b) {
@@ -767,14 +999,20 @@ function compareByScore(a, b) {
   return a.title.localeCompare(b.title);
 }
 
-function buildQueryContext(query) {
+function buildQueryContext(query, { now = Date.now, operators = EMPTY_QUERY_OPERATORS } = {}) {
   const queryText = String(query || "").toLowerCase().replace(/\s+/g, " ").trim();
   const queryTerms = tokenize(query);
   const activeTopicRules = TOPIC_DOMAIN_BOOST_RULES.filter((rule) =>
     isTopicRuleActive(rule, queryText, queryTerms)
   );
   const coreTerms = queryTerms.filter((term) => !LOW_SIGNAL_TERMS.has(term));
-  const locationTerms = extractLocationTerms(queryTerms);
+  const { states, places: placeSignals } = detectLocations(query);
+  const locationSignals = states.map(buildLocationSignal);
+  // Place names lead so seed queries ask for "knox county" before the state.
+  const locationTerms = [
+    ...new Set([...placeSignals.map((place) => place.aliases[0]), ...extractLocationTerms(queryText, locationSignals)])
+  ];
+  const intent = classifyQueryIntent(queryText, INTENT_PROFILES);
 
   return {
     queryText,
@@ -785,11 +1023,29 @@ function buildQueryContext(query) {
     countyRequested: queryTerms.includes("county") || queryTerms.includes("counties"),
     prefersDataCensus: shouldPreferDataCensus(queryTerms),
     locationTerms,
-    locationSignals: extractLocationSignals(queryTerms),
+    locationSignals,
+    placeSignals,
+    temporal: detectTemporalIntent(query, { now }),
+    priorityDomains: selectPriorityDomains(locationSignals),
+    operators: { ...EMPTY_QUERY_OPERATORS, ...operators },
+    intent,
+    intentWeights: resolveIntentWeights(BASE_INTENT_WEIGHTS, INTENT_PROFILES, intent.intent),
     activeTopicRules
   };
 }
 
+// Place names say nothing about which dataset fits, so they are left out of
+// the catalog query; a county query only matches county-level datasets.
+function searchCatalogForQuery(queryContext, limit) {
+  const locationTokens = new Set(queryContext.locationTerms.flatMap(tokenize));
+  return searchDatasetCatalog(DATASET_CATALOG, {
+    queryText: queryContext.queryText,
+    queryTerms: queryContext.coreTerms.filter((term) => !locationTokens.has(term)),
+    geographyLevel: queryContext.countyRequested ? "county" : "",
+    limit
+  });
+}
+
 function shouldSeedDataCensus(queryContext) {
   if (queryContext.activeTopicRules.length > 0 && !queryContext.queryTerms.includes("census")) {
     return false;
@@ -847,24 +1103,13 @@ function computeTermCoverage(terms, lowerTitle, lowerSnippet, lowerUrl) {
   return { titleMatches, snippetMatches, urlMatches, uniqueMatches };
 }
 
-function extractLocationSignals(queryTerms) {
-  const presentTerms = new Set(queryTerms);
-
-  return LOCATION_SIGNAL_GROUPS.filter((group) =>
-    group.aliases.some((alias) => presentTerms.has(alias))
-  );
-}
-
-function extractLocationTerms(queryTerms) {
+function extractLocationTerms(queryText, locationSignals) {
   const found = [];
-  const present = new Set(queryTerms);
 
-  for (const group of LOCATION_SIGNAL_GROUPS) {
-    for (const alias of group.aliases) {
-      if (present.has(alias)) {
-        found.push(alias);
-      }
-    }
+  for (const signal of locationSignals) {
+    const present = signal.aliases.filter((alias) => containsToken(queryText, alias));
+    // "Portland, OR" names the state only by an ambiguous code; seed with the full name.
+    found.push(...(present.length > 0 ? present : signal.aliases));
   }
 
   return [...new Set(found)];
@@ -891,6 +1136,17 @@ function countLocationSignalMatches(locationSignals, result) {
   return matches;
 }
 
+function findPlaceSignalMatches(placeSignals, result) {
+  if (placeSignals.length === 0) {
+    return [];
+  }
+
+  const haystacks = [result.lowerTitle, result.lowerSnippet, result.lowerUrl].map(normalizePlaceText);
+  return placeSignals.filter((place) =>
+    place.aliases.some((alias) => haystacks.some((haystack) => containsToken(haystack, alias)))
+  );
+}
+
 function countCountySignalMatches(result) {
   let matches = 0;
 
@@ -957,11 +1213,64 @@ function canonicalUrl(candidateUrl) {
   }
 }
 
-function isPriorityDomain(hostname) {
-  return PRIORITY_DOMAINS.some((priority) => {
-    const normalizedPriority = priority.toLowerCase();
-    return matchesHost(hostname, normalizedPriority);
-  });
+// The most specific entry wins, so healthdata.tn.gov keeps its own tier under tn.gov.
+function findPriorityDomain(hostname, priorityDomains) {
+  let match = null;
+  for (const entry of priorityDomains) {
+    if (matchesHost(hostname, entry.domain) && (!match || entry.domain.length > match.domain.length)) {
+      match = entry;
+    }
+  }
+  return match;
+}
+
+function selectPriorityDomains(locationSignals) {
+  const requestedStates = locationSignals.map((signal) => signal.abbr);
+  return DOMAIN_CATALOG.domains.filter(
+    (entry) => !entry.states || entry.states.some((state) => requestedStates.includes(state))
+  );
+}
+
+// Query operators are hard filters: `site:` and `source:` keep only matching
+// results, `-site:` drops matching ones and `filetype:` keeps URLs ending in one
+// of the requested extensions.
+function passesQueryOperators(domain, priorityEntry, lowerUrl, operators) {
+  if (!passesDomainOperators(domain, priorityEntry, operators)) {
+    return false;
+  }
+  if (operators.fileTypes.length === 0) {
+    return true;
+  }
+  const path = lowerUrl.split(/[?#]/)[0];
+  return operators.fileTypes.some((fileType) => path.endsWith(`.${fileType}`));
+}
+
+// Whether a domain is worth a seed or Stage A query at all under the operators.
+function isDomainAllowedByOperators(domain, queryContext) {
+  return passesDomainOperators(
+    domain,
+    findPriorityDomain(domain, queryContext.priorityDomains),
+    queryContext.operators
+  );
+}
+
+function passesDomainOperators(domain, priorityEntry, operators) {
+  if (operators.includeDomains.length > 0 && !operators.includeDomains.some((host) => matchesHost(domain, host))) {
+    return false;
+  }
+  if (operators.excludeDomains.some((host) => matchesHost(domain, host))) {
+    return false;
+  }
+  return (
+    operators.sources.length === 0 ||
+    operators.sources.some((source) => (source === "priority" ? Boolean(priorityEntry) : priorityEntry?.tier === source))
+  );
+}
+
+// Providers that understand `filetype:` narrow the results; the filter in
+// normalizeRow still applies. Several types are only filtered, not sent.
+function withFileTypeOperator(query, operators) {
+  return operators.fileTypes.length === 1 ? `${query} filetype:${operators.fileTypes[0]}` : query;
 }
 
 function buildDomainBatchQuery(query, domains) {
@@ -985,11 +1294,40 @@ function buildDataCensusSeedQueries(query) {
   ];
 }
 
+// Topic seeds go breadth-first: every domain's first query, then every second one.
+function planTopicSeedQueries(queryContext, providerQuery, costProfile) {
+  const seedQueries = [];
+  for (const activeRule of queryContext.activeTopicRules) {
+    const domainSeedPlans = activeRule.domains
+      .filter((domain) => isDomainAllowedByOperators(domain, queryContext))
+      .slice(0, costProfile.maxTopicSeedDomainsPerRule)
+      .map((domain) => buildTopicSeedQueries(queryContext, activeRule, domain, providerQuery));
+
+    for (let seedDepth = 0; ; seedDepth += 1) {
+      const queriesAtDepth = domainSeedPlans.map((queries) => queries[seedDepth]).filter(Boolean);
+      if (queriesAtDepth.length === 0) {
+        break;
+      }
+
+      for (const seedQuery of queriesAtDepth) {
+        if (seedQueries.length >= costProfile.maxTopicSeedCalls) {
+          return seedQueries;
+        }
+        seedQueries.push(seedQuery);
+      }
+    }
+  }
+
+  return seedQueries;
+}
+
 function buildTopicSeedQueries(queryContext, rule, domain, originalQuery) {
   const queries = [];
-  const countyHint = queryContext.queryTerms.some((term) => term === "county" || term === "counties")
-    ? "county"
-    : "";
+  const countyHint =
+    queryContext.queryTerms.some((term) => term === "county" || term === "counties") &&
+    !queryContext.placeSignals.some((place) => place.type === "county")
+      ? "county"
+      : "";
   const dataHint = queryContext.queryTerms.includes("data") ? "data" : "";
   const domainSpecificPhrases = Array.isArray(rule.domainSeedPhrases?.[domain])
     ? rule.domainSeedPhrases[domain]
@@ -1102,6 +1440,20 @@ function extractTopicPhrases(activeTopicRules) {
   return phrases;
 }
 
+// Every candidate is kept, in pages of `pageSize`. Each page gets the same
+// per-domain cap the first page always had, drawn from what earlier pages left.
+function paginateResultsPerDomain(sortedResults, maxPerDomain, pageSize) {
+  const ordered = [];
+  let remaining = sortedResults;
+  while (remaining.length > 0) {
+    const page = limitResultsPerDomain(remaining, maxPerDomain, pageSize);
+    const taken = new Set(page);
+    ordered.push(...page);
+    remaining = remaining.filter((item) => !taken.has(item));
+  }
+  return ordered;
+}
+
 function limitResultsPerDomain(sortedResults, maxPerDomain, maxTotal) {
   const selected = [];
   const overflow = [];
@@ -1150,9 +1502,34 @@ function containsAnyHint(hints, lowerUrl, lowerTitle, lowerSnippet) {
   return false;
 }
 
-function hasDataFileExtension(lowerUrl) {
+function hasUrlExtension(lowerUrl, extensions) {
   const cleanUrl = lowerUrl.split("?")[0].split("#")[0];
-  return DATA_FILE_EXTENSIONS.some((extension) => cleanUrl.endsWith(extension));
+  return extensions.some((extension) => cleanUrl.endsWith(extension));
+}
+
+// First match wins: direct files, then maps, then reports and documentation
+// (including PDFs), then dataset pages; everything else is a plain page.
+function classifyResourceType(lowerTitle, lowerUrl, domain) {
+  if (hasUrlExtension(lowerUrl, DATA_FILE_EXTENSIONS)) {
+    return "file";
+  }
+  if (containsAnyHint(MAP_RESOURCE_HINTS, lowerUrl, lowerTitle, "")) {
+    return "map";
+  }
+  if (
+    hasUrlExtension(lowerUrl, DOCUMENT_EXTENSIONS) ||
+    containsAnyHint(REPORT_HINTS, lowerUrl, lowerTitle, "") ||
+    containsAnyHint(METHODOLOGY_HINTS, lowerUrl, lowerTitle, "")
+  ) {
+    return "report";
+  }
+  if (
+    matchesHost(domain, DATA_CENSUS_HOST) ||
+    containsAnyHint(DATASET_RESOURCE_HINTS, lowerUrl, lowerTitle, "")
+  ) {
+    return "dataset";
+  }
+  return "page";
 }
 
 function containsToken(haystack, term) {
@@ -0,0 +1,200 @@
+import { fileURLToPath } from "url";
+
+import { deepFreeze, isPlainObject, readJsonConfigFile, reportUnknownKeys } from "./json-config.js";
+
+export const DEFAULT_RANKING_RULES_PATH = fileURLToPath(new URL("./ranking-rules.json", import.meta.url));
+
+const WEIGHT_KEYS = [
+  "dataCensusBonus",
+  "dataCensusIntentBonus",
+  "broadCensusDataIntentPenalty",
+  "datasetCatalogBonus",
+  "dataAssetHintBonus",
+  "dataFileExtensionBonus",
+  "dataMapHintBonus",
+  "nonDataHintPenalty",
+  "reportHintBonus",
+  "methodologyHintBonus",
+  "documentFileBonus",
+  "locationSignalBonus",
+  "missingLocationSignalPenalty",
+  "countySignalBonus",
+  "missingCountySignalPenalty",
+  "placeSignalBonus",
+  "yearMatchBonus",
+  "staleVintagePenalty",
+  "lexicalRerankBonus",
+  "censusWhenTopicPenalty",
+  "topicPhraseTitleBonus",
+  "topicPhraseSnippetBonus",
+  "topicPhraseUrlBonus"
+];
+const HINT_KEYS = ["dataAsset", "dataFileExtensions", "dataMap", "nonData", "report", "methodology", "documentExtensions"];
+const TOPIC_RULE_KEYS = ["triggerTerms", "triggerPhrases", "seedPhrases", "domainSeedPhrases", "domains", "bonus"];
+const INTENT_PROFILE_KEYS = ["triggerTerms", "triggerPhrases", "weights"];
+
+export const QUERY_INTENTS = Object.freeze(["dataset", "map", "report", "methodology"]);
+// Only the resource-type weights can be swapped per intent; the rest of the
+// scoring model stays the same whatever the query is asking for.
+export const INTENT_WEIGHT_KEYS = Object.freeze([
+  "dataAssetHintBonus",
+  "dataFileExtensionBonus",
+  "dataMapHintBonus",
+  "nonDataHintPenalty",
+  "reportHintBonus",
+  "methodologyHintBonus",
+  "documentFileBonus"
+]);
+
+export class RankingRulesError extends Error {
+  constructor(message, errors = []) {
+    super(errors.length > 0 ? `${message}\n- ${errors.join("\n- ")}` : message);
+    this.name = "RankingRulesError";
+    this.errors = errors;
+  }
+}
+
+export function loadRankingRules(filePath = DEFAULT_RANKING_RULES_PATH) {
+  const resolvedPath = String(filePath || "").trim() || DEFAULT_RANKING_RULES_PATH;
+
+  const raw = readJsonConfigFile(resolvedPath, RankingRulesError, "ranking rules");
+  const errors = validateRankingRules(raw);
+  if (errors.length > 0) {
+    throw new RankingRulesError(`Invalid ranking rules in ${resolvedPath}:`, errors);
+  }
+
+  return deepFreeze(raw);
+}
+
+export function validateRankingRules(rules) {
+  const errors = [];
+  if (!isPlainObject(rules)) {
+    return ["rules file must contain a JSON object"];
+  }
+
+  reportUnknownKeys(rules, ["version", "weights", "hints", "intentProfiles", "topicRules"], "", errors);
+
+  if (typeof rules.version !== "string" || !rules.version.trim()) {
+    errors.push("version must be a non-empty string");
+  }
+
+  if (!isPlainObject(rules.weights)) {
+    errors.push("weights must be an object");
+  } else {
+    reportUnknownKeys(rules.weights, WEIGHT_KEYS, "weights.", errors);
+    for (const key of WEIGHT_KEYS) {
+      const value = rules.weights[key];
+      if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+        errors.push(`weights.${key} must be a non-negative number`);
+      }
+    }
+  }
+
+  if (!isPlainObject(rules.hints)) {
+    errors.push("hints must be an object");
+  } else {
+    reportUnknownKeys(rules.hints, HINT_KEYS, "hints.", errors);
+    for (const key of HINT_KEYS) {
+      checkStringList(rules.hints[key], `hints.${key}`, errors, { required: true });
+    }
+  }
+
+  if (rules.intentProfiles !== undefined) {
+    if (!isPlainObject(rules.intentProfiles)) {
+      errors.push("intentProfiles must be an object keyed by intent");
+    } else {
+      reportUnknownKeys(rules.intentProfiles, QUERY_INTENTS, "intentProfiles.", errors);
+      for (const [intent, profile] of Object.entries(rules.intentProfiles)) {
+        validateIntentProfile(profile, `intentProfiles.${intent}`, errors);
+      }
+    }
+  }
+
+  if (!Array.isArray(rules.topicRules)) {
+    errors.push("topicRules must be an array");
+  } else {
+    rules.topicRules.forEach((rule, index) => validateTopicRule(rule, `topicRules[${index}]`, errors));
+  }
+
+  return errors;
+}
+
+function validateIntentProfile(profile, path, errors) {
+  if (!isPlainObject(profile)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+
+  reportUnknownKeys(profile, INTENT_PROFILE_KEYS, `${path}.`, errors);
+  checkStringList(profile.triggerTerms, `${path}.triggerTerms`, errors);
+  checkStringList(profile.triggerPhrases, `${path}.triggerPhrases`, errors);
+
+  if (!profile.triggerTerms && !profile.triggerPhrases) {
+    errors.push(`${path} needs triggerTerms or triggerPhrases`);
+  }
+
+  if (!isPlainObject(profile.weights)) {
+    errors.push(`${path}.weights must be an object`);
+    return;
+  }
+
+  reportUnknownKeys(profile.weights, INTENT_WEIGHT_KEYS, `${path}.weights.`, errors);
+  for (const [key, value] of Object.entries(profile.weights)) {
+    if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+      errors.push(`${path}.weights.${key} must be a non-negative number`);
+    }
+  }
+}
+
+function validateTopicRule(rule, path, errors) {
+  if (!isPlainObject(rule)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+
+  reportUnknownKeys(rule, TOPIC_RULE_KEYS, `${path}.`, errors);
+  checkStringList(rule.triggerTerms, `${path}.triggerTerms`, errors);
+  checkStringList(rule.triggerPhrases, `${path}.triggerPhrases`, errors);
+  checkStringList(rule.seedPhrases, `${path}.seedPhrases`, errors);
+  checkStringList(rule.domains, `${path}.domains`, errors, { required: true });
+
+  if (!rule.triggerTerms && !rule.triggerPhrases) {
+    errors.push(`${path} needs triggerTerms or triggerPhrases`);
+  }
+
+  if (typeof rule.bonus !== "number" || !Number.isFinite(rule.bonus) || rule.bonus <= 0) {
+    errors.push(`${path}.bonus must be a positive number`);
+  }
+
+  if (rule.domainSeedPhrases !== undefined) {
+    if (!isPlainObject(rule.domainSeedPhrases)) {
+      errors.push(`${path}.domainSeedPhrases must be an object keyed by domain`);
+    } else {
+      for (const [domain, phrases] of Object.entries(rule.domainSeedPhrases)) {
+        if (Array.isArray(rule.domains) && !rule.domains.includes(domain)) {
+          errors.push(`${path}.domainSeedPhrases["${domain}"] is not listed in ${path}.domains`);
+        }
+        checkStringList(phrases, `${path}.domainSeedPhrases["${domain}"]`, errors, { required: true });
+      }
+    }
+  }
+}
+
+function checkStringList(value, path, errors, { required = false } = {}) {
+  if (value === undefined && !required) {
+    return;
+  }
+
+  if (!Array.isArray(value) || value.length === 0) {
+    errors.push(`${path} must be a non-empty array of strings`);
+    return;
+  }
+
+  value.forEach((item, index) => {
+    if (typeof item !== "string" || !item.trim()) {
+      errors.push(`${path}[${index}] must be a non-empty string`);
+    } else if (item !== item.toLowerCase()) {
+      errors.push(`${path}[${index}] must be lowercase ("${item}")`);
+    }
+  });
+}
@@ -0,0 +1,101 @@
+const EARLIEST_YEAR = 1950;
+const MAX_RANGE_YEARS = 30;
+
+// "Latest" data older than this many years before the current year is stale.
+export const STALE_VINTAGE_AGE_YEARS = 5;
+
+export const RECENCY_TERMS = Object.freeze(["latest", "most recent", "newest", "recent", "up to date"]);
+
+// Query normalization turns "2018-2022" into "2018 2022", so a bare pair of
+// ascending years reads as a range too.
+const RANGE_PATTERN =
+  /(?<!\d)(?:from\s+|between\s+)?((?:19|20)\d{2})\s*(?:-|–|—|\/|to|through|thru|and|\s)\s*((?:19|20)\d{2})(?!\d)/g;
+const RELATIVE_RANGE_PATTERN = /\b(?:last|past|previous)\s+(\d{1,2})\s+years\b/g;
+const YEAR_PATTERN = /(?<!\d)(?:fy\s*)?((?:19|20)\d{2})(?!\d)/g;
+
+export function detectTemporalIntent(rawQuery, { now = Date.now } = {}) {
+  const referenceYear = new Date(now()).getUTCFullYear();
+  let working = String(rawQuery || "").toLowerCase();
+  const years = new Set();
+  const typedYears = new Set();
+  let range = null;
+
+  working = working.replace(RANGE_PATTERN, (match, rawStart, rawEnd) => {
+    const start = Number(rawStart);
+    const end = Number(rawEnd);
+    if (!isPlausibleYear(start, referenceYear) || !isPlausibleYear(end, referenceYear) || end <= start) {
+      return match;
+    }
+    if (end - start > MAX_RANGE_YEARS) {
+      years.add(start).add(end);
+    } else if (!range || end > range.end) {
+      range = { start, end };
+    }
+    typedYears.add(start).add(end);
+    return " ";
+  });
+
+  working = working.replace(RELATIVE_RANGE_PATTERN, (match, rawCount) => {
+    const count = Number(rawCount);
+    if (count < 1 || count > MAX_RANGE_YEARS) {
+      return match;
+    }
+    range = { start: referenceYear - count, end: referenceYear };
+    return " ";
+  });
+
+  if (/\blast year\b/.test(working)) {
+    years.add(referenceYear - 1);
+  }
+  if (/\bthis year\b/.test(working)) {
+    years.add(referenceYear);
+  }
+
+  for (const match of working.matchAll(YEAR_PATTERN)) {
+    const year = Number(match[1]);
+    if (isPlausibleYear(year, referenceYear)) {
+      years.add(year);
+      typedYears.add(year);
+    }
+  }
+
+  const recencyTerms = RECENCY_TERMS.filter((term) => new RegExp(`\\b${term}\\b`).test(working));
+  const explicitYears = [...years].sort((a, b) => a - b);
+  const matchYears = new Set(explicitYears);
+  if (range) {
+    for (let year = range.start; year <= range.end; year += 1) {
+      matchYears.add(year);
+    }
+  }
+
+  return {
+    referenceYear,
+    years: explicitYears,
+    range,
+    recency: recencyTerms.length > 0,
+    recencyTerms,
+    matchYears: [...matchYears].sort((a, b) => a - b),
+    // The newest year asked for, used to rank results.
+    targetYear: matchYears.size > 0 ? Math.max(...matchYears) : null,
+    // The newest year written out as a number. "this year" and "past 5 years"
+    // name periods that may not be published yet, so they never set it.
+    explicitYear: typedYears.size > 0 ? Math.max(...typedYears) : null
+  };
+}
+
+// Four-digit years in result text, including vintage codes such as
+// "ACSDT5Y2023" or "overdose_2022.csv".
+export function extractMentionedYears(text, referenceYear) {
+  const found = new Set();
+  for (const match of String(text || "").matchAll(/(?<!\d)((?:19|20)\d{2})(?!\d)/g)) {
+    const year = Number(match[1]);
+    if (isPlausibleYear(year, referenceYear)) {
+      found.add(year);
+    }
+  }
+  return [...found];
+}
+
+function isPlausibleYear(year, referenceYear) {
+  return year >= EARLIEST_YEAR && year <= referenceYear + 1;
+}
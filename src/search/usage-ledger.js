@@ -0,0 +1,204 @@
+const DEFAULT_NAMESPACE = "sodh:provider-usage:v1";
+const DEFAULT_LOW_QUOTA_RATIO = 0.2;
+const MONTH_KEY_TTL_MS = 40 * 24 * 60 * 60 * 1000;
+const DAY_KEY_TTL_MS = 2 * 24 * 60 * 60 * 1000;
+
+export function parseMonthlyCaps(value) {
+  const caps = {};
+  const entries = String(value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+  for (const entry of entries) {
+    const [rawProvider, rawCap] = entry.split(":");
+    const provider = String(rawProvider || "").trim().toLowerCase();
+    const cap = Number(rawCap);
+    if (!provider || !Number.isFinite(cap) || cap <= 0) {
+      continue;
+    }
+    caps[provider] = Math.floor(cap);
+  }
+
+  return caps;
+}
+
+export function createUsageLedger({
+  monthlyCaps = {},
+  lowQuotaRatio = DEFAULT_LOW_QUOTA_RATIO,
+  getRedisClient = async () => null,
+  namespace = DEFAULT_NAMESPACE,
+  now = Date.now
+} = {}) {
+  const memoryCounts = new Map();
+  const ratio = Number.isFinite(Number(lowQuotaRatio)) && Number(lowQuotaRatio) >= 0
+    ? Math.min(Number(lowQuotaRatio), 1)
+    : DEFAULT_LOW_QUOTA_RATIO;
+
+  function buildPeriodKeys(provider) {
+    const isoDate = new Date(now()).toISOString();
+    const month = isoDate.slice(0, 7);
+    const day = isoDate.slice(0, 10);
+    return {
+      month,
+      day,
+      monthKey: `${namespace}:${provider}:month:${month}`,
+      dayKey: `${namespace}:${provider}:day:${day}`
+    };
+  }
+
+  function incrementMemory(keys) {
+    for (const key of keys) {
+      memoryCounts.set(key, (memoryCounts.get(key) || 0) + 1);
+    }
+    pruneMemory();
+  }
+
+  function decrementMemory(keys) {
+    for (const key of keys) {
+      const count = memoryCounts.get(key) || 0;
+      if (count > 0) {
+        memoryCounts.set(key, count - 1);
+      }
+    }
+  }
+
+  // Drop counters from earlier periods so the memory ledger stays bounded.
+  function pruneMemory() {
+    const isoDate = new Date(now()).toISOString();
+    const month = isoDate.slice(0, 7);
+    const day = isoDate.slice(0, 10);
+    for (const key of memoryCounts.keys()) {
+      const isCurrent = key.endsWith(`:month:${month}`) || key.endsWith(`:day:${day}`);
+      if (!isCurrent) {
+        memoryCounts.delete(key);
+      }
+    }
+  }
+
+  async function readCounts(provider) {
+    const keys = buildPeriodKeys(provider);
+    const client = await getRedisClient();
+    if (client) {
+      try {
+        const [monthValue, dayValue] = await client.mGet([keys.monthKey, keys.dayKey]);
+        return { ...keys, monthCount: Number(monthValue || 0), dayCount: Number(dayValue || 0) };
+      } catch {
+        // Fall back to the local ledger when redis is unavailable.
+      }
+    }
+
+    return {
+      ...keys,
+      monthCount: memoryCounts.get(keys.monthKey) || 0,
+      dayCount: memoryCounts.get(keys.dayKey) || 0
+    };
+  }
+
+  function summarize(provider, counts) {
+    const monthlyCap = monthlyCaps[provider] ?? null;
+    const remaining = monthlyCap === null ? null : Math.max(monthlyCap - counts.monthCount, 0);
+    return {
+      provider,
+      month: counts.month,
+      day: counts.day,
+      monthCount: counts.monthCount,
+      dayCount: counts.dayCount,
+      monthlyCap,
+      remaining,
+      exhausted: remaining !== null && remaining <= 0,
+      low: remaining !== null && remaining <= monthlyCap * ratio
+    };
+  }
+
+  return {
+    lowQuotaRatio: ratio,
+    monthlyCaps: { ...monthlyCaps },
+    async recordCall(provider) {
+      const keys = buildPeriodKeys(provider);
+      const client = await getRedisClient();
+      if (client) {
+        try {
+          await client
+            .multi()
+            .incr(keys.monthKey)
+            .pExpire(keys.monthKey, MONTH_KEY_TTL_MS)
+            .incr(keys.dayKey)
+            .pExpire(keys.dayKey, DAY_KEY_TTL_MS)
+            .exec();
+          return;
+        } catch {
+          // Fall back to the local ledger when redis is unavailable.
+        }
+      }
+
+      incrementMemory([keys.monthKey, keys.dayKey]);
+    },
+    // Counts a call before it is sent, so calls that fail or are rejected still
+    // use quota and parallel calls cannot pass the cap together. Returns false,
+    // counting nothing, when the provider has no quota left.
+    async reserveCall(provider) {
+      const keys = buildPeriodKeys(provider);
+      const monthlyCap = monthlyCaps[provider] ?? null;
+      const client = await getRedisClient();
+      if (client) {
+        try {
+          const [monthCount] = await client
+            .multi()
+            .incr(keys.monthKey)
+            .pExpire(keys.monthKey, MONTH_KEY_TTL_MS)
+            .incr(keys.dayKey)
+            .pExpire(keys.dayKey, DAY_KEY_TTL_MS)
+            .exec();
+          if (monthlyCap === null || Number(monthCount) <= monthlyCap) {
+            return true;
+          }
+          await client.multi().decr(keys.monthKey).decr(keys.dayKey).exec();
+          return false;
+        } catch {
+          // Fall back to the local ledger when redis is unavailable.
+        }
+      }
+
+      if (monthlyCap !== null && (memoryCounts.get(keys.monthKey) || 0) >= monthlyCap) {
+        return false;
+      }
+      incrementMemory([keys.monthKey, keys.dayKey]);
+      return true;
+    },
+    // Gives back a reserved call that was never sent.
+    async releaseCall(provider) {
+      const keys = buildPeriodKeys(provider);
+      const client = await getRedisClient();
+      if (client) {
+        try {
+          await client.multi().decr(keys.monthKey).decr(keys.dayKey).exec();
+          return;
+        } catch {
+          // Fall back to the local ledger when redis is unavailable.
+        }
+      }
+
+      decrementMemory([keys.monthKey, keys.dayKey]);
+    },
+    async hasQuota(provider) {
+      if (!(provider in monthlyCaps)) {
+        return true;
+      }
+      const usage = summarize(provider, await readCounts(provider));
+      return !usage.exhausted;
+    },
+    async getSnapshot(providers) {
+      const snapshot = [];
+      for (const provider of providers) {
+        snapshot.push(summarize(provider, await readCounts(provider)));
+      }
+      return snapshot;
+    }
+  };
+}
+
+export function shouldForceEconomyForQuota(snapshot) {
+  const servingProvider = (Array.isArray(snapshot) ? snapshot : []).find((item) => !item.exhausted);
+  return Boolean(servingProvider?.low);
+}
@@ -0,0 +1,205 @@
+import assert from "assert/strict";
+import { mkdtemp, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import path from "path";
+
+import {
+  DatasetCatalogError,
+  loadDatasetCatalog,
+  searchDatasetCatalog,
+  validateDatasetCatalog
+} from "../src/search/dataset-catalog.js";
+import { DATASET_CATALOG_SIZE, DATASET_CATALOG_VERSION, runSearchPipeline } from "../src/search/ranker.js";
+
+const CATALOG = loadDatasetCatalog();
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
+
+async function run() {
+  testBundledCatalogIsValid();
+  testValidatorReportsEntryProblems();
+  await testLoaderRejectsInvalidFiles();
+  testSearchRanksByBm25();
+  testSearchHonorsGeographyAndCoverage();
+  testSearchFindsPerMeasureEntries();
+  await testPipelineMergesCatalogHits();
+  await testPipelineWithoutProviderUsesCatalogOnly();
+  await testCatalogHitsFollowOperators();
+  console.log("dataset-catalog tests passed");
+}
+
+function testBundledCatalogIsValid() {
+  assert.equal(CATALOG.version, DATASET_CATALOG_VERSION);
+  assert.equal(CATALOG.datasets.length, DATASET_CATALOG_SIZE);
+  assert.ok(Object.isFrozen(CATALOG.datasets[0].keywords));
+  for (const prefix of ["chr-", "cdc-places", "acs-", "ers-", "wonder-"]) {
+    assert.ok(CATALOG.datasets.some((entry) => entry.id.startsWith(prefix)), `no ${prefix} entries`);
+  }
+}
+
+function testValidatorReportsEntryProblems() {
+  const errors = validateDatasetCatalog({
+    version: "test",
+    datasets: [
+      {
+        id: "acs-s1901",
+        title: "Income",
+        url: "https://data.census.gov/table?q=S1901",
+        description: "Income.",
+        keywords: ["income"],
+        geographyLevels: ["county"]
+      },
+      {
+        id: "acs-s1901",
+        title: "Income again",
+        url: "http://data.census.gov/table?q=S1901",
+        description: "",
+        keywords: ["Median Income"],
+        geographyLevels: ["metro"],
+        tags: []
+      }
+    ]
+  });
+
+  assert.ok(errors.includes('datasets[1].id "acs-s1901" is listed more than once'));
+  assert.ok(errors.includes("datasets[1].url must be an absolute https URL"));
+  assert.ok(errors.includes("datasets[1].description must be a non-empty string"));
+  assert.ok(errors.includes('datasets[1].keywords[0] must be lowercase ("Median Income")'));
+  assert.ok(errors.some((error) => error.startsWith("datasets[1].geographyLevels must be")));
+  assert.ok(errors.includes("datasets[1].tags is not a recognized field"));
+}
+
+async function testLoaderRejectsInvalidFiles() {
+  const tempDir = await mkdtemp(path.join(tmpdir(), "sodh-datasets-"));
+  try {
+    const invalidPath = path.join(tempDir, "invalid.json");
+    await writeFile(invalidPath, JSON.stringify({ version: "test", datasets: [] }), "utf8");
+    assert.throws(
+      () => loadDatasetCatalog(invalidPath),
+      (error) => {
+        assert.ok(error instanceof DatasetCatalogError);
+        assert.ok(error.errors.includes("datasets must be a non-empty array"));
+        return true;
+      }
+    );
+  } finally {
+    await rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+function search(queryText, queryTerms, options = {}) {
+  return searchDatasetCatalog(CATALOG, { queryText, queryTerms, ...options }).map((hit) => hit.entry.id);
+}
+
+function testSearchRanksByBm25() {
+  assert.deepEqual(search("infant mortality", ["infant", "mortality"]), ["wonder-linked-birth-infant-death"]);
+  assert.equal(search("rent burden", ["rent", "burden"])[0], "acs-b25070");
+  assert.equal(search("social vulnerability index", ["social", "vulnerability", "index"])[0], "cdc-atsdr-svi");
+  // "uninsured" only appears as a keyword; the title says "health insurance coverage".
+  assert.equal(search("uninsured", ["uninsured"])[0], "acs-s2701");
+  assert.deepEqual(search("teacher salaries", ["teacher", "salaries"]), []);
+  assert.deepEqual(search("anything", []), []);
+
+  const first = searchDatasetCatalog(CATALOG, { queryText: "overdose deaths", queryTerms: ["overdose", "deaths"] });
+  assert.equal(first[0].similarity, 1);
+  assert.deepEqual(
+    first.map((hit) => hit.entry.id),
+    search("overdose deaths", ["overdose", "deaths"])
+  );
+}
+
+function testSearchHonorsGeographyAndCoverage() {
+  assert.ok(search("food desert", ["food", "desert"]).includes("ers-food-access-research-atlas"));
+  assert.ok(!search("food desert", ["food", "desert"], { geographyLevel: "county" }).includes("ers-food-access-research-atlas"));
+  assert.equal(search("median household income", ["median", "household", "income"], { limit: 2 }).length, 2);
+}
+
+function testSearchFindsPerMeasureEntries() {
+  const chrMeasures = CATALOG.datasets.filter((entry) => entry.id.startsWith("chr-") && entry.id !== "chr-rankings-data");
+  const placesMeasures = CATALOG.datasets.filter((entry) => entry.url.includes("measureid="));
+  assert.ok(chrMeasures.length >= 10);
+  assert.ok(placesMeasures.length >= 10);
+
+  assert.equal(search("premature death", ["premature", "death"])[0], "chr-premature-death");
+  assert.equal(search("adult smoking", ["adult", "smoking"])[0], "chr-adult-smoking");
+  assert.equal(search("preventable hospital stays", ["preventable", "hospital", "stays"])[0], "chr-preventable-hospital-stays");
+  assert.equal(search("diabetes prevalence", ["diabetes", "prevalence"])[0], "cdc-places-diabetes");
+  assert.equal(search("copd", ["copd"], { geographyLevel: "county" })[0], "cdc-places-copd");
+  assert.equal(search("frequent mental distress", ["frequent", "mental", "distress"])[0], "cdc-places-frequent-mental-distress");
+  assert.ok(search("uninsured", ["uninsured"]).includes("chr-uninsured"));
+}
+
+function buildProvider(rows = []) {
+  const calls = [];
+  return {
+    calls,
+    async searchWeb(query) {
+      calls.push(query);
+      return rows;
+    }
+  };
+}
+
+async function testPipelineMergesCatalogHits() {
+  const rows = [
+    {
+      title: "Infant mortality in Tennessee",
+      url: "https://example.org/infant-mortality",
+      snippet: "Infant mortality rates by county."
+    }
+  ];
+
+  const withoutCatalog = await runSearchPipeline({ query: "infant mortality", provider: buildProvider(rows) });
+  assert.equal(withoutCatalog.metadata.localCatalog, false);
+  assert.equal(withoutCatalog.metadata.catalogResultCount, 0);
+  assert.ok(withoutCatalog.results.every((result) => !("catalogId" in result)));
+
+  const output = await runSearchPipeline({
+    query: "infant mortality",
+    provider: buildProvider(rows),
+    options: { localCatalog: true, explain: true }
+  });
+  const catalogHit = output.results.find((result) => result.catalogId === "wonder-linked-birth-infant-death");
+  assert.ok(catalogHit);
+  assert.equal(catalogHit.url, "https://wonder.cdc.gov/lbd.html");
+  assert.equal(catalogHit.isPriority, true);
+  assert.ok(catalogHit.scoreBreakdown.components.some((component) => component.factor === "dataset_catalog"));
+  assert.ok(output.results.some((result) => result.domain === "example.org"));
+  assert.equal(output.metadata.catalogResultCount, 1);
+  assert.equal(output.metadata.datasetCatalogVersion, DATASET_CATALOG_VERSION);
+}
+
+async function testPipelineWithoutProviderUsesCatalogOnly() {
+  const stages = [];
+  const output = await runSearchPipeline({
+    query: "median household income Knox County Tennessee",
+    provider: null,
+    options: { onStage: (event) => stages.push(event.stage) }
+  });
+
+  assert.equal(output.metadata.localCatalog, true);
+  assert.equal(output.metadata.providerRequestCount, 0);
+  assert.equal(output.metadata.providerRequestLimit, 0);
+  assert.equal(output.metadata.fallbackUsed, false);
+  assert.deepEqual(stages, ["dataset_catalog"]);
+  assert.equal(output.results[0].catalogId, "acs-s1901");
+  assert.ok(output.results.every((result) => result.catalogId));
+
+  const measures = await runSearchPipeline({ query: "adult obesity Knox County Tennessee", provider: null });
+  assert.deepEqual(
+    measures.results.map((result) => result.catalogId).slice(0, 2).sort(),
+    ["cdc-places-obesity", "chr-adult-obesity"]
+  );
+}
+
+async function testCatalogHitsFollowOperators() {
+  const output = await runSearchPipeline({
+    query: "overdose deaths",
+    provider: null,
+    options: { operators: { excludeDomains: ["wonder.cdc.gov"] } }
+  });
+  assert.deepEqual(output.results, []);
+}
@@ -0,0 +1,161 @@
+import assert from "assert/strict";
+import { mkdtemp, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import path from "path";
+
+import {
+  DomainCatalogError,
+  loadDomainCatalog,
+  validateDomainCatalog
+} from "../src/search/domain-catalog.js";
+import { DOMAIN_CATALOG, PRIORITY_DOMAINS } from "../src/search/providers.js";
+import { runSearchPipeline } from "../src/search/ranker.js";
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
+
+async function run() {
+  await testBundledCatalogResolvesTierBonuses();
+  await testValidatorReportsCatalogProblems();
+  await testStateScopedDomainsOnlyApplyToMatchingStates();
+  await testStateHealthDomainsOnlyLeadStageAForTheirState();
+  await testTierBonusOrdersOtherwiseEqualResults();
+  console.log("domain-catalog tests passed");
+}
+
+async function testBundledCatalogResolvesTierBonuses() {
+  const catalog = loadDomainCatalog();
+  assert.equal(catalog.version, DOMAIN_CATALOG.version);
+  assert.deepEqual(PRIORITY_DOMAINS, catalog.domains.map((entry) => entry.domain));
+
+  const byDomain = new Map(catalog.domains.map((entry) => [entry.domain, entry]));
+  assert.equal(byDomain.get("healthdata.tn.gov").bonus, catalog.tiers.state_health.bonus);
+  assert.ok(byDomain.get("healthdata.tn.gov").bonus > byDomain.get("sparkmaps.com").bonus);
+  assert.deepEqual(byDomain.get("chfs.ky.gov").states, ["KY"]);
+  assert.deepEqual(byDomain.get("healthdata.tn.gov").states, ["TN"]);
+  assert.deepEqual(byDomain.get("vdh.virginia.gov").states, ["VA"]);
+  assert.equal(byDomain.get("cdc.gov").states, null);
+}
+
+async function testValidatorReportsCatalogProblems() {
+  const errors = validateDomainCatalog({
+    version: "test",
+    tiers: { federal: { label: "Federal agency", bonus: 1000 } },
+    domains: [
+      { domain: "cdc.gov", tier: "federal" },
+      { domain: "cdc.gov", tier: "federal" },
+      { domain: "https://example.org/data", tier: "federal" },
+      { domain: "ncdhhs.gov", tier: "state", states: ["north carolina"], weight: 2 }
+    ]
+  });
+
+  assert.ok(errors.includes('domains[1].domain "cdc.gov" is listed more than once'));
+  assert.ok(errors.includes("domains[2].domain must be a lowercase hostname without scheme or path"));
+  assert.ok(errors.includes("domains[3].tier must be one of: federal"));
+  assert.ok(errors.includes("domains[3].states must be a non-empty array of two-letter uppercase state codes"));
+  assert.ok(errors.includes("domains[3].weight is not a recognized field"));
+
+  const tempDir = await mkdtemp(path.join(tmpdir(), "sodh-catalog-"));
+  try {
+    const invalidPath = path.join(tempDir, "catalog.json");
+    await writeFile(invalidPath, JSON.stringify({ version: "test", tiers: {}, domains: [] }), "utf8");
+    assert.throws(() => loadDomainCatalog(invalidPath), DomainCatalogError);
+  } finally {
+    await rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+async function testStateScopedDomainsOnlyApplyToMatchingStates() {
+  const kentuckyQueries = [];
+  const kentucky = await runSearchPipeline({
+    query: "uninsured rate by county Kentucky",
+    provider: createProvider(kentuckyQueries),
+    options: { costMode: "standard" }
+  });
+  const tennesseeQueries = [];
+  const tennessee = await runSearchPipeline({
+    query: "uninsured rate by county Tennessee",
+    provider: createProvider(tennesseeQueries),
+    options: { costMode: "standard" }
+  });
+
+  assert.ok(kentuckyQueries.some((query) => query.includes("site:chfs.ky.gov")));
+  assert.ok(!tennesseeQueries.some((query) => query.includes("site:chfs.ky.gov")));
+
+  const kyResult = kentucky.results.find((result) => result.domain === "chfs.ky.gov");
+  assert.equal(kyResult.isPriority, true);
+  assert.equal(kyResult.priorityTier, "state_health");
+
+  const tnView = tennessee.results.find((result) => result.domain === "chfs.ky.gov");
+  assert.ok(!tnView || tnView.isPriority === false);
+}
+
+async function testStateHealthDomainsOnlyLeadStageAForTheirState() {
+  const firstStageABatch = async (query) => {
+    const observedQueries = [];
+    await runSearchPipeline({ query, provider: createProvider(observedQueries), options: { costMode: "standard" } });
+    return observedQueries.find((observed) => observed.includes(" OR site:"));
+  };
+
+  const national = await firstStageABatch("uninsured rate by county");
+  assert.ok(!national.includes("site:healthdata.tn.gov"));
+  assert.ok(!national.includes("site:vdh.virginia.gov"));
+  assert.ok(national.includes("site:cdc.gov"));
+
+  const tennessee = await firstStageABatch("uninsured rate by county Tennessee");
+  assert.ok(tennessee.includes("site:healthdata.tn.gov"));
+  assert.ok(!tennessee.includes("site:vdh.virginia.gov"));
+
+  const virginia = await firstStageABatch("uninsured rate by county Virginia");
+  assert.ok(virginia.includes("site:vdh.virginia.gov"));
+  assert.ok(!virginia.includes("site:healthdata.tn.gov"));
+}
+
+async function testTierBonusOrdersOtherwiseEqualResults() {
+  const output = await runSearchPipeline({
+    query: "food insecurity tennessee",
+    provider: {
+      async searchWeb() {
+        return [
+          {
+            title: "Food insecurity",
+            url: "https://sparkmaps.com/food-insecurity",
+            snippet: "Food insecurity estimates."
+          },
+          {
+            title: "Food insecurity",
+            url: "https://healthdata.tn.gov/food-insecurity",
+            snippet: "Food insecurity estimates."
+          }
+        ];
+      }
+    },
+    options: { explain: true }
+  });
+
+  assert.deepEqual(output.results.map((result) => result.domain), ["healthdata.tn.gov", "sparkmaps.com"]);
+  const priority = output.results[0].scoreBreakdown.components.find((component) => component.factor === "priority_domain");
+  assert.equal(priority.detail, "State health department");
+}
+
+function createProvider(observedQueries) {
+  return {
+    async searchWeb(query) {
+      observedQueries.push(query);
+      return [
+        {
+          title: "Kentucky uninsured rate by county",
+          url: "https://chfs.ky.gov/data/uninsured-county",
+          snippet: "County uninsured rate data for Kentucky."
+        },
+        {
+          title: "Tennessee uninsured rate by county",
+          url: "https://www.countyhealthrankings.org/tennessee/uninsured",
+          snippet: "County uninsured rate data for Tennessee."
+        }
+      ];
+    }
+  };
+}
@@ -4,7 +4,8 @@ import {
   attachExtractorEligibility,
   buildExtractionCacheKey,
   getEligibleExtractors,
-  listExtractorCatalog
+  listExtractorCatalog,
+  listExtractorMeasureKeywords
 } from "../src/extractors/registry.js";
 
 run();
@@ -14,6 +15,7 @@ function run() {
   testEligibilityByDomain();
   testEligibilityAttachment();
   testCacheKeyDeterministic();
+  testMeasureKeywords();
   console.log("extractors-registry tests passed");
 }
 
@@ -85,3 +87,11 @@ function testCacheKeyDeterministic() {
 
   assert.equal(left, right);
 }
+
+function testMeasureKeywords() {
+  const keywords = listExtractorMeasureKeywords();
+  for (const keyword of ["median household income", "unemployment", "obesity", "natality", "age-adjusted rate"]) {
+    assert.ok(keywords.includes(keyword), keyword);
+  }
+  assert.equal(new Set(keywords).size, keywords.length);
+}
@@ -0,0 +1,232 @@
+import assert from "assert/strict";
+import http from "http";
+
+import { createLinkVerifier } from "../src/search/link-verifier.js";
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
+
+async function run() {
+  const stub = await startStub();
+  try {
+    await testStatesAndFinalUrls(stub);
+    await testDeadLinksAreDemoted(stub);
+    await testCacheHonorsTtl(stub);
+    await testTransientFailuresAreNotCached(stub);
+    await testConcurrencyCap(stub);
+    await testNonPublicAddressesAreBlocked(stub);
+  } finally {
+    await new Promise((resolve) => stub.server.close(resolve));
+  }
+  console.log("link-verifier tests passed");
+}
+
+function startStub() {
+  const hits = new Map();
+  let inFlight = 0;
+  let maxInFlight = 0;
+  let flakyCalls = 0;
+
+  const server = http.createServer((req, res) => {
+    const key = `${req.method} ${req.url}`;
+    hits.set(key, (hits.get(key) || 0) + 1);
+
+    switch (req.url) {
+      case "/ok":
+        return res.writeHead(200).end();
+      case "/moved":
+        return res.writeHead(301, { Location: "/moved-again" }).end();
+      case "/moved-again":
+        return res.writeHead(302, { Location: "/ok" }).end();
+      case "/moved-to-missing":
+        return res.writeHead(308, { Location: "/missing" }).end();
+      case "/missing":
+        return res.writeHead(404).end();
+      case "/gone":
+        return res.writeHead(410).end();
+      case "/loop":
+        return res.writeHead(302, { Location: "/loop" }).end();
+      case "/no-head":
+        return res.writeHead(req.method === "HEAD" ? 405 : 200).end(req.method === "GET" ? "body" : undefined);
+      case "/flaky":
+        flakyCalls += 1;
+        return res.writeHead(flakyCalls === 1 ? 503 : 200).end();
+      case "/slow":
+        return setTimeout(() => res.writeHead(200).end(), 500);
+      default:
+        if (req.url.startsWith("/concurrent/")) {
+          inFlight += 1;
+          maxInFlight = Math.max(maxInFlight, inFlight);
+          return setTimeout(() => {
+            inFlight -= 1;
+            res.writeHead(200).end();
+          }, 40);
+        }
+        return res.writeHead(500).end();
+    }
+  });
+
+  return new Promise((resolve) =>
+    server.listen(0, "127.0.0.1", () => {
+      const base = `http://127.0.0.1:${server.address().port}`;
+      resolve({ server, hits, url: (path) => `${base}${path}`, maxInFlight: () => maxInFlight });
+    })
+  );
+}
+
+async function testStatesAndFinalUrls(stub) {
+  const verifier = createLinkVerifier({ allowPrivateHosts: true, timeoutMs: 200, maxRedirects: 3 });
+
+  assert.deepEqual(pick(await verifier.verifyUrl(stub.url("/ok"))), {
+    state: "ok",
+    statusCode: 200,
+    finalUrl: stub.url("/ok"),
+    redirectCount: 0,
+    method: "HEAD"
+  });
+  assert.deepEqual(pick(await verifier.verifyUrl(stub.url("/moved"))), {
+    state: "redirected",
+    statusCode: 200,
+    finalUrl: stub.url("/ok"),
+    redirectCount: 2,
+    method: "HEAD"
+  });
+  assert.deepEqual(pick(await verifier.verifyUrl(stub.url("/moved-to-missing"))), {
+    state: "dead",
+    statusCode: 404,
+    finalUrl: stub.url("/missing"),
+    redirectCount: 1,
+    method: "HEAD"
+  });
+  assert.equal((await verifier.verifyUrl(stub.url("/gone"))).state, "dead");
+
+  const headRefused = await verifier.verifyUrl(stub.url("/no-head"));
+  assert.equal(headRefused.state, "ok");
+  assert.equal(headRefused.method, "GET");
+
+  const loop = await verifier.verifyUrl(stub.url("/loop"));
+  assert.equal(loop.state, "unverified");
+  assert.equal(loop.reason, "too_many_redirects");
+  assert.equal(loop.redirectCount, 3);
+
+  const slow = await verifier.verifyUrl(stub.url("/slow"));
+  assert.equal(slow.state, "unverified");
+  assert.equal(slow.reason, "timeout");
+}
+
+async function testDeadLinksAreDemoted(stub) {
+  const verifier = createLinkVerifier({ allowPrivateHosts: true, timeoutMs: 200 });
+  const { results, summary } = await verifier.verifyResults([
+    { title: "Gone", url: stub.url("/gone") },
+    { title: "Moved", url: stub.url("/moved") },
+    { title: "Missing", url: stub.url("/missing") },
+    { title: "Fine", url: stub.url("/ok") }
+  ]);
+
+  assert.deepEqual(
+    results.map((result) => [result.title, result.linkStatus.state]),
+    [
+      ["Moved", "redirected"],
+      ["Fine", "ok"],
+      ["Gone", "dead"],
+      ["Missing", "dead"]
+    ]
+  );
+  assert.equal(results[0].url, stub.url("/moved"));
+  assert.equal(results[0].linkStatus.finalUrl, stub.url("/ok"));
+  assert.equal("cacheHit" in results[0].linkStatus, false);
+  assert.deepEqual(summary, { checked: 4, cacheHits: 0, ok: 1, redirected: 1, dead: 2, unverified: 0 });
+}
+
+async function testCacheHonorsTtl(stub) {
+  let clock = Date.UTC(2026, 9, 19);
+  const verifier = createLinkVerifier({ allowPrivateHosts: true, timeoutMs: 200, cacheTtlMs: 1000, now: () => clock });
+  const url = stub.url("/gone");
+  const before = stub.hits.get("HEAD /gone") || 0;
+
+  assert.equal((await verifier.verifyUrl(url)).cacheHit, false);
+  const cached = await verifier.verifyUrl(url);
+  assert.equal(cached.cacheHit, true);
+  assert.equal(cached.state, "dead");
+  assert.equal(stub.hits.get("HEAD /gone"), before + 1);
+
+  clock += 1001;
+  assert.equal((await verifier.verifyUrl(url)).cacheHit, false);
+  assert.equal(stub.hits.get("HEAD /gone"), before + 2);
+}
+
+async function testTransientFailuresAreNotCached(stub) {
+  const verifier = createLinkVerifier({ allowPrivateHosts: true, timeoutMs: 200 });
+  const first = await verifier.verifyUrl(stub.url("/flaky"));
+  assert.equal(first.state, "unverified");
+  assert.equal(first.statusCode, 503);
+
+  const second = await verifier.verifyUrl(stub.url("/flaky"));
+  assert.equal(second.state, "ok");
+  assert.equal(second.cacheHit, false);
+}
+
+async function testConcurrencyCap(stub) {
+  const verifier = createLinkVerifier({ allowPrivateHosts: true, timeoutMs: 1000, concurrency: 2 });
+  const results = Array.from({ length: 6 }, (_, index) => ({
+    title: `Page ${index}`,
+    url: stub.url(`/concurrent/${index}`)
+  }));
+
+  const { summary } = await verifier.verifyResults([...results, results[0]]);
+  assert.equal(summary.checked, 6);
+  assert.equal(summary.ok, 6);
+  assert.equal(stub.maxInFlight(), 2);
+}
+
+function pick({ state, statusCode, finalUrl, redirectCount, method }) {
+  return { state, statusCode, finalUrl, redirectCount, method };
+}
+
+async function testNonPublicAddressesAreBlocked(stub) {
+  const lookups = [];
+  const verifier = createLinkVerifier({
+    timeoutMs: 200,
+    lookup: async (hostname) => {
+      lookups.push(hostname);
+      return hostname === "intranet.example" ? [{ address: "10.1.2.3", family: 4 }] : [{ address: "93.184.216.34", family: 4 }];
+    }
+  });
+
+  const hitsBefore = stub.hits.get("HEAD /ok") || 0;
+  for (const url of [
+    stub.url("/ok"),
+    "http://localhost:8080/admin",
+    "http://[::1]/",
+    "http://169.254.169.254/latest/meta-data/",
+    "http://[::ffff:192.168.0.1]/",
+    "https://intranet.example/report"
+  ]) {
+    const status = await verifier.verifyUrl(url);
+    assert.equal(status.state, "unverified", url);
+    assert.equal(status.reason, "blocked_address", url);
+    assert.equal(status.redirectCount, 0, url);
+  }
+  assert.equal(stub.hits.get("HEAD /ok") || 0, hitsBefore);
+  assert.deepEqual(lookups, ["intranet.example"]);
+
+  // A public page that redirects into the private network stops before the hop.
+  const originalFetch = global.fetch;
+  const fetched = [];
+  global.fetch = async (url) => {
+    fetched.push(String(url));
+    return new Response(null, { status: 302, headers: { Location: "http://127.0.0.1:9/internal" } });
+  };
+  try {
+    const status = await verifier.verifyUrl("https://public.example/moved");
+    assert.equal(status.state, "unverified");
+    assert.equal(status.reason, "blocked_address");
+    assert.equal(status.finalUrl, "http://127.0.0.1:9/internal");
+    assert.equal(status.redirectCount, 1);
+    assert.deepEqual(fetched, ["https://public.example/moved"]);
+  } finally {
+    global.fetch = originalFetch;
+  }
+}
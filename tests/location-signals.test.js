@@ -0,0 +1,125 @@
+import assert from "assert/strict";
+
+import { buildLocationSignal, detectStateMentions } from "../src/search/location-signals.js";
+import { normalizeSearchQuery } from "../src/search/query-normalizer.js";
+import { runSearchPipeline } from "../src/search/ranker.js";
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
+
+async function run() {
+  testDetectsStatesByNameAndCode();
+  testAmbiguousCodesNeedStatePosition();
+  testLowercaseCodesNeedStatePosition();
+  testCountyNamesAreNotStates();
+  await testOregonQueryBoostsOregonSources();
+  await testMedicalAbbreviationsAddNoLocationPenalty();
+  console.log("location-signals tests passed");
+}
+
+function testDetectsStatesByNameAndCode() {
+  assert.deepEqual(abbrs("uninsured TN and VA"), ["TN", "VA"]);
+  assert.deepEqual(abbrs("West Virginia overdose deaths"), ["WV"]);
+  assert.deepEqual(abbrs("food access north carolina vs. SC"), ["NC", "SC"]);
+
+  const [oregon] = detectStateMentions("Oregon obesity");
+  assert.equal(oregon.fips, "41");
+  assert.equal(oregon.matchedBy, "name");
+  assert.deepEqual(buildLocationSignal(oregon).aliases, ["oregon"]);
+  assert.deepEqual(buildLocationSignal(detectStateMentions("TX")[0]).aliases, ["tx", "texas"]);
+}
+
+function testAmbiguousCodesNeedStatePosition() {
+  assert.deepEqual(abbrs("obesity in or near Nashville"), []);
+  assert.deepEqual(abbrs("obesity OR diabetes"), []);
+  assert.deepEqual(abbrs("diabetes IN Ohio"), ["OH"]);
+  assert.deepEqual(abbrs("Portland, OR obesity"), ["OR"]);
+  assert.deepEqual(abbrs("Hamilton County, IN"), ["IN"]);
+  assert.deepEqual(abbrs("obesity rates in OK"), ["OK"]);
+  assert.deepEqual(abbrs("obesity rates in ok"), []);
+}
+
+function testLowercaseCodesNeedStatePosition() {
+  assert.deepEqual(abbrs("ct scan rates"), []);
+  assert.deepEqual(abbrs("CT scan rates"), []);
+  assert.deepEqual(abbrs("ms prevalence by county"), []);
+  assert.deepEqual(abbrs("MS prevalence by county"), []);
+  assert.deepEqual(abbrs("mi hospitalizations"), []);
+  assert.deepEqual(abbrs("ne quadrant food access"), []);
+  assert.deepEqual(abbrs("tx flood maps"), []);
+
+  assert.deepEqual(abbrs("medicaid tn"), ["TN"]);
+  assert.deepEqual(abbrs("knox county tn uninsured"), ["TN"]);
+  assert.deepEqual(abbrs("nashville tn food deserts"), ["TN"]);
+  assert.deepEqual(abbrs("st. louis mo poverty"), ["MO"]);
+  assert.deepEqual(abbrs("Hartford, CT asthma"), ["CT"]);
+  assert.deepEqual(abbrs("overdose deaths in MS"), ["MS"]);
+
+  const ct = normalizeSearchQuery("ct scan rates", { enabled: true });
+  assert.equal(ct.normalizedQuery, "ct scan rates");
+  assert.ok(ct.subQueries.every((subQuery) => !subQuery.query.includes("connecticut")));
+  assert.ok(!normalizeSearchQuery("ms prevalence by county", { enabled: true }).normalizedQuery.includes("mississippi"));
+}
+
+function testCountyNamesAreNotStates() {
+  assert.deepEqual(abbrs("Washington County Tennessee uninsured"), ["TN"]);
+  assert.deepEqual(abbrs("Washington state uninsured"), ["WA"]);
+}
+
+async function testOregonQueryBoostsOregonSources() {
+  const provider = {
+    async searchWeb() {
+      return [
+        {
+          title: "Adult obesity data",
+          url: "https://www.cdc.gov/obesity/data/index.html",
+          snippet: "Obesity prevalence maps or tables for all states."
+        },
+        {
+          title: "Adult obesity in Oregon",
+          url: "https://www.cdc.gov/obesity/data/oregon.html",
+          snippet: "Oregon adult obesity prevalence data."
+        }
+      ];
+    }
+  };
+
+  const output = await runSearchPipeline({ query: "Oregon obesity", provider, options: { explain: true } });
+  assert.equal(output.results[0].url, "https://www.cdc.gov/obesity/data/oregon.html");
+
+  const generic = output.results.find((result) => result.url.endsWith("index.html"));
+  const factors = generic.scoreBreakdown.components.map((component) => component.factor);
+  assert.ok(factors.includes("missing_location_signal"));
+
+  const unrelated = await runSearchPipeline({ query: "obesity or diabetes data", provider, options: { explain: true } });
+  for (const result of unrelated.results) {
+    const resultFactors = result.scoreBreakdown.components.map((component) => component.factor);
+    assert.ok(!resultFactors.includes("location_signal"));
+    assert.ok(!resultFactors.includes("missing_location_signal"));
+  }
+}
+
+async function testMedicalAbbreviationsAddNoLocationPenalty() {
+  const provider = {
+    async searchWeb() {
+      return [
+        {
+          title: "CT scan utilization rates",
+          url: "https://www.cdc.gov/nchs/ct-scan-rates.html",
+          snippet: "National CT scan rates by age group."
+        }
+      ];
+    }
+  };
+  const output = await runSearchPipeline({ query: "ct scan rates", provider, options: { explain: true } });
+  assert.ok(output.results.length > 0);
+  for (const result of output.results) {
+    assert.ok(result.scoreBreakdown.components.every((component) => component.factor !== "missing_location_signal"));
+  }
+}
+
+function abbrs(query) {
+  return detectStateMentions(query).map((state) => state.abbr);
+}
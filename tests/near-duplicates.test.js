@@ -0,0 +1,151 @@
+import assert from "assert/strict";
+
+import {
+  buildUrlPathPattern,
+  collapseNearDuplicates,
+  normalizeResultUrl,
+  titleSimilarity
+} from "../src/search/near-duplicates.js";
+import { runSearchPipeline } from "../src/search/ranker.js";
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
+
+async function run() {
+  testNormalizedUrlsIgnoreIndexFilesAndTracking();
+  testPathPatternsIgnoreStateSegments();
+  testPathPatternsKeepDateSegments();
+  testTitleSimilarityIgnoresStates();
+  testCollapseKeepsFirstRepresentative();
+  await testPipelineReturnsAlternates();
+  console.log("near-duplicates tests passed");
+}
+
+function testNormalizedUrlsIgnoreIndexFilesAndTracking() {
+  const expected = "cdc.gov/obesity/data";
+  assert.equal(normalizeResultUrl("https://www.cdc.gov/obesity/data/index.html"), expected);
+  assert.equal(normalizeResultUrl("http://cdc.gov/obesity/data/?utm_source=x&utm_medium=email"), expected);
+  assert.equal(normalizeResultUrl("https://www.cdc.gov/obesity/data"), expected);
+  assert.equal(
+    normalizeResultUrl("https://example.org/table?b=2&a=1&gclid=abc"),
+    "example.org/table?a=1&b=2"
+  );
+}
+
+function testPathPatternsIgnoreStateSegments() {
+  const tennessee = buildUrlPathPattern("https://www.countyhealthrankings.org/health-data/tennessee/adult-smoking");
+  const kentucky = buildUrlPathPattern("https://www.countyhealthrankings.org/health-data/kentucky/adult-smoking");
+  const newYork = buildUrlPathPattern("https://www.countyhealthrankings.org/health-data/new-york/adult-smoking");
+  assert.equal(tennessee, "countyhealthrankings.org/health-data/{state}/adult-smoking");
+  assert.equal(kentucky, tennessee);
+  assert.equal(newYork, tennessee);
+
+  assert.equal(
+    buildUrlPathPattern("https://example.org/measure?state=47&year=2024"),
+    "example.org/measure?state={state}&year=2024"
+  );
+  assert.notEqual(
+    buildUrlPathPattern("https://www.countyhealthrankings.org/health-data/tennessee/adult-obesity"),
+    tennessee
+  );
+}
+
+function testPathPatternsKeepDateSegments() {
+  // "05", "12" and "22" are also the FIPS codes of Arkansas, Florida and Louisiana.
+  assert.equal(
+    buildUrlPathPattern("https://www.cdc.gov/mmwr/volumes/2024/05/22/report.html"),
+    "cdc.gov/mmwr/volumes/2024/05/22/report.html"
+  );
+  assert.notEqual(
+    buildUrlPathPattern("https://www.cdc.gov/mmwr/volumes/2024/05/report.html"),
+    buildUrlPathPattern("https://www.cdc.gov/mmwr/volumes/2024/12/report.html")
+  );
+  assert.equal(
+    buildUrlPathPattern("https://example.org/archive?month=12&year=2024"),
+    "example.org/archive?month=12&year=2024"
+  );
+  assert.equal(
+    buildUrlPathPattern("https://example.org/measure?statefips=05&year=2024"),
+    "example.org/measure?statefips={state}&year=2024"
+  );
+
+  const collapsed = collapseNearDuplicates([
+    { title: "Weekly report", url: "https://www.cdc.gov/mmwr/volumes/2024/05/report.html" },
+    { title: "Weekly report", url: "https://www.cdc.gov/mmwr/volumes/2024/12/report.html" }
+  ]);
+  assert.equal(collapsed.length, 2);
+}
+
+function testTitleSimilarityIgnoresStates() {
+  assert.equal(titleSimilarity("Adult smoking in Tennessee", "Adult smoking in Kentucky"), 1);
+  assert.equal(titleSimilarity("TN adult smoking", "KY adult smoking"), 1);
+  assert.ok(titleSimilarity("Adult smoking", "Adult obesity") < 0.75);
+}
+
+function testCollapseKeepsFirstRepresentative() {
+  const collapsed = collapseNearDuplicates([
+    { title: "Adult smoking in Tennessee", url: "https://www.countyhealthrankings.org/health-data/tennessee/adult-smoking" },
+    { title: "Adult obesity in Tennessee", url: "https://www.countyhealthrankings.org/health-data/tennessee/adult-obesity" },
+    { title: "Adult smoking in Kentucky", url: "https://www.countyhealthrankings.org/health-data/kentucky/adult-smoking" },
+    // Same pattern, unrelated title: kept separate.
+    { title: "Health data overview", url: "https://www.countyhealthrankings.org/health-data/kentucky/adult-smoking?view=map" }
+  ]);
+
+  assert.deepEqual(
+    collapsed.map((item) => [item.title, item.alternates.map((alternate) => alternate.title)]),
+    [
+      ["Adult smoking in Tennessee", ["Adult smoking in Kentucky"]],
+      ["Adult obesity in Tennessee", []],
+      ["Health data overview", []]
+    ]
+  );
+}
+
+async function testPipelineReturnsAlternates() {
+  const provider = {
+    async searchWeb() {
+      return [
+        {
+          title: "Adult obesity data | CDC",
+          url: "https://www.cdc.gov/obesity/data/index.html",
+          snippet: "Adult obesity prevalence maps and data tables."
+        },
+        {
+          title: "Adult obesity data | CDC",
+          url: "https://www.cdc.gov/obesity/data/?utm_source=newsletter",
+          snippet: "Adult obesity prevalence maps and data tables."
+        },
+        {
+          title: "Adult obesity in Tennessee",
+          url: "https://www.countyhealthrankings.org/health-data/tennessee/adult-obesity",
+          snippet: "Adult obesity data for Tennessee counties."
+        },
+        {
+          title: "Adult obesity in Kentucky",
+          url: "https://www.countyhealthrankings.org/health-data/kentucky/adult-obesity",
+          snippet: "Adult obesity data for Kentucky counties."
+        }
+      ];
+    }
+  };
+
+  const output = await runSearchPipeline({ query: "Tennessee adult obesity data", provider });
+  const urls = output.results.map((result) => result.url);
+  assert.equal(urls.length, 2);
+  assert.equal(output.metadata.collapsedDuplicateCount, 2);
+
+  const chr = output.results.find((result) => result.domain === "countyhealthrankings.org");
+  assert.equal(chr.url, "https://www.countyhealthrankings.org/health-data/tennessee/adult-obesity");
+  assert.deepEqual(chr.alternates, [
+    {
+      title: "Adult obesity in Kentucky",
+      url: "https://www.countyhealthrankings.org/health-data/kentucky/adult-obesity",
+      domain: "countyhealthrankings.org"
+    }
+  ]);
+
+  const cdc = output.results.find((result) => result.domain === "cdc.gov");
+  assert.equal(cdc.alternates.length, 1);
+}
@@ -0,0 +1,184 @@
+import assert from "assert/strict";
+import { mkdtemp, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import path from "path";
+
+import {
+  CORE_NORMALIZATION_PACK_PATH,
+  NORMALIZATION_RULES,
+  NormalizationPackError,
+  SPANISH_NORMALIZATION_PACK_PATH,
+  loadNormalizationPack,
+  loadNormalizationPacks,
+  parsePackPaths,
+  validateNormalizationPack
+} from "../src/search/normalization/packs.js";
+import { QUERY_NORMALIZATION_VERSION } from "../src/search/query-normalizer.js";
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
+
+async function run() {
+  testCorePackIsValid();
+  testSpanishPackIsValid();
+  testValidatorReportsPackProblems();
+  testValidatorReportsLanguageRuleProblems();
+  testParsePackPaths();
+  await testOverlaysMergeOverCore();
+  await testLoaderRejectsInvalidPacks();
+  console.log("normalization-packs tests passed");
+}
+
+function testCorePackIsValid() {
+  const core = loadNormalizationPack(CORE_NORMALIZATION_PACK_PATH);
+  const spanish = loadNormalizationPack(SPANISH_NORMALIZATION_PACK_PATH);
+  assert.equal(NORMALIZATION_RULES.version, `${core.version}+es@${spanish.version}`);
+  assert.equal(QUERY_NORMALIZATION_VERSION, NORMALIZATION_RULES.version);
+  assert.deepEqual(NORMALIZATION_RULES.packs, [
+    { id: "core", version: core.version },
+    { id: "es", version: spanish.version, language: "es" }
+  ]);
+  assert.deepEqual(NORMALIZATION_RULES.typos.medicad, { to: "medicaid", pack: "core" });
+  assert.deepEqual(NORMALIZATION_RULES.abbreviations.acs.phrases, ["american community survey"]);
+  assert.ok(NORMALIZATION_RULES.indicatorAliases.every((rule) => rule.pack === "core"));
+
+  assert.ok(Object.isFrozen(NORMALIZATION_RULES.typos.medicad));
+  assert.ok(NORMALIZATION_RULES.vocabulary.includes("severe housing cost burden"));
+  const foodInsecurity = NORMALIZATION_RULES.indicatorAliases.find((rule) => rule.id === "food_insecurity");
+  assert.equal(foodInsecurity.formalName, "food insecurity");
+}
+
+function testSpanishPackIsValid() {
+  assert.deepEqual(NORMALIZATION_RULES.translations["ingreso medio del hogar"], {
+    to: "median household income",
+    pack: "es",
+    language: "es"
+  });
+  assert.deepEqual(NORMALIZATION_RULES.stopwords.del, { pack: "es", language: "es" });
+  assert.equal(NORMALIZATION_RULES.placePrefixes["condado de"].to, "county");
+}
+
+function testValidatorReportsPackProblems() {
+  const errors = validateNormalizationPack({
+    id: "Team Pack",
+    version: "",
+    typos: { "Medicad": "medicaid", hospitl: "hospital care" },
+    abbreviations: { fqhc: [] },
+    indicatorAliases: [
+      { id: "food_access", triggerPhrases: ["food access"], expansionPhrases: ["Grocery"] },
+      { id: "food_access", triggerPhrases: ["food"], expansionPhrases: ["grocery"], weight: 2 },
+      { id: "food_desert", triggerPhrases: ["food desert"], expansionPhrases: ["food access"], formalName: "Low Access" }
+    ],
+    owner: "team"
+  });
+
+  assert.ok(errors.includes("owner is not a recognized field"));
+  assert.ok(errors.includes("id must be lowercase words joined by hyphens"));
+  assert.ok(errors.includes("version must be a non-empty string"));
+  assert.ok(errors.includes('typos["Medicad"] key must be a single lowercase token'));
+  assert.ok(errors.includes('typos["hospitl"] must be a single lowercase token'));
+  assert.ok(errors.includes('abbreviations["fqhc"] must be a non-empty array of strings'));
+  assert.ok(errors.includes('indicatorAliases[0].expansionPhrases[0] must be lowercase ("Grocery")'));
+  assert.ok(errors.includes('indicatorAliases[1].id "food_access" is listed more than once'));
+  assert.ok(errors.includes("indicatorAliases[1].weight is not a recognized field"));
+  assert.ok(errors.includes("indicatorAliases[2].formalName must be a non-empty lowercase string"));
+
+  assert.deepEqual(validateNormalizationPack({ id: "empty", version: "1" }), [
+    "pack needs typos, abbreviations, indicatorAliases, vocabulary or translations"
+  ]);
+}
+
+function testValidatorReportsLanguageRuleProblems() {
+  const errors = validateNormalizationPack({
+    id: "fr",
+    version: "1",
+    language: "French",
+    translations: { "revenu médian": "median income", "taux de pauvreté": "" },
+    stopwords: ["de", "l'"],
+    placePrefixes: { "comte de": "county seat" }
+  });
+
+  assert.ok(errors.includes("language must be a two-letter lowercase code"));
+  assert.ok(errors.includes('translations["revenu médian"] key must be lowercase words without accents'));
+  assert.ok(errors.includes('translations["taux de pauvreté"] must be a non-empty lowercase string'));
+  assert.ok(errors.includes("stopwords[1] must be a single lowercase token"));
+  assert.ok(errors.includes('placePrefixes["comte de"] must be a single lowercase token'));
+
+  assert.deepEqual(validateNormalizationPack({ id: "fr", version: "1", stopwords: ["de"] }), [
+    "language is required with translations, stopwords or placePrefixes"
+  ]);
+}
+
+function testParsePackPaths() {
+  assert.deepEqual(parsePackPaths(""), []);
+  assert.deepEqual(parsePackPaths(undefined), []);
+  assert.deepEqual(parsePackPaths(" /a.json, ,/b.json "), ["/a.json", "/b.json"]);
+}
+
+async function testOverlaysMergeOverCore() {
+  const tempDir = await mkdtemp(path.join(tmpdir(), "sodh-packs-"));
+  try {
+    const teamPath = path.join(tempDir, "team.json");
+    await writeFile(
+      teamPath,
+      JSON.stringify({
+        id: "east-tn",
+        version: "2026-10-01",
+        typos: { medicad: "tenncare", knoxvile: "knoxville" },
+        abbreviations: { acs: ["acs 5 year estimates"] },
+        indicatorAliases: [
+          { id: "uninsured", triggerPhrases: ["uninsured"], expansionPhrases: ["tenncare enrollment"] },
+          { id: "tenncare", triggerPhrases: ["tenncare"], expansionPhrases: ["tennessee medicaid"] }
+        ],
+        vocabulary: ["tenncare", "food insecurity"]
+      }),
+      "utf8"
+    );
+
+    const rules = loadNormalizationPacks([teamPath]);
+    assert.equal(rules.version, `${NORMALIZATION_RULES.version}+east-tn@2026-10-01`);
+    assert.deepEqual(rules.packs.map((pack) => pack.id), ["core", "es", "east-tn"]);
+    assert.deepEqual(rules.typos.medicad, { to: "tenncare", pack: "east-tn" });
+    assert.deepEqual(rules.typos.knoxvile, { to: "knoxville", pack: "east-tn" });
+    assert.deepEqual(rules.typos.tennesee, { to: "tennessee", pack: "core" });
+    assert.deepEqual(rules.abbreviations.acs, { phrases: ["acs 5 year estimates"], pack: "east-tn" });
+
+    const aliasIds = rules.indicatorAliases.map((rule) => rule.id);
+    const coreIds = NORMALIZATION_RULES.indicatorAliases.map((rule) => rule.id);
+    // Replaced aliases keep their position; new ones are appended.
+    assert.deepEqual(aliasIds, [...coreIds, "tenncare"]);
+    const uninsured = rules.indicatorAliases.find((rule) => rule.id === "uninsured");
+    assert.deepEqual(uninsured.expansionPhrases, ["tenncare enrollment"]);
+    assert.equal(uninsured.pack, "east-tn");
+    assert.deepEqual(rules.vocabulary, [...NORMALIZATION_RULES.vocabulary, "tenncare"]);
+
+    assert.throws(
+      () => loadNormalizationPacks([teamPath, teamPath]),
+      (error) => error instanceof NormalizationPackError && /"east-tn" is loaded more than once/.test(error.message)
+    );
+  } finally {
+    await rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+async function testLoaderRejectsInvalidPacks() {
+  const tempDir = await mkdtemp(path.join(tmpdir(), "sodh-packs-"));
+  try {
+    const invalidPath = path.join(tempDir, "invalid.json");
+    await writeFile(invalidPath, JSON.stringify({ id: "bad", version: "1", typos: { a: 1 } }), "utf8");
+    assert.throws(
+      () => loadNormalizationPacks([invalidPath]),
+      (error) => {
+        assert.ok(error instanceof NormalizationPackError);
+        assert.ok(error.errors.includes('typos["a"] must be a single lowercase token'));
+        return true;
+      }
+    );
+
+    assert.throws(() => loadNormalizationPacks([path.join(tempDir, "missing.json")]), NormalizationPackError);
+  } finally {
+    await rm(tempDir, { recursive: true, force: true });
+  }
+}
@@ -0,0 +1,131 @@
+import assert from "assert/strict";
+
+import { applyQueryDefaults, getEligibleExtractors } from "../src/extractors/registry.js";
+import { detectLocations, isPlaceNameToken, selectExtractorPlace } from "../src/search/place-signals.js";
+import { runSearchPipeline } from "../src/search/ranker.js";
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
+
+async function run() {
+  testCountiesNeedSuffix();
+  testStateMentionsPickBetweenSameNamedPlaces();
+  testCitiesResolveToCounty();
+  testCountyListsAndEquivalents();
+  testExtractorDefaultsFollowPlace();
+  testPlaceNameTokens();
+  await testPlaceMentionsAreBoosted();
+  console.log("place-signals tests passed");
+}
+
+function testCountiesNeedSuffix() {
+  const [sullivan] = places("Sullivan County TN uninsured");
+  assert.equal(sullivan.name, "Sullivan County");
+  assert.equal(sullivan.state, "TN");
+  assert.equal(sullivan.countyFips, "47163");
+  assert.deepEqual(sullivan.aliases, ["sullivan county"]);
+
+  assert.deepEqual(places("sullivan uninsured rates"), []);
+  assert.deepEqual(places("obesity or diabetes data by county"), []);
+}
+
+function testPlaceNameTokens() {
+  for (const token of ["sullivan", "Knoxville", "parish", "tennessee", "carolina"]) {
+    assert.ok(isPlaceNameToken(token), token);
+  }
+  assert.ok(!isPlaceNameToken("absenteeism"));
+  assert.ok(!isPlaceNameToken(""));
+}
+
+function testStateMentionsPickBetweenSameNamedPlaces() {
+  const [ambiguous] = places("Sullivan County uninsured");
+  assert.equal(ambiguous.state, null);
+  assert.equal(ambiguous.countyFips, null);
+  assert.ok(ambiguous.candidates.some((candidate) => candidate.countyFips === "36105"));
+  assert.equal(selectExtractorPlace([ambiguous]), null);
+
+  assert.equal(places("Washington County, Oregon")[0].countyFips, "41067");
+  assert.equal(places("Portland, OR obesity")[0].countyFips, "41051");
+  assert.deepEqual(places("Knoxville, Iowa obesity"), []);
+}
+
+function testCitiesResolveToCounty() {
+  const { states, places: [knoxville] } = detectLocations("Knoxville obesity");
+  assert.equal(knoxville.type, "city");
+  assert.equal(knoxville.countyFips, "47093");
+  assert.deepEqual(knoxville.aliases, ["knoxville", "knox county"]);
+  assert.deepEqual(states.map((state) => [state.abbr, state.matchedBy]), [["TN", "place"]]);
+
+  // "Kansas City" is not a mention of Kansas; MO picks the Missouri city.
+  const kansasCity = detectLocations("Kansas City, MO food access");
+  assert.deepEqual(kansasCity.states.map((state) => state.abbr), ["MO"]);
+  assert.equal(kansasCity.places[0].countyFips, "29095");
+}
+
+function testCountyListsAndEquivalents() {
+  assert.deepEqual(
+    places("Knox, Blount and Sevier counties TN poverty").map((place) => place.countyFips),
+    ["47093", "47009", "47155"]
+  );
+  assert.equal(places("Orleans Parish overdose")[0].countyFips, "22071");
+  assert.equal(places("St. Louis City median income")[0].countyFips, "29510");
+  assert.equal(places("saint louis county, MO")[0].countyFips, "29189");
+  assert.equal(places("Dona Ana County poverty")[0].name, "Doña Ana County");
+}
+
+function testExtractorDefaultsFollowPlace() {
+  const place = selectExtractorPlace(places("Sullivan County TN median household income"));
+  const [census] = getEligibleExtractors({ url: "https://data.census.gov/table/ACSDT5Y2023.B19013" }, { place })
+    .filter((item) => item.sourceId === "census_acs");
+  assert.equal(census.defaults.state, "47");
+  assert.equal(census.defaults.countyFips, "163");
+  assert.equal(census.defaults.dataset, "acs5");
+
+  assert.deepEqual(applyQueryDefaults("census_acs", { measureId: "total_population" }, { place }), {
+    measureId: "total_population",
+    state: "47",
+    countyFips: "163"
+  });
+  assert.deepEqual(applyQueryDefaults("census_acs", { state: "VA" }, { place }), { state: "VA" });
+  assert.deepEqual(applyQueryDefaults("cdc_places", { state: "TN" }, { place }), { state: "TN" });
+}
+
+async function testPlaceMentionsAreBoosted() {
+  const provider = {
+    async searchWeb() {
+      return [
+        {
+          title: "Tennessee county uninsured rates",
+          url: "https://www.tn.gov/health/uninsured-by-county.html",
+          snippet: "Uninsured rates for every Tennessee county."
+        },
+        {
+          title: "Sullivan County uninsured rates",
+          url: "https://www.tn.gov/health/sullivan-county-uninsured.html",
+          snippet: "Uninsured adults in Sullivan County, Tennessee."
+        }
+      ];
+    }
+  };
+
+  const output = await runSearchPipeline({
+    query: "Sullivan County TN uninsured",
+    provider,
+    options: { explain: true }
+  });
+  assert.equal(output.results[0].url, "https://www.tn.gov/health/sullivan-county-uninsured.html");
+  assert.equal(output.metadata.places[0].countyFips, "47163");
+
+  const placeComponent = output.results[0].scoreBreakdown.components.find(
+    (component) => component.factor === "place_signal"
+  );
+  assert.equal(placeComponent.detail, "Sullivan County");
+  const statewide = output.results.find((result) => result.url.endsWith("uninsured-by-county.html"));
+  assert.ok(!statewide.scoreBreakdown.components.some((component) => component.factor === "place_signal"));
+}
+
+function places(query) {
+  return detectLocations(query).places;
+}
@@ -1,6 +1,23 @@
 import assert from "assert/strict";
+import { mkdtemp, readdir, rm } from "fs/promises";
+import http from "http";
+import { tmpdir } from "os";
+import path from "path";
 
-import { resolveConfiguredProvider } from "../src/search/providers.js";
+import {
+  ProviderOrderError,
+  ProviderRequestError,
+  getProviderSelectionStatus,
+  listConfiguredProviderNames,
+  listUnlistedProviderNames,
+  resolveConfiguredProvider
+} from "../src/search/providers.js";
+import { createProviderHealthTracker } from "../src/search/provider-health.js";
+import {
+  createUsageLedger,
+  parseMonthlyCaps,
+  shouldForceEconomyForQuota
+} from "../src/search/usage-ledger.js";
 
 run().catch((error) => {
   console.error(error);
@@ -9,6 +26,14 @@ run().catch((error) => {
 
 async function run() {
   await testFallsBackFromBraveToSerpApi();
+  await testRecordsAndReplaysResponses();
+  await testProviderOrderOverride();
+  await testSearxngAgainstLocalStub();
+  await testCircuitBreakerSkipsFailingProviderAcrossRequests();
+  await testHalfOpenCircuitAllowsOneTrialRequest();
+  await testHalfOpenTrialClosesOnNonFailoverError();
+  await testUsageLedgerSkipsProvidersOverMonthlyCap();
+  await testUsageLedgerCountsCallsWhenDispatched();
   console.log("providers tests passed");
 }
 
@@ -60,6 +85,465 @@ async function testFallsBackFromBraveToSerpApi() {
   }
 }
 
+async function testRecordsAndReplaysResponses() {
+  const originalFetch = global.fetch;
+  const directory = await mkdtemp(path.join(tmpdir(), "sodh-replay-"));
+  let liveCalls = 0;
+
+  global.fetch = async (url) => {
+    liveCalls += 1;
+    assert.ok(String(url).startsWith("https://api.search.brave.com/"));
+    return createJsonResponse(200, {
+      web: {
+        results: [
+          {
+            title: "Uninsured rate by county",
+            url: "https://www.countyhealthrankings.org/health-data/uninsured",
+            description: "County uninsured data."
+          }
+        ]
+      }
+    });
+  };
+
+  try {
+    const recorder = resolveConfiguredProvider({
+      BRAVE_API_KEY: "brave-test-key",
+      SEARCH_REPLAY_MODE: "record",
+      SEARCH_REPLAY_DIR: directory
+    });
+    assert.equal(recorder.name, "brave");
+
+    const recordedRows = await recorder.searchWeb("Uninsured  rate TN", { count: 8 });
+    assert.equal(recordedRows.length, 1);
+    assert.equal(liveCalls, 1);
+    assert.equal((await readdir(directory)).length, 1);
+
+    global.fetch = async () => {
+      throw new Error("replay mode must not call fetch");
+    };
+
+    const replay = resolveConfiguredProvider({
+      SEARCH_REPLAY_MODE: "replay",
+      SEARCH_REPLAY_DIR: directory
+    });
+    assert.equal(replay.name, "replay");
+
+    const replayedRows = await replay.searchWeb("uninsured rate tn", { count: 8 });
+    assert.deepEqual(replayedRows, recordedRows);
+
+    await assert.rejects(
+      () => replay.searchWeb("uninsured rate tn", { count: 20 }),
+      (error) => {
+        assert.ok(error instanceof ProviderRequestError);
+        assert.equal(error.provider, "replay");
+        assert.equal(error.statusCode, 404);
+        return true;
+      }
+    );
+
+    // A corpus path that cannot be read is an error, not a missing recording.
+    const [recordingFile] = await readdir(directory);
+    const unreadable = resolveConfiguredProvider({
+      SEARCH_REPLAY_MODE: "replay",
+      SEARCH_REPLAY_DIR: path.join(directory, recordingFile)
+    });
+    await assert.rejects(
+      () => unreadable.searchWeb("uninsured rate tn", { count: 8 }),
+      (error) => {
+        assert.ok(error instanceof ProviderRequestError);
+        assert.equal(error.statusCode, 500);
+        assert.match(error.message, /ENOTDIR/);
+        return true;
+      }
+    );
+  } finally {
+    global.fetch = originalFetch;
+    await rm(directory, { recursive: true, force: true });
+  }
+}
+
+async function testProviderOrderOverride() {
+  const originalFetch = global.fetch;
+  const calls = [];
+
+  global.fetch = async (url) => {
+    const href = String(url);
+    calls.push(href);
+
+    if (href.startsWith("https://serpapi.com/search.json")) {
+      assert.equal(new URL(href).searchParams.get("num"), "20");
+      return createJsonResponse(500, { error: "server error" });
+    }
+
+    if (href.startsWith("https://api.search.brave.com/")) {
+      return createJsonResponse(200, {
+        web: {
+          results: [
+            {
+              title: "Poverty rate by county",
+              url: "https://data.census.gov/table/poverty",
+              description: "Census poverty table"
+            }
+          ]
+        }
+      });
+    }
+
+    throw new Error(`Unexpected URL: ${href}`);
+  };
+
+  try {
+    const env = {
+      BRAVE_API_KEY: "brave-test-key",
+      SERPAPI_KEY: "serp-test-key",
+      BING_API_KEY: "bing-test-key",
+      SEARCH_PROVIDER_ORDER: "serpapi, brave"
+    };
+    const status = getProviderSelectionStatus(env);
+    assert.deepEqual(status.providerOrder, ["serpapi", "brave"]);
+    assert.deepEqual(status.providerEnvOrder, ["SERPAPI_KEY", "BRAVE_API_KEY"]);
+
+    // Bing has a key but is left out of the order, so it never serves.
+    assert.deepEqual(listConfiguredProviderNames(env), ["serpapi", "brave"]);
+    assert.deepEqual(listUnlistedProviderNames(env), ["bing"]);
+    assert.deepEqual(listUnlistedProviderNames({ ...env, SEARCH_PROVIDER_ORDER: "" }), []);
+
+    assert.throws(
+      () => resolveConfiguredProvider({ ...env, SEARCH_PROVIDER_ORDER: "serpapi, brave, unknown" }),
+      (error) => {
+        assert.ok(error instanceof ProviderOrderError);
+        assert.deepEqual(error.errors, ['unknown provider id "unknown" (expected one of brave, serpapi, bing, searxng)']);
+        return true;
+      }
+    );
+
+    const provider = resolveConfiguredProvider(env);
+    assert.equal(provider.name, "serpapi");
+
+    const rows = await provider.searchWeb("poverty rate", { count: 40 });
+    assert.equal(rows.length, 1);
+    assert.equal(calls.length, 2);
+    assert.ok(calls[0].startsWith("https://serpapi.com/search.json"));
+    assert.ok(calls[1].startsWith("https://api.search.brave.com/"));
+  } finally {
+    global.fetch = originalFetch;
+  }
+}
+
+async function testSearxngAgainstLocalStub() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({
+      query: "food insecurity",
+      results: [
+        {
+          title: "Food Insecurity by County",
+          url: "https://map.feedingamerica.org/county/2022/overall/tennessee",
+          content: "Map the Meal Gap county estimates."
+        },
+        {
+          title: "Relative link is dropped",
+          url: "/not-a-web-result",
+          content: ""
+        },
+        {
+          title: "Food Access Research Atlas",
+          url: "https://www.ers.usda.gov/data-products/food-access-research-atlas/",
+          content: "Low income and low access data."
+        }
+      ]
+    }));
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+
+  try {
+    const provider = resolveConfiguredProvider({
+      SEARXNG_URL: `http://127.0.0.1:${port}/searx`
+    });
+    assert.equal(provider.name, "searxng");
+    assert.deepEqual(getProviderSelectionStatus({}).providerOrder, ["brave", "serpapi", "bing", "searxng"]);
+
+    const rows = await provider.searchWeb("food insecurity", { count: 1 });
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].title, "Food Insecurity by County");
+    assert.equal(rows[0].snippet, "Map the Meal Gap county estimates.");
+
+    const requestUrl = new URL(requests[0], "http://localhost");
+    assert.equal(requestUrl.pathname, "/searx/search");
+    assert.equal(requestUrl.searchParams.get("q"), "food insecurity");
+    assert.equal(requestUrl.searchParams.get("format"), "json");
+
+    const misconfigured = resolveConfiguredProvider({ SEARXNG_URL: "ftp://example.org" });
+    await assert.rejects(
+      () => misconfigured.searchWeb("food insecurity"),
+      (error) => {
+        assert.ok(error instanceof ProviderRequestError);
+        assert.equal(error.provider, "searxng");
+        assert.equal(error.statusCode, 500);
+        return true;
+      }
+    );
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+async function testCircuitBreakerSkipsFailingProviderAcrossRequests() {
+  const originalFetch = global.fetch;
+  const calls = [];
+  let currentTime = 1_000_000;
+  let braveStatus = 402;
+  const healthTracker = createProviderHealthTracker({
+    failureThreshold: 2,
+    cooldownMs: 60000,
+    now: () => currentTime
+  });
+  const env = {
+    BRAVE_API_KEY: "brave-test-key",
+    SERPAPI_KEY: "serp-test-key"
+  };
+
+  global.fetch = async (url) => {
+    const href = String(url);
+    if (href.startsWith("https://api.search.brave.com/")) {
+      calls.push("brave");
+      if (braveStatus !== 200) {
+        return createJsonResponse(braveStatus, { error: "unavailable" });
+      }
+      return createJsonResponse(200, {
+        web: { results: [{ title: "Brave row", url: "https://www.cdc.gov/a", description: "" }] }
+      });
+    }
+
+    calls.push("serpapi");
+    return createJsonResponse(200, {
+      organic_results: [{ title: "Serp row", link: "https://www.cdc.gov/b", snippet: "" }]
+    });
+  };
+
+  try {
+    // Each request builds a fresh provider, like handleSearch does.
+    for (let request = 0; request < 3; request += 1) {
+      const provider = resolveConfiguredProvider(env, { healthTracker });
+      const rows = await provider.searchWeb("uninsured rate", { count: 5 });
+      assert.equal(rows[0].title, "Serp row");
+    }
+    assert.deepEqual(calls, ["brave", "serpapi", "brave", "serpapi", "serpapi"]);
+
+    const [braveState] = healthTracker.getSnapshot(["brave"]);
+    assert.equal(braveState.state, "open");
+    assert.equal(braveState.available, false);
+    assert.equal(braveState.consecutiveFailures, 2);
+    assert.equal(braveState.lastFailureStatusCode, 402);
+    assert.equal(braveState.retryAfterMs, 60000);
+
+    currentTime += 60000;
+    braveStatus = 200;
+    calls.length = 0;
+    const recovered = resolveConfiguredProvider(env, { healthTracker });
+    const rows = await recovered.searchWeb("uninsured rate", { count: 5 });
+    assert.equal(rows[0].title, "Brave row");
+    assert.deepEqual(calls, ["brave"]);
+    assert.equal(healthTracker.getSnapshot(["brave"])[0].state, "closed");
+
+    braveStatus = 503;
+    const exhaustedTracker = createProviderHealthTracker({ failureThreshold: 1, cooldownMs: 60000, now: () => currentTime });
+    exhaustedTracker.recordFailure("serpapi", 429);
+    exhaustedTracker.recordFailure("brave", 503);
+    const cooling = resolveConfiguredProvider(env, { healthTracker: exhaustedTracker });
+    await assert.rejects(
+      () => cooling.searchWeb("uninsured rate", { count: 5 }),
+      (error) => {
+        assert.ok(error instanceof ProviderRequestError);
+        assert.equal(error.statusCode, 503);
+        return true;
+      }
+    );
+  } finally {
+    global.fetch = originalFetch;
+  }
+}
+
+async function testHalfOpenCircuitAllowsOneTrialRequest() {
+  let currentTime = 1_000_000;
+  const tracker = createProviderHealthTracker({ failureThreshold: 1, cooldownMs: 60000, now: () => currentTime });
+  tracker.recordFailure("brave", 503);
+  assert.equal(tracker.canRequest("brave"), false);
+
+  currentTime += 60000;
+  assert.equal(tracker.canRequest("brave"), true);
+  assert.equal(tracker.canRequest("brave"), false);
+  assert.equal(tracker.getSnapshot(["brave"])[0].available, false);
+
+  tracker.recordFailure("brave", 503);
+  assert.equal(tracker.getSnapshot(["brave"])[0].state, "open");
+  assert.equal(tracker.canRequest("brave"), false);
+
+  currentTime += 60000;
+  assert.equal(tracker.canRequest("brave"), true);
+  tracker.recordSuccess("brave");
+  assert.equal(tracker.getSnapshot(["brave"])[0].state, "closed");
+  assert.equal(tracker.canRequest("brave"), true);
+  assert.equal(tracker.canRequest("brave"), true);
+}
+
+async function testHalfOpenTrialClosesOnNonFailoverError() {
+  const originalFetch = global.fetch;
+  let currentTime = 1_000_000;
+  const healthTracker = createProviderHealthTracker({ failureThreshold: 1, cooldownMs: 60000, now: () => currentTime });
+  const env = { BRAVE_API_KEY: "brave-test-key" };
+
+  global.fetch = async () => createJsonResponse(422, { error: "unsupported query" });
+
+  try {
+    healthTracker.recordFailure("brave", 503);
+    currentTime += 60000;
+
+    const provider = resolveConfiguredProvider(env, { healthTracker });
+    await assert.rejects(
+      () => provider.searchWeb("uninsured rate site:cdc.gov OR site:cms.gov", { count: 5 }),
+      (error) => error.statusCode === 422
+    );
+
+    const [braveState] = healthTracker.getSnapshot(["brave"]);
+    assert.equal(braveState.state, "closed");
+    assert.equal(braveState.available, true);
+    assert.equal(healthTracker.canRequest("brave"), true);
+  } finally {
+    global.fetch = originalFetch;
+  }
+}
+
+async function testUsageLedgerSkipsProvidersOverMonthlyCap() {
+  const originalFetch = global.fetch;
+  const calls = [];
+  let currentTime = Date.parse("2026-03-31T23:00:00Z");
+  const monthlyCaps = parseMonthlyCaps("brave:2, serpapi:10, bogus:abc");
+  assert.deepEqual(monthlyCaps, { brave: 2, serpapi: 10 });
+
+  const usageLedger = createUsageLedger({ monthlyCaps, lowQuotaRatio: 0.5, now: () => currentTime });
+  const env = {
+    BRAVE_API_KEY: "brave-test-key",
+    SERPAPI_KEY: "serp-test-key"
+  };
+
+  global.fetch = async (url) => {
+    const href = String(url);
+    if (href.startsWith("https://api.search.brave.com/")) {
+      calls.push("brave");
+      return createJsonResponse(200, {
+        web: { results: [{ title: "Brave row", url: "https://www.cdc.gov/a", description: "" }] }
+      });
+    }
+
+    calls.push("serpapi");
+    return createJsonResponse(200, {
+      organic_results: [{ title: "Serp row", link: "https://www.cdc.gov/b", snippet: "" }]
+    });
+  };
+
+  try {
+    for (let request = 0; request < 3; request += 1) {
+      const provider = resolveConfiguredProvider(env, { usageLedger });
+      await provider.searchWeb("uninsured rate", { count: 5 });
+    }
+    assert.deepEqual(calls, ["brave", "brave", "serpapi"]);
+
+    const snapshot = await usageLedger.getSnapshot(["brave", "serpapi"]);
+    assert.equal(snapshot[0].month, "2026-03");
+    assert.equal(snapshot[0].monthCount, 2);
+    assert.equal(snapshot[0].exhausted, true);
+    assert.equal(snapshot[1].remaining, 9);
+    assert.equal(snapshot[1].low, false);
+    assert.equal(shouldForceEconomyForQuota(snapshot), false);
+    assert.equal(shouldForceEconomyForQuota([{ ...snapshot[0] }, { ...snapshot[1], low: true }]), true);
+
+    const exhaustedLedger = createUsageLedger({ monthlyCaps: { brave: 1, serpapi: 1 }, now: () => currentTime });
+    await exhaustedLedger.recordCall("brave");
+    await exhaustedLedger.recordCall("serpapi");
+    const exhausted = resolveConfiguredProvider(env, { usageLedger: exhaustedLedger });
+    await assert.rejects(
+      () => exhausted.searchWeb("uninsured rate", { count: 5 }),
+      (error) => {
+        assert.ok(error instanceof ProviderRequestError);
+        assert.equal(error.statusCode, 429);
+        return true;
+      }
+    );
+
+    // Counters reset when the UTC month rolls over.
+    currentTime = Date.parse("2026-04-01T00:30:00Z");
+    calls.length = 0;
+    const nextMonth = resolveConfiguredProvider(env, { usageLedger });
+    const rows = await nextMonth.searchWeb("uninsured rate", { count: 5 });
+    assert.equal(rows[0].title, "Brave row");
+    assert.deepEqual(calls, ["brave"]);
+  } finally {
+    global.fetch = originalFetch;
+  }
+}
+
+async function testUsageLedgerCountsCallsWhenDispatched() {
+  const originalFetch = global.fetch;
+  const calls = [];
+  let braveStatus = 200;
+  const env = { BRAVE_API_KEY: "brave-test-key" };
+
+  global.fetch = async () => {
+    calls.push("brave");
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    if (braveStatus !== 200) {
+      return createJsonResponse(braveStatus, { error: "rejected" });
+    }
+    return createJsonResponse(200, {
+      web: { results: [{ title: "Brave row", url: "https://www.cdc.gov/a", description: "" }] }
+    });
+  };
+
+  try {
+    // Parallel calls at the cap: only the first three may reach the provider.
+    const usageLedger = createUsageLedger({ monthlyCaps: { brave: 3 } });
+    const provider = resolveConfiguredProvider(env, { usageLedger });
+    const settled = await Promise.allSettled(
+      Array.from({ length: 5 }, (_, index) => provider.searchWeb(`uninsured rate ${index}`, { count: 5 }))
+    );
+    assert.equal(calls.length, 3);
+    assert.equal(settled.filter((outcome) => outcome.status === "fulfilled").length, 3);
+    for (const outcome of settled.filter((item) => item.status === "rejected")) {
+      assert.equal(outcome.reason.statusCode, 429);
+    }
+    const [atCap] = await usageLedger.getSnapshot(["brave"]);
+    assert.equal(atCap.monthCount, 3);
+    assert.equal(atCap.exhausted, true);
+
+    // A rejected call was still sent, so it uses quota.
+    calls.length = 0;
+    braveStatus = 400;
+    const failedLedger = createUsageLedger({ monthlyCaps: { brave: 1 } });
+    const failing = resolveConfiguredProvider(env, { usageLedger: failedLedger });
+    await assert.rejects(() => failing.searchWeb("uninsured rate", { count: 5 }), { statusCode: 400 });
+    await assert.rejects(() => failing.searchWeb("uninsured rate", { count: 5 }), { statusCode: 429 });
+    assert.deepEqual(calls, ["brave"]);
+
+    // A call held back by an open circuit was never sent and gives its reservation back.
+    braveStatus = 402;
+    const healthTracker = createProviderHealthTracker({ failureThreshold: 1, cooldownMs: 60000 });
+    const openLedger = createUsageLedger({ monthlyCaps: { brave: 5 } });
+    const guarded = resolveConfiguredProvider(env, { usageLedger: openLedger, healthTracker });
+    await assert.rejects(() => guarded.searchWeb("uninsured rate", { count: 5 }), { statusCode: 402 });
+    await assert.rejects(() => guarded.searchWeb("uninsured rate", { count: 5 }), { statusCode: 503 });
+    const [afterOpen] = await openLedger.getSnapshot(["brave"]);
+    assert.equal(afterOpen.monthCount, 1);
+  } finally {
+    global.fetch = originalFetch;
+  }
+}
+
 function createJsonResponse(status, body) {
   return {
     ok: status >= 200 && status < 300,
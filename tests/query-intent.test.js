@@ -0,0 +1,141 @@
+import assert from "assert/strict";
+
+import { classifyQueryIntent, resolveIntentWeights } from "../src/search/query-intent.js";
+import { loadRankingRules } from "../src/search/ranking-rules.js";
+import { runSearchPipeline } from "../src/search/ranker.js";
+
+const RULES = loadRankingRules();
+const PROFILES = RULES.intentProfiles;
+
+const ROWS = [
+  {
+    title: "Tennessee food insecurity dashboard",
+    url: "https://example.org/food-insecurity/dashboard",
+    snippet: "Explore food insecurity by county."
+  },
+  {
+    title: "Food insecurity county estimates",
+    url: "https://example.net/food-insecurity/estimates.csv",
+    snippet: "County food insecurity estimates."
+  },
+  {
+    title: "Food insecurity in Tennessee annual report",
+    url: "https://example.com/food-insecurity-report.pdf",
+    snippet: "Findings on food insecurity across counties."
+  },
+  {
+    title: "Food insecurity dataset",
+    url: "https://example.edu/food-insecurity/dataset",
+    snippet: "Download county food insecurity data."
+  },
+  {
+    title: "Food insecurity methodology and technical notes",
+    url: "https://example.info/food-insecurity/about",
+    snippet: "How food insecurity is measured."
+  },
+  {
+    title: "Why food insecurity matters",
+    url: "https://example.us/food-insecurity",
+    snippet: "Food insecurity affects families."
+  }
+];
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
+
+async function run() {
+  testClassifierPicksProfile();
+  testClassifierTiesAndDefaults();
+  testIntentWeightsOverrideBase();
+  await testResultsCarryResourceTypes();
+  await testIntentSwitchesRanking();
+  console.log("query-intent tests passed");
+}
+
+function testClassifierPicksProfile() {
+  assert.equal(classifyQueryIntent("food desert map by county Tennessee", PROFILES).intent, "map");
+  assert.equal(classifyQueryIntent("overdose dashboard", PROFILES).intent, "map");
+  assert.equal(classifyQueryIntent("poverty definition census", PROFILES).intent, "methodology");
+  assert.equal(classifyQueryIntent("county health rankings data dictionary", PROFILES).intent, "methodology");
+  assert.equal(classifyQueryIntent("community health needs assessment Knox County", PROFILES).intent, "report");
+  assert.equal(classifyQueryIntent("download uninsured rate csv", PROFILES).intent, "dataset");
+
+  const { matchedTerms } = classifyQueryIntent("how is food insecurity measured methodology", PROFILES);
+  assert.deepEqual(matchedTerms, ["methodology", "measured"]);
+}
+
+function testClassifierTiesAndDefaults() {
+  assert.deepEqual(classifyQueryIntent("median household income Tennessee", PROFILES), {
+    intent: "dataset",
+    matchedTerms: []
+  });
+  assert.equal(classifyQueryIntent("", PROFILES).intent, "dataset");
+  assert.equal(classifyQueryIntent("anything", undefined).intent, "dataset");
+  // One "map" trigger against one "download" trigger: the earlier profile wins.
+  assert.equal(classifyQueryIntent("download map", PROFILES).intent, "map");
+  // "mapping" must match as a word, not as a substring of another term.
+  assert.equal(classifyQueryIntent("roadmap for broadband", PROFILES).intent, "dataset");
+}
+
+function testIntentWeightsOverrideBase() {
+  const base = { dataAssetHintBonus: 85, reportHintBonus: 0 };
+  const profiles = { report: { triggerTerms: ["report"], weights: { reportHintBonus: 140 } } };
+  assert.deepEqual(resolveIntentWeights(base, profiles, "report"), { dataAssetHintBonus: 85, reportHintBonus: 140 });
+  assert.deepEqual(resolveIntentWeights(base, profiles, "dataset"), base);
+}
+
+function buildProvider() {
+  return {
+    async searchWeb() {
+      return ROWS;
+    }
+  };
+}
+
+async function testResultsCarryResourceTypes() {
+  const output = await runSearchPipeline({ query: "food insecurity", provider: buildProvider() });
+  const types = Object.fromEntries(output.results.map((result) => [result.domain, result.resourceType]));
+
+  assert.deepEqual(types, {
+    "example.org": "map",
+    "example.net": "file",
+    "example.com": "report",
+    "example.edu": "dataset",
+    "example.info": "report",
+    "example.us": "page"
+  });
+  assert.deepEqual(output.metadata.queryIntent, { intent: "dataset", matchedTerms: [] });
+}
+
+async function testIntentSwitchesRanking() {
+  const datasetOutput = await runSearchPipeline({
+    query: "food insecurity",
+    provider: buildProvider(),
+    options: { explain: true }
+  });
+  assert.ok(
+    datasetOutput.results.every((result) =>
+      result.scoreBreakdown.components.every((component) => component.factor !== "report_hint")
+    )
+  );
+
+  const reportOutput = await runSearchPipeline({
+    query: "food insecurity report",
+    provider: buildProvider(),
+    options: { explain: true }
+  });
+  assert.equal(reportOutput.metadata.queryIntent.intent, "report");
+  assert.equal(reportOutput.results[0].resourceType, "report");
+  const factors = reportOutput.results[0].scoreBreakdown.components.map((component) => component.factor);
+  assert.ok(factors.includes("report_hint"));
+  assert.ok(factors.includes("document_file"));
+
+  const methodologyOutput = await runSearchPipeline({
+    query: "food insecurity methodology",
+    provider: buildProvider()
+  });
+  assert.equal(methodologyOutput.metadata.queryIntent.intent, "methodology");
+  assert.equal(methodologyOutput.results[0].domain, "example.info");
+}
@@ -14,7 +14,14 @@ function run() {
   testIndicatorExpansion();
   testSubstanceUseExpansion();
   testAppendixIndicatorExpansion();
+  testStateExpansionBeyondTennesseeAndVirginia();
   testDeterministicOutput();
+  testAppliedRuleProvenance();
+  testFuzzyTypoCorrection();
+  testFuzzyCorrectionLeavesProtectedWords();
+  testSubQueries();
+  testSpanishQueries();
+  testSpanishStopwordsNeedSpanishPhrases();
   testPreferenceParsing();
   console.log("query-normalizer tests passed");
 }
@@ -83,6 +90,24 @@ function testAppendixIndicatorExpansion() {
   assert.match(air.normalizedQuery, /\btracking\b/);
 }
 
+function testStateExpansionBeyondTennesseeAndVirginia() {
+  const kentucky = normalizeSearchQuery("Food insecurity KY", { enabled: true });
+  assert.match(kentucky.normalizedQuery, /\bkentucky\b/);
+  assert.ok(kentucky.appliedRuleTypes.includes("state"));
+
+  const carolina = normalizeSearchQuery("North Carolina uninsured", { enabled: true });
+  assert.match(carolina.normalizedQuery, /\bnc\b/);
+
+  const portland = normalizeSearchQuery("Portland, OR obesity", { enabled: true });
+  assert.match(portland.normalizedQuery, /\boregon\b/);
+
+  const oregon = normalizeSearchQuery("Oregon obesity", { enabled: true });
+  assert.doesNotMatch(oregon.normalizedQuery, /\bor\b/);
+
+  const boolean = normalizeSearchQuery("obesity or diabetes in adults", { enabled: true });
+  assert.doesNotMatch(boolean.normalizedQuery, /\boregon\b|\bindiana\b/);
+}
+
 function testDeterministicOutput() {
   const first = normalizeSearchQuery("Food insecurity in TN", { enabled: true });
   const second = normalizeSearchQuery("Food insecurity in TN", { enabled: true });
@@ -92,6 +117,167 @@ function testDeterministicOutput() {
   assert.equal(first.appliedRuleCount, second.appliedRuleCount);
 }
 
+function testAppliedRuleProvenance() {
+  const output = normalizeSearchQuery("medicad tn", { enabled: true });
+  assert.equal(output.normalizedQuery, "medicaid tn tennessee");
+  assert.deepEqual(output.appliedRules, [
+    { type: "typo", from: "medicad", to: "medicaid", ruleId: "typo:medicad", pack: "core" },
+    { type: "state", from: "tn", to: "tennessee", ruleId: "state:tn", pack: null }
+  ]);
+
+  const alias = normalizeSearchQuery("uninsured acs", { enabled: true });
+  assert.ok(
+    alias.appliedRules.some(
+      (rule) => rule.ruleId === "abbreviation:acs" && rule.to === "american community survey" && rule.pack === "core"
+    )
+  );
+  const indicator = alias.appliedRules.find((rule) => rule.type === "indicator_alias");
+  assert.equal(indicator.from, "uninsured");
+  assert.equal(indicator.ruleId, "indicator_alias:uninsured");
+  assert.equal(alias.appliedRuleCount, alias.appliedRules.length);
+
+  assert.deepEqual(normalizeSearchQuery("medicad tn", { enabled: false }).appliedRules, []);
+}
+
+function testFuzzyTypoCorrection() {
+  const output = normalizeSearchQuery("absentieism and hosueholds", { enabled: true });
+  assert.equal(output.normalizedQuery, "absenteeism and households");
+  assert.deepEqual(output.appliedRules, [
+    {
+      type: "fuzzy_typo",
+      from: "absentieism",
+      to: "absenteeism",
+      ruleId: "fuzzy_typo:absentieism",
+      pack: null,
+      distance: 1,
+      confidence: 0.91
+    },
+    {
+      type: "fuzzy_typo",
+      from: "hosueholds",
+      to: "households",
+      ruleId: "fuzzy_typo:hosueholds",
+      pack: null,
+      distance: 1,
+      confidence: 0.9
+    }
+  ]);
+
+  // Vocabulary comes from CHR measure names and extractor keywords too.
+  assert.match(normalizeSearchQuery("suicdes by county", { enabled: true }).normalizedQuery, /\bsuicides\b/);
+  assert.match(normalizeSearchQuery("natalty", { enabled: true }).normalizedQuery, /\bnatality\b/);
+  // Short words are only unswapped.
+  assert.match(normalizeSearchQuery("incmoe", { enabled: true }).normalizedQuery, /\bincome\b/);
+
+  // The exact typo table still wins.
+  const exact = normalizeSearchQuery("medicad", { enabled: true });
+  assert.deepEqual(exact.appliedRuleTypes, ["typo"]);
+}
+
+function testFuzzyCorrectionLeavesProtectedWords() {
+  const unchanged = [
+    "court records",
+    "grocery stores",
+    "country health rankings",
+    "smoking rates",
+    "BRFSS obesity",
+    "Hamblin County uninsured",
+    "Gatlinburg tourism",
+    "pm2.5 levels"
+  ];
+  for (const query of unchanged) {
+    const output = normalizeSearchQuery(query, { enabled: true });
+    assert.ok(
+      output.appliedRules.every((rule) => rule.type !== "fuzzy_typo"),
+      `${query} -> ${output.normalizedQuery}`
+    );
+  }
+
+  // Lowercase "brfss" is not protected, but no vocabulary word is close enough.
+  assert.equal(normalizeSearchQuery("brfss", { enabled: true }).normalizedQuery, "brfss");
+}
+
+function testSubQueries() {
+  assert.deepEqual(normalizeSearchQuery("uninsured rate by county TN", { enabled: true }).subQueries, [
+    { id: "original", query: "uninsured rate by county tn" },
+    { id: "alias", query: "health insurance coverage by county tn" },
+    { id: "formal", query: "uninsured rate by county tennessee" }
+  ]);
+  assert.deepEqual(normalizeSearchQuery("medicad tn", { enabled: true }).subQueries, [
+    { id: "original", query: "medicaid tn" },
+    { id: "formal", query: "medicaid tennessee" }
+  ]);
+
+  // The longest trigger is replaced and an alias never repeats the trigger.
+  assert.deepEqual(normalizeSearchQuery("mental health providers", { enabled: true }).subQueries, [
+    { id: "original", query: "mental health providers" },
+    { id: "alias", query: "behavioral health providers" }
+  ]);
+  assert.deepEqual(normalizeSearchQuery("day care in KY", { enabled: true }).subQueries, [
+    { id: "original", query: "day care in ky" },
+    { id: "alias", query: "child care centers in ky" },
+    { id: "formal", query: "child care centers in kentucky" }
+  ]);
+
+  assert.deepEqual(normalizeSearchQuery("Uninsured rate TN", { enabled: false }).subQueries, [
+    { id: "original", query: "Uninsured rate TN" }
+  ]);
+  assert.deepEqual(normalizeSearchQuery("", { enabled: true }).subQueries, []);
+}
+
+function testSpanishQueries() {
+  const income = normalizeSearchQuery("Ingreso medio del hogar", { enabled: true });
+  assert.equal(income.language, "es");
+  assert.equal(income.originalQuery, "Ingreso medio del hogar");
+  assert.equal(income.normalizedQuery, "median household income");
+  assert.deepEqual(income.appliedRules, [
+    {
+      type: "translation",
+      from: "ingreso medio del hogar",
+      to: "median household income",
+      ruleId: "translation:ingreso medio del hogar",
+      pack: "es"
+    }
+  ]);
+
+  const food = normalizeSearchQuery("inseguridad alimentaria por condado", { enabled: true });
+  assert.equal(food.subQueries[0].query, "food insecurity by county");
+  assert.ok(food.appliedRules.some((rule) => rule.ruleId === "indicator_alias:food_insecurity"));
+
+  // Accents are ignored, the county name moves in front of "county" and
+  // stopwords are dropped.
+  const county = normalizeSearchQuery("Población sin seguro médico en el condado de Knox", { enabled: true });
+  assert.equal(county.subQueries[0].query, "population uninsured knox county");
+  assert.deepEqual(
+    county.appliedRules.filter((rule) => rule.type === "place_prefix" || rule.type === "stopword"),
+    [
+      { type: "place_prefix", from: "condado de knox", to: "knox county", ruleId: "place_prefix:condado de", pack: "es" },
+      { type: "stopword", from: "en", to: "", ruleId: "stopword:en", pack: "es" },
+      { type: "stopword", from: "el", to: "", ruleId: "stopword:el", pack: "es" }
+    ]
+  );
+  assert.equal(
+    normalizeSearchQuery("datos del censo por condado de San Diego", { enabled: true }).subQueries[0].query,
+    "data census san diego county"
+  );
+  assert.equal(
+    normalizeSearchQuery("tasa de pobreza en Carolina del Norte", { enabled: true }).subQueries[0].query,
+    "poverty rate north carolina"
+  );
+
+  // Capitalized names and state codes keep their stopword-like words.
+  assert.equal(normalizeSearchQuery("pobreza en Los Angeles", { enabled: true }).subQueries[0].query, "poverty los angeles");
+  assert.ok(normalizeSearchQuery("pobreza infantil en DE", { enabled: true }).normalizedQuery.includes("delaware"));
+}
+
+function testSpanishStopwordsNeedSpanishPhrases() {
+  const english = normalizeSearchQuery("median household income LA", { enabled: true });
+  assert.equal(english.language, null);
+  assert.ok(english.appliedRules.every((rule) => rule.type !== "stopword"));
+  assert.equal(normalizeSearchQuery("a map of poverty", { enabled: true }).subQueries[0].query, "a map of poverty");
+  assert.equal(normalizeSearchQuery("ingreso medio del hogar", { enabled: false }).language, null);
+}
+
 function testPreferenceParsing() {
   assert.equal(resolveQueryNormalizationPreference(true, false), true);
   assert.equal(resolveQueryNormalizationPreference("true", false), true);
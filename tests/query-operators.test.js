@@ -0,0 +1,155 @@
+import assert from "assert/strict";
+
+import {
+  describeQueryOperators,
+  hasQueryOperators,
+  parseQueryOperators
+} from "../src/search/query-operators.js";
+import { runSearchPipeline } from "../src/search/ranker.js";
+
+const ROWS = [
+  {
+    title: "Tennessee food insecurity county data",
+    url: "https://www.tn.gov/health/food-insecurity/county-data.xlsx",
+    snippet: "Food insecurity estimates by county."
+  },
+  {
+    title: "Food insecurity dashboard",
+    url: "https://www.tn.gov/health/food-insecurity.html",
+    snippet: "Food insecurity dashboard for Tennessee."
+  },
+  {
+    title: "Food insecurity report",
+    url: "https://www.sparkmaps.com/reports/food-insecurity",
+    snippet: "Food insecurity report builder."
+  },
+  {
+    title: "Map the Meal Gap food insecurity",
+    url: "https://map.feedingamerica.org/county/2022/overall/tennessee",
+    snippet: "Food insecurity by county."
+  },
+  {
+    title: "Food insecurity notes",
+    url: "https://example.org/food-insecurity-notes.xlsx",
+    snippet: "Food insecurity worksheet."
+  }
+];
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
+
+async function run() {
+  testParsesAndStripsOperators();
+  testInvalidOperatorsAreReported();
+  testDescriptionIsOrderIndependent();
+  await testSiteOperatorScopesProviderQueries();
+  await testExcludeFileTypeAndSourceFilters();
+  console.log("query-operators tests passed");
+}
+
+function testParsesAndStripsOperators() {
+  const parsed = parseQueryOperators(
+    "food insecurity site:TN.gov -site:https://www.sparkmaps.com/reports filetype:.XLSX source:priority county"
+  );
+  assert.equal(parsed.query, "food insecurity county");
+  assert.deepEqual(parsed.operators, {
+    includeDomains: ["tn.gov"],
+    excludeDomains: ["sparkmaps.com"],
+    fileTypes: ["xlsx"],
+    sources: ["priority"]
+  });
+  assert.deepEqual(parsed.applied, ["site:tn.gov", "-site:sparkmaps.com", "filetype:xlsx", "source:priority"]);
+  assert.deepEqual(parsed.invalid, []);
+
+  assert.deepEqual(parseQueryOperators("ext:csv source:federal overdose").operators, {
+    includeDomains: [],
+    excludeDomains: [],
+    fileTypes: ["csv"],
+    sources: ["federal"]
+  });
+
+  const plain = parseQueryOperators("cost-sharing: what counts");
+  assert.equal(plain.query, "cost-sharing: what counts");
+  assert.equal(hasQueryOperators(plain.operators), false);
+}
+
+function testInvalidOperatorsAreReported() {
+  const parsed = parseQueryOperators("poverty site: source:blogs -filetype:pdf site:not_a_host");
+  assert.equal(parsed.query, "poverty");
+  assert.deepEqual(parsed.invalid, ["site:", "source:blogs", "-filetype:pdf", "site:not_a_host"]);
+  assert.equal(hasQueryOperators(parsed.operators), false);
+
+  // Excluding a domain wins over including it.
+  assert.deepEqual(parseQueryOperators("x site:cdc.gov -site:cdc.gov").operators.includeDomains, []);
+}
+
+function testDescriptionIsOrderIndependent() {
+  const a = parseQueryOperators("x filetype:csv site:tn.gov site:cdc.gov").operators;
+  const b = parseQueryOperators("x site:cdc.gov site:tn.gov filetype:csv").operators;
+  assert.equal(describeQueryOperators(a), "site:cdc.gov site:tn.gov filetype:csv");
+  assert.equal(describeQueryOperators(b), describeQueryOperators(a));
+  assert.equal(describeQueryOperators(parseQueryOperators("x").operators), "");
+}
+
+function createRecordingProvider(rows) {
+  const queries = [];
+  return {
+    queries,
+    async searchWeb(query) {
+      queries.push(query);
+      return rows;
+    }
+  };
+}
+
+async function testSiteOperatorScopesProviderQueries() {
+  const { query, operators } = parseQueryOperators("food insecurity Tennessee site:tn.gov");
+  const provider = createRecordingProvider(ROWS);
+  const output = await runSearchPipeline({ query, provider, options: { operators } });
+
+  assert.ok(provider.queries.length > 0);
+  for (const providerQuery of provider.queries) {
+    assert.match(providerQuery, /site:tn\.gov/);
+    assert.doesNotMatch(providerQuery, /site:(?!tn\.gov)/);
+  }
+  assert.deepEqual(
+    output.results.map((result) => result.domain),
+    ["tn.gov", "tn.gov"]
+  );
+  assert.deepEqual(output.metadata.queryOperators.includeDomains, ["tn.gov"]);
+}
+
+async function testExcludeFileTypeAndSourceFilters() {
+  const excluded = parseQueryOperators("food insecurity Tennessee -site:sparkmaps.com");
+  const excludedOutput = await runSearchPipeline({
+    query: excluded.query,
+    provider: createRecordingProvider(ROWS),
+    options: { operators: excluded.operators }
+  });
+  assert.ok(excludedOutput.results.length > 0);
+  assert.ok(excludedOutput.results.every((result) => result.domain !== "sparkmaps.com"));
+
+  const fileType = parseQueryOperators("food insecurity Tennessee filetype:xlsx");
+  const fileTypeProvider = createRecordingProvider(ROWS);
+  const fileTypeOutput = await runSearchPipeline({
+    query: fileType.query,
+    provider: fileTypeProvider,
+    options: { operators: fileType.operators }
+  });
+  assert.deepEqual(
+    fileTypeOutput.results.map((result) => result.url).sort(),
+    ["https://example.org/food-insecurity-notes.xlsx", "https://www.tn.gov/health/food-insecurity/county-data.xlsx"]
+  );
+  assert.ok(fileTypeProvider.queries.every((providerQuery) => providerQuery.includes("filetype:xlsx")));
+
+  const priority = parseQueryOperators("food insecurity Tennessee source:priority");
+  const priorityOutput = await runSearchPipeline({
+    query: priority.query,
+    provider: createRecordingProvider(ROWS),
+    options: { operators: priority.operators }
+  });
+  assert.ok(priorityOutput.results.length > 0);
+  assert.ok(priorityOutput.results.every((result) => result.isPriority));
+}
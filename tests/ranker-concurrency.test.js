@@ -0,0 +1,193 @@
+import assert from "assert/strict";
+
+import { runSearchPipeline } from "../src/search/ranker.js";
+import { PRIORITY_DOMAINS } from "../src/search/providers.js";
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
+
+async function run() {
+  await testParallelBatchesMatchSequentialOrdering();
+  await testParallelBatchesRespectBudgetAndConcurrency();
+  await testStandardModeRunsBatchesInParallel();
+  await testDomainFallbackOn422MatchesSequential();
+  await testTopicSeedsRunInParallel();
+  await testParallelBatchErrorsPropagate();
+  console.log("ranker-concurrency tests passed");
+}
+
+async function testParallelBatchesMatchSequentialOrdering() {
+  const sequential = await runSearchPipeline({
+    query: "vaccination rates",
+    provider: createSlowBatchProvider(),
+    options: { costMode: "standard", stageAConcurrency: 1 }
+  });
+  const parallel = await runSearchPipeline({
+    query: "vaccination rates",
+    provider: createSlowBatchProvider(),
+    options: { costMode: "standard", stageAConcurrency: 4 }
+  });
+
+  assert.ok(sequential.results.length > 0);
+  assert.equal(JSON.stringify(parallel.results), JSON.stringify(sequential.results));
+  assert.equal(sequential.metadata.stageAConcurrency, 1);
+  assert.equal(parallel.metadata.stageAConcurrency, 4);
+}
+
+async function testParallelBatchesRespectBudgetAndConcurrency() {
+  const provider = createSlowBatchProvider();
+  const output = await runSearchPipeline({
+    query: "vaccination rates",
+    provider,
+    options: { costMode: "economy", maxProviderCalls: 5, stageAConcurrency: 3 }
+  });
+
+  assert.ok(provider.stats.maxInFlight <= 3);
+  assert.ok(provider.stats.maxInFlight > 1);
+  assert.ok(output.metadata.providerRequestCount <= 5);
+  assert.equal(provider.stats.calls, output.metadata.providerRequestCount);
+}
+
+async function testStandardModeRunsBatchesInParallel() {
+  const runWith = async (stageAConcurrency) => {
+    const provider = createSlowBatchProvider();
+    const output = await runSearchPipeline({
+      query: "obesity",
+      provider,
+      options: { costMode: "standard", stageAConcurrency }
+    });
+    return { provider, output };
+  };
+  const sequential = await runWith(1);
+  const parallel = await runWith(3);
+
+  assert.equal(sequential.provider.stats.maxBatchesInFlight, 1);
+  assert.ok(parallel.provider.stats.maxBatchesInFlight > 1);
+  assert.ok(parallel.provider.stats.maxInFlight <= 3);
+  assert.ok(parallel.output.metadata.providerRequestCount <= parallel.output.metadata.providerRequestLimit);
+  assert.equal(JSON.stringify(parallel.output.results), JSON.stringify(sequential.output.results));
+}
+
+async function testDomainFallbackOn422MatchesSequential() {
+  for (const maxProviderCalls of [8, 12, 20]) {
+    const runWith = async (stageAConcurrency) => {
+      const provider = createSlowBatchProvider({ rejectBatches: true });
+      const output = await runSearchPipeline({
+        query: "vaccination rates",
+        provider,
+        options: { costMode: "standard", maxProviderCalls, stageAConcurrency }
+      });
+      return { provider, output };
+    };
+    const sequential = await runWith(1);
+    const parallel = await runWith(4);
+
+    assert.ok(sequential.provider.stats.rejected > 0, `${maxProviderCalls}`);
+    assert.ok(parallel.provider.stats.domainCalls > 0, `${maxProviderCalls}`);
+    assert.equal(parallel.provider.stats.domainCalls, sequential.provider.stats.domainCalls, `${maxProviderCalls}`);
+    assert.ok(parallel.provider.stats.maxInFlight > 1, `${maxProviderCalls}`);
+    assert.ok(sequential.output.results.length > 0, `${maxProviderCalls}`);
+    assert.equal(JSON.stringify(parallel.output.results), JSON.stringify(sequential.output.results), `${maxProviderCalls}`);
+    assert.ok(parallel.output.metadata.providerRequestCount <= maxProviderCalls, `${maxProviderCalls}`);
+    assert.equal(parallel.provider.stats.inFlight, 0, `${maxProviderCalls}`);
+  }
+}
+
+async function testTopicSeedsRunInParallel() {
+  const runWith = async (stageAConcurrency) => {
+    const provider = createSlowBatchProvider();
+    const stages = [];
+    const output = await runSearchPipeline({
+      query: "chronic absence attendance",
+      provider,
+      options: { costMode: "standard", stageAConcurrency, onStage: (event) => stages.push(event) }
+    });
+    return { provider, output, seedCalls: stages.find((event) => event.stage === "topic_seeds")?.callCount };
+  };
+  const sequential = await runWith(1);
+  const parallel = await runWith(3);
+
+  assert.ok(sequential.seedCalls > 1);
+  assert.equal(parallel.seedCalls, sequential.seedCalls);
+  assert.equal(sequential.provider.stats.maxInFlight, 1);
+  assert.ok(parallel.provider.stats.maxInFlight > 1);
+  assert.equal(JSON.stringify(parallel.output.results), JSON.stringify(sequential.output.results));
+}
+
+async function testParallelBatchErrorsPropagate() {
+  const provider = {
+    async searchWeb(query) {
+      await delay(query.includes(`site:${PRIORITY_DOMAINS[1]}`) ? 5 : 15);
+      if (query.includes(`site:${PRIORITY_DOMAINS[1]}`)) {
+        const error = new Error("rate limited");
+        error.statusCode = 429;
+        throw error;
+      }
+      return [];
+    }
+  };
+
+  await assert.rejects(
+    () =>
+      runSearchPipeline({
+        query: "vaccination rates",
+        provider,
+        options: { costMode: "standard", stageAConcurrency: 3 }
+      }),
+    (error) => error.statusCode === 429
+  );
+}
+
+// Later batches answer first, so any arrival-order merge would change the output.
+// With `rejectBatches`, multi-domain queries fail with a 422 like an upstream
+// that refuses OR-joined site filters, so every batch retries per domain.
+function createSlowBatchProvider({ rejectBatches = false } = {}) {
+  const stats = { calls: 0, inFlight: 0, maxInFlight: 0, batchesInFlight: 0, maxBatchesInFlight: 0, domainCalls: 0, rejected: 0 };
+  let callIndex = 0;
+
+  return {
+    stats,
+    async searchWeb(query) {
+      const order = callIndex;
+      callIndex += 1;
+      stats.calls += 1;
+      stats.inFlight += 1;
+      stats.maxInFlight = Math.max(stats.maxInFlight, stats.inFlight);
+      const isBatch = query.includes(" OR site:");
+      stats.batchesInFlight += isBatch ? 1 : 0;
+      stats.maxBatchesInFlight = Math.max(stats.maxBatchesInFlight, stats.batchesInFlight);
+      stats.domainCalls += !isBatch && query.includes("site:") ? 1 : 0;
+
+      await delay(Math.max(40 - order * 8, 1));
+      stats.inFlight -= 1;
+      stats.batchesInFlight -= isBatch ? 1 : 0;
+
+      if (rejectBatches && isBatch) {
+        stats.rejected += 1;
+        const error = new Error("unsupported query");
+        error.statusCode = 422;
+        throw error;
+      }
+
+      const domains = PRIORITY_DOMAINS.filter((domain) => query.includes(`site:${domain}`));
+      return domains.flatMap((domain) => [
+        {
+          title: `Vaccination rates dataset (${domain})`,
+          url: `https://${domain}/data/vaccination-rates`,
+          snippet: "County vaccination rates data table."
+        },
+        {
+          title: `Vaccination rates report (${domain})`,
+          url: `https://${domain}/reports/vaccination-rates`,
+          snippet: "Vaccination rates summary."
+        }
+      ]);
+    }
+  };
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
@@ -0,0 +1,94 @@
+import assert from "assert/strict";
+
+import { runSearchPipeline } from "../src/search/ranker.js";
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
+
+async function run() {
+  await testExplainModeReturnsScoreBreakdown();
+  await testExplainModeIsOptIn();
+  console.log("ranker-explain tests passed");
+}
+
+async function testExplainModeReturnsScoreBreakdown() {
+  const explained = await runSearchPipeline({
+    query: "uninsured rate by county Tennessee",
+    provider: createProvider(),
+    options: { explain: true }
+  });
+  const plain = await runSearchPipeline({
+    query: "uninsured rate by county Tennessee",
+    provider: createProvider()
+  });
+
+  assert.equal(explained.metadata.explain, true);
+  assert.deepEqual(
+    explained.results.map((result) => result.url),
+    plain.results.map((result) => result.url)
+  );
+
+  explained.results.forEach((result, index) => {
+    const breakdown = result.scoreBreakdown;
+    assert.equal(breakdown.rank, index + 1);
+    assert.equal(
+      breakdown.components.reduce((total, component) => total + component.points, 0),
+      breakdown.total
+    );
+    assert.ok(breakdown.components.every((component) => component.label && component.points !== 0));
+    assert.equal(
+      breakdown.components.some((component) => component.factor === "priority_domain"),
+      result.isPriority
+    );
+    if (index > 0) {
+      assert.ok(explained.results[index - 1].scoreBreakdown.total >= breakdown.total);
+    }
+  });
+
+  const blog = explained.results.find((result) => result.domain === "example-news.com");
+  const blogFactors = blog.scoreBreakdown.components.map((component) => component.factor);
+  assert.ok(blogFactors.includes("non_data_hint"));
+  assert.ok(blogFactors.includes("missing_county_signal"));
+}
+
+async function testExplainModeIsOptIn() {
+  const output = await runSearchPipeline({
+    query: "uninsured rate by county Tennessee",
+    provider: createProvider()
+  });
+
+  assert.equal(output.metadata.explain, false);
+  assert.ok(output.results.length > 0);
+  assert.ok(output.results.every((result) => !("scoreBreakdown" in result)));
+}
+
+function createProvider() {
+  return {
+    async searchWeb(query) {
+      if (query.includes("site:")) {
+        return [
+          {
+            title: "Uninsured rate by county, Tennessee",
+            url: "https://www.countyhealthrankings.org/health-data/tennessee/uninsured",
+            snippet: "County uninsured rate data for Tennessee counties."
+          },
+          {
+            title: "Health insurance coverage table Tennessee counties",
+            url: "https://data.census.gov/table/ACSST5Y2023.S2701?g=040XX00US47$0500000",
+            snippet: "Uninsured rate by county in Tennessee."
+          }
+        ];
+      }
+
+      return [
+        {
+          title: "Uninsured rate rises in Tennessee",
+          url: "https://example-news.com/blog/uninsured-tennessee",
+          snippet: "News blog post about the uninsured rate in Tennessee."
+        }
+      ];
+    }
+  };
+}
@@ -0,0 +1,69 @@
+import assert from "assert/strict";
+
+import { runSearchPipeline } from "../src/search/ranker.js";
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
+
+async function run() {
+  await testCandidatesKeepEveryRankedResult();
+  await testLaterPagesKeepDomainCap();
+  console.log("ranker-pagination tests passed");
+}
+
+function buildProvider(domains, perDomain) {
+  const rows = [];
+  for (let index = 0; index < perDomain; index += 1) {
+    for (const domain of domains) {
+      rows.push({
+        title: `Food insecurity table ${index} from ${domain}`,
+        url: `https://${domain}/food-insecurity/table-${index}`,
+        snippet: `County food insecurity estimates, table ${index}.`
+      });
+    }
+  }
+
+  return {
+    async searchWeb() {
+      return rows;
+    }
+  };
+}
+
+async function testCandidatesKeepEveryRankedResult() {
+  const provider = buildProvider(["example.org", "example.net", "example.com", "example.edu"], 8);
+  const output = await runSearchPipeline({ query: "food insecurity", provider });
+
+  assert.equal(output.metadata.pageSize, 12);
+  assert.equal(output.results.length, 12);
+  assert.equal(output.metadata.totalResultCount, 12);
+  assert.ok(output.candidates.length > output.results.length);
+  assert.equal(output.metadata.candidateResultCount, output.candidates.length);
+  assert.deepEqual(output.candidates.slice(0, 12), output.results);
+  assert.equal(new Set(output.candidates.map((result) => result.url)).size, output.candidates.length);
+}
+
+async function testLaterPagesKeepDomainCap() {
+  const provider = buildProvider(
+    ["example.org", "example.net", "example.com", "example.edu", "example.info", "example.us"],
+    6
+  );
+  const output = await runSearchPipeline({ query: "food insecurity", provider, options: { explain: true } });
+  const { pageSize } = output.metadata;
+
+  assert.ok(output.candidates.length > pageSize);
+  for (let start = 0; start < output.candidates.length; start += pageSize) {
+    const counts = new Map();
+    for (const result of output.candidates.slice(start, start + pageSize)) {
+      counts.set(result.domain, (counts.get(result.domain) || 0) + 1);
+    }
+    assert.ok(Math.max(...counts.values()) <= 2, `page starting at ${start} exceeds the per-domain cap`);
+  }
+
+  assert.deepEqual(
+    output.candidates.map((result) => result.scoreBreakdown.rank),
+    output.candidates.map((_, index) => index + 1)
+  );
+}
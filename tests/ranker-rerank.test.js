@@ -0,0 +1,114 @@
+import assert from "assert/strict";
+
+import { buildRerankQuery, rerankResults, scoreLexicalSimilarity } from "../src/search/lexical-rerank.js";
+import { runSearchPipeline } from "../src/search/ranker.js";
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
+
+async function run() {
+  testQueryExpansionUsesSodhVocabulary();
+  testSimilarityIsDeterministicAndScaled();
+  testPriorityResultsKeepTheirSlots();
+  await testRerankIsOffByDefault();
+  await testRerankReordersWithinGroups();
+  console.log("ranker-rerank tests passed");
+}
+
+function testQueryExpansionUsesSodhVocabulary() {
+  const weights = buildRerankQuery("uninsured adults", ["uninsured", "adults"]);
+  assert.equal(weights.get("uninsured"), 1);
+  assert.equal(weights.get("coverage"), 0.5);
+  assert.equal(weights.get("the"), undefined);
+
+  const acs = buildRerankQuery("acs poverty", ["acs", "poverty"]);
+  assert.equal(acs.get("survey"), 0.5);
+}
+
+function testSimilarityIsDeterministicAndScaled() {
+  const query = buildRerankQuery("food insecurity", ["food", "insecurity"]);
+  const documents = [
+    { title: "County health rankings", snippet: "Rankings for every county." },
+    { title: "Food insecurity by county", snippet: "Food insecurity rates and food environment index." },
+    { title: "Food environment", snippet: "Grocery store access." }
+  ];
+
+  const first = scoreLexicalSimilarity(query, documents);
+  assert.deepEqual(scoreLexicalSimilarity(query, documents), first);
+  assert.equal(first[1], 1);
+  assert.equal(first[0], 0);
+  assert.ok(first[2] > 0 && first[2] < 1);
+}
+
+function testPriorityResultsKeepTheirSlots() {
+  const items = [
+    { title: "Priority report", snippet: "Annual report.", isPriority: true, score: 1200 },
+    { title: "Priority food insecurity table", snippet: "Food insecurity.", isPriority: true, score: 1190 },
+    { title: "Food insecurity food insecurity", snippet: "Food insecurity data.", isPriority: false, score: 1180 },
+    { title: "Other page", snippet: "Unrelated.", isPriority: false, score: 300 }
+  ];
+
+  const reranked = rerankResults(items, {
+    queryText: "food insecurity",
+    queryTerms: ["food", "insecurity"],
+    bonus: 500
+  });
+  assert.deepEqual(
+    reranked.map((item) => item.title),
+    ["Priority food insecurity table", "Priority report", "Food insecurity food insecurity", "Other page"]
+  );
+  assert.deepEqual(reranked.map((item) => item.isPriority), [true, true, false, false]);
+}
+
+async function testRerankIsOffByDefault() {
+  const output = await runSearchPipeline({ query: "food insecurity rates", provider: createProvider() });
+  assert.equal(output.metadata.rerank, false);
+  assert.equal(output.results[0].title, "County dashboard");
+}
+
+async function testRerankReordersWithinGroups() {
+  const options = { rerank: true, explain: true };
+  const output = await runSearchPipeline({ query: "food insecurity rates", provider: createProvider(), options });
+  assert.equal(output.metadata.rerank, true);
+  assert.equal(output.results[0].title, "Food insecurity");
+
+  const component = output.results[0].scoreBreakdown.components.find((item) => item.factor === "lexical_rerank");
+  assert.equal(component.detail, "1.00");
+  assert.equal(
+    output.results[0].scoreBreakdown.total,
+    output.results[0].scoreBreakdown.components.reduce((total, item) => total + item.points, 0)
+  );
+
+  const firstNonPriority = output.results.findIndex((result) => !result.isPriority);
+  const lastPriority = output.results.findLastIndex((result) => result.isPriority);
+  assert.ok(firstNonPriority === -1 || lastPriority < firstNonPriority);
+
+  const again = await runSearchPipeline({ query: "food insecurity rates", provider: createProvider(), options });
+  assert.deepEqual(again.results, output.results);
+}
+
+function createProvider() {
+  return {
+    async searchWeb() {
+      return [
+        {
+          title: "County dashboard",
+          url: "https://www.countyhealthrankings.org/food-insecurity-rates/dashboard.csv",
+          snippet: "Download county health measures as a data table and map."
+        },
+        {
+          title: "Food insecurity",
+          url: "https://www.countyhealthrankings.org/health-data/topic-12",
+          snippet: "Food insecurity and the food environment index."
+        },
+        {
+          title: "Food insecurity rates news",
+          url: "https://www.example-news.com/food-insecurity",
+          snippet: "Food insecurity rates rose this year."
+        }
+      ];
+    }
+  };
+}
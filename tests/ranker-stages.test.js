@@ -0,0 +1,98 @@
+import assert from "assert/strict";
+
+import { runSearchPipeline } from "../src/search/ranker.js";
+import { PRIORITY_DOMAINS } from "../src/search/providers.js";
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
+
+async function run() {
+  await testEmitsStageEventsEndingWithFinalRanking();
+  await testStageEventsDoNotChangeResults();
+  console.log("ranker-stages tests passed");
+}
+
+async function testEmitsStageEventsEndingWithFinalRanking() {
+  const stageEvents = [];
+  const output = await runSearchPipeline({
+    query: "median household income Tennessee",
+    provider: createProvider(),
+    options: {
+      costMode: "standard",
+      onStage: (event) => stageEvents.push(event)
+    }
+  });
+
+  const stages = stageEvents.map((event) => event.stage);
+  assert.ok(stages.includes("census_seeds"));
+  assert.ok(stages.includes("stage_a_batch"));
+  assert.equal(stages.at(-1), "stage_b_fallback");
+
+  const batchEvents = stageEvents.filter((event) => event.stage === "stage_a_batch");
+  batchEvents.forEach((event, index) => {
+    assert.equal(event.batchIndex, index);
+    assert.equal(event.costMode, "standard");
+  });
+
+  for (let index = 1; index < stageEvents.length; index += 1) {
+    assert.ok(stageEvents[index].providerRequestCount >= stageEvents[index - 1].providerRequestCount);
+  }
+
+  assert.deepEqual(stageEvents.at(-1).results, output.results);
+}
+
+async function testStageEventsDoNotChangeResults() {
+  for (const costMode of ["economy", "standard"]) {
+    const withStages = await runSearchPipeline({
+      query: "median household income Tennessee",
+      provider: createProvider(),
+      options: { costMode, onStage: () => {} }
+    });
+    const withoutStages = await runSearchPipeline({
+      query: "median household income Tennessee",
+      provider: createProvider(),
+      options: { costMode }
+    });
+
+    assert.ok(withStages.results.length > 0);
+    assert.deepEqual(withStages, withoutStages);
+  }
+}
+
+// Priority batches return one sparse row so Stage B fallback always runs.
+function createProvider() {
+  return {
+    async searchWeb(query) {
+      if (query.includes("site:data.census.gov")) {
+        return [
+          {
+            title: "Median Household Income Tennessee table",
+            url: "https://data.census.gov/table/ACSST1Y2023.S1901?g=040XX00US47",
+            snippet: "Median household income in Tennessee."
+          }
+        ];
+      }
+
+      const domain = PRIORITY_DOMAINS.find((item) => query.includes(`site:${item}`));
+      if (domain) {
+        return [
+          {
+            title: `Median household income Tennessee (${domain})`,
+            url: `https://${domain}/income/tennessee`,
+            snippet: "Median household income data for Tennessee."
+          }
+        ];
+      }
+
+      return [
+        {
+          title: "Tennessee median household income overview",
+          url: "https://example.org/tennessee-income",
+          snippet: "Median household income trends in Tennessee."
+        }
+      ];
+    }
+  };
+}
@@ -0,0 +1,178 @@
+import assert from "assert/strict";
+
+import { PRIORITY_DOMAINS } from "../src/search/providers.js";
+import { runSearchPipeline } from "../src/search/ranker.js";
+
+const SUB_QUERIES = [
+  { id: "original", query: "uninsured rate by county tn" },
+  { id: "alias", query: "health insurance coverage by county tn" },
+  { id: "formal", query: "uninsured rate by county tennessee" }
+];
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
+
+async function run() {
+  await testPriorityStagesUseFirstSubQuery();
+  await testMetadataListsOnlySentSubQueries();
+  await testFallbackFusesSubQueryLists();
+  await testSubQueriesStayWithinBudget();
+  await testSubQueriesLeaveStageABudgetAlone();
+  await testWithoutSubQueriesSendsQueryAsGiven();
+  console.log("ranker-subqueries tests passed");
+}
+
+function row(slug) {
+  return {
+    title: `Uninsured ${slug}`,
+    url: `https://example.org/${slug}`,
+    snippet: "Health insurance coverage by county."
+  };
+}
+
+// Priority batches come back empty so the broad search always runs; each broad
+// search returns the list registered for its sub-query.
+function createProvider(listsByQuery = {}) {
+  const calls = [];
+  return {
+    calls,
+    async searchWeb(query) {
+      calls.push(query);
+      return query.includes("site:") ? [] : listsByQuery[query] || [];
+    }
+  };
+}
+
+async function testPriorityStagesUseFirstSubQuery() {
+  const provider = createProvider();
+  await runSearchPipeline({
+    query: "uninsured rate county tn tennessee health insurance coverage",
+    provider,
+    options: { costMode: "standard", subQueries: SUB_QUERIES }
+  });
+
+  const batchCalls = provider.calls.filter((call) => call.includes("site:"));
+  assert.ok(batchCalls.length > 0);
+  assert.ok(batchCalls.every((call) => call.startsWith(SUB_QUERIES[0].query)));
+}
+
+async function testMetadataListsOnlySentSubQueries() {
+  // Enough priority results skip the broad search, so only the first
+  // sub-query reached the provider.
+  const provider = {
+    async searchWeb(query) {
+      return PRIORITY_DOMAINS.filter((domain) => query.includes(`site:${domain}`)).map((domain) => ({
+        title: `Uninsured rate by county from ${domain}`,
+        url: `https://${domain}/uninsured-by-county`,
+        snippet: "Health insurance coverage by county, Tennessee."
+      }));
+    }
+  };
+  const output = await runSearchPipeline({
+    query: "uninsured rate county tn",
+    provider,
+    options: { costMode: "standard", subQueries: SUB_QUERIES }
+  });
+
+  assert.equal(output.metadata.fallbackUsed, false);
+  assert.deepEqual(
+    output.metadata.subQueries.map(({ id, searched }) => [id, searched]),
+    [["original", true], ["alias", false], ["formal", false]]
+  );
+}
+
+async function testFallbackFusesSubQueryLists() {
+  const provider = createProvider({
+    [SUB_QUERIES[0].query]: [row("a"), row("b"), row("c")],
+    [SUB_QUERIES[1].query]: [row("c"), row("d")],
+    [SUB_QUERIES[2].query]: [row("c"), row("b")]
+  });
+  const stages = [];
+  const output = await runSearchPipeline({
+    query: "uninsured rate county tn",
+    provider,
+    options: {
+      costMode: "standard",
+      subQueries: SUB_QUERIES,
+      onStage: (event) => stages.push(event)
+    }
+  });
+
+  const foundBy = Object.fromEntries(
+    output.results.map((result) => [result.url.split("/").pop(), result.foundBy])
+  );
+  assert.deepEqual(foundBy, {
+    a: ["original"],
+    b: ["original", "formal"],
+    c: ["original", "alias", "formal"],
+    d: ["alias"]
+  });
+  assert.equal(stages.at(-1).subQueryCount, 3);
+  assert.deepEqual(output.metadata.subQueries, [
+    { ...SUB_QUERIES[0], searched: true, resultCount: 3 },
+    { ...SUB_QUERIES[1], searched: true, resultCount: 2 },
+    { ...SUB_QUERIES[2], searched: true, resultCount: 2 }
+  ]);
+}
+
+async function testSubQueriesStayWithinBudget() {
+  const provider = createProvider({ [SUB_QUERIES[0].query]: [row("a")] });
+  const output = await runSearchPipeline({
+    query: "uninsured rate county tn",
+    provider,
+    options: { costMode: "economy", maxProviderCalls: 3, subQueries: SUB_QUERIES }
+  });
+
+  // Economy mode gives the extra sub-queries one call of their own.
+  assert.equal(output.metadata.subQueryRequestLimit, 1);
+  assert.equal(output.metadata.subQueryRequestCount, 1);
+  assert.equal(output.metadata.providerRequestLimit, 4);
+  assert.equal(output.metadata.providerRequestCount, provider.calls.length);
+  assert.ok(provider.calls.length <= 4);
+  assert.deepEqual(
+    output.metadata.subQueries.map(({ id, searched }) => [id, searched]),
+    [["original", true], ["alias", true], ["formal", false]]
+  );
+  assert.deepEqual(output.results.find((result) => result.url.endsWith("/a")).foundBy, ["original"]);
+}
+
+async function testSubQueriesLeaveStageABudgetAlone() {
+  for (const costMode of ["economy", "standard"]) {
+    const withSubQueries = createProvider();
+    await runSearchPipeline({
+      query: "uninsured rate county tn",
+      provider: withSubQueries,
+      options: { costMode, subQueries: SUB_QUERIES }
+    });
+    const withoutSubQueries = createProvider();
+    await runSearchPipeline({
+      query: SUB_QUERIES[0].query,
+      provider: withoutSubQueries,
+      options: { costMode }
+    });
+
+    const priorityCalls = (provider) => provider.calls.filter((call) => call.includes("site:"));
+    assert.deepEqual(priorityCalls(withSubQueries), priorityCalls(withoutSubQueries), costMode);
+    // Stage A keeps the baseline reserve of a single broad-search call.
+    const budget = costMode === "economy" ? 4 : 8;
+    assert.equal(priorityCalls(withSubQueries).length, budget - 1, costMode);
+  }
+}
+
+async function testWithoutSubQueriesSendsQueryAsGiven() {
+  const provider = createProvider({ "uninsured rate tn": [row("a"), row("b")] });
+  const output = await runSearchPipeline({
+    query: "uninsured rate tn",
+    provider,
+    options: { costMode: "economy" }
+  });
+
+  assert.equal(provider.calls.filter((call) => !call.includes("site:")).length, 1);
+  assert.deepEqual(output.results.map((result) => result.url), ["https://example.org/a", "https://example.org/b"]);
+  assert.ok(output.results.every((result) => !("foundBy" in result)));
+  assert.deepEqual(output.metadata.subQueries, [
+    { id: "original", query: "uninsured rate tn", searched: true, resultCount: 2 }
+  ]);
+}
@@ -0,0 +1,102 @@
+import assert from "assert/strict";
+import { spawnSync } from "child_process";
+import { mkdtemp, readFile, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import path from "path";
+
+import {
+  DEFAULT_RANKING_RULES_PATH,
+  RankingRulesError,
+  loadRankingRules,
+  validateRankingRules
+} from "../src/search/ranking-rules.js";
+import { RANKING_RULES_VERSION } from "../src/search/ranker.js";
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
+
+async function run() {
+  await testBundledRulesAreValid();
+  await testValidatorReportsFieldPaths();
+  await testLoaderRejectsInvalidFiles();
+  await testRankerFailsToLoadWithInvalidRules();
+  console.log("ranking-rules tests passed");
+}
+
+async function testBundledRulesAreValid() {
+  const rules = loadRankingRules();
+  assert.equal(rules.version, RANKING_RULES_VERSION);
+  assert.ok(rules.topicRules.length > 0);
+  assert.ok(Object.isFrozen(rules.topicRules[0].domains));
+}
+
+async function testValidatorReportsFieldPaths() {
+  const rules = JSON.parse(await readFile(DEFAULT_RANKING_RULES_PATH, "utf8"));
+  rules.weights.dataCensusBonus = "160";
+  rules.hints.nonData.push("Press Release");
+  rules.topicRules.push({
+    triggerTerms: ["maternal"],
+    domain: ["cdc.gov"],
+    bonus: 0
+  });
+  rules.intentProfiles.map.weights.priorityBonus = 10;
+  rules.intentProfiles.report.weights.reportHintBonus = -5;
+  rules.intentProfiles.podcast = { triggerTerms: ["podcast"], weights: {} };
+  delete rules.version;
+
+  const errors = validateRankingRules(rules);
+  const lastIndex = rules.topicRules.length - 1;
+  assert.ok(errors.includes("version must be a non-empty string"));
+  assert.ok(errors.includes("weights.dataCensusBonus must be a non-negative number"));
+  assert.ok(errors.some((error) => error.startsWith("hints.nonData[") && error.includes("lowercase")));
+  assert.ok(errors.includes("intentProfiles.map.weights.priorityBonus is not a recognized field"));
+  assert.ok(errors.includes("intentProfiles.report.weights.reportHintBonus must be a non-negative number"));
+  assert.ok(errors.includes("intentProfiles.podcast is not a recognized field"));
+  assert.ok(errors.includes(`topicRules[${lastIndex}].domain is not a recognized field`));
+  assert.ok(errors.includes(`topicRules[${lastIndex}].domains must be a non-empty array of strings`));
+  assert.ok(errors.includes(`topicRules[${lastIndex}].bonus must be a positive number`));
+}
+
+async function testLoaderRejectsInvalidFiles() {
+  const tempDir = await mkdtemp(path.join(tmpdir(), "sodh-rules-"));
+  try {
+    const brokenJsonPath = path.join(tempDir, "broken.json");
+    await writeFile(brokenJsonPath, "{ not json", "utf8");
+    assert.throws(() => loadRankingRules(brokenJsonPath), RankingRulesError);
+
+    const invalidPath = path.join(tempDir, "invalid.json");
+    await writeFile(invalidPath, JSON.stringify({ version: "test", weights: {}, hints: {}, topicRules: [] }), "utf8");
+    assert.throws(
+      () => loadRankingRules(invalidPath),
+      (error) => {
+        assert.ok(error instanceof RankingRulesError);
+        assert.ok(error.errors.includes("weights.dataCensusBonus must be a non-negative number"));
+        assert.ok(error.message.includes(invalidPath));
+        return true;
+      }
+    );
+  } finally {
+    await rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+async function testRankerFailsToLoadWithInvalidRules() {
+  const tempDir = await mkdtemp(path.join(tmpdir(), "sodh-rules-"));
+  try {
+    const invalidPath = path.join(tempDir, "invalid.json");
+    await writeFile(invalidPath, JSON.stringify({ version: "" }), "utf8");
+    const child = spawnSync(process.execPath, ["--input-type=module", "-e", 'await import("./src/search/ranker.js");'], {
+      env: { ...process.env, SEARCH_RANKING_RULES_PATH: invalidPath },
+      encoding: "utf8",
+      timeout: 20000
+    });
+
+    assert.notEqual(child.status, 0);
+    assert.match(child.stderr, /RankingRulesError: Invalid ranking rules/);
+    assert.match(child.stderr, /version must be a non-empty string/);
+  } finally {
+    await rm(tempDir, { recursive: true, force: true });
+  }
+}
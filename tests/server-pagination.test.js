@@ -0,0 +1,128 @@
+import assert from "assert/strict";
+import { spawn } from "child_process";
+import http from "http";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
+
+async function run() {
+  await testLaterPagesOnlyComeFromTheCache();
+  console.log("server-pagination tests passed");
+}
+
+async function testLaterPagesOnlyComeFromTheCache() {
+  const providerRequests = [];
+  const searxng = http.createServer((req, res) => {
+    providerRequests.push(req.url);
+    const results = [];
+    for (let index = 0; index < 20; index += 1) {
+      for (const domain of ["example.org", "example.net", "example.com", "example.edu"]) {
+        results.push({
+          title: `Food insecurity table ${index} from ${domain}`,
+          url: `https://${domain}/food-insecurity/table-${index}`,
+          content: `County food insecurity estimates, table ${index}.`
+        });
+      }
+    }
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ results }));
+  });
+  await new Promise((resolve) => searxng.listen(0, "127.0.0.1", resolve));
+
+  const app = await startServer({ SEARXNG_URL: `http://127.0.0.1:${searxng.address().port}` });
+  try {
+    const search = (body) => postJson(app.port, "/api/search", { query: "food insecurity", ...body });
+
+    // A page 2 that is not cached is refused rather than searched again.
+    const expired = await search({ page: 2 });
+    assert.equal(expired.status, 410);
+    assert.equal(expired.body.page, 2);
+    assert.match(expired.body.error, /Run the search again/);
+    assert.equal(providerRequests.length, 0);
+
+    const first = await search({});
+    assert.equal(first.status, 200);
+    assert.equal(first.body.metadata.cacheHit, false);
+    assert.equal(first.body.pagination.page, 1);
+    assert.equal(first.body.pagination.hasMore, true);
+    const firstPageCalls = providerRequests.length;
+    assert.ok(firstPageCalls > 0);
+
+    const second = await search({ page: 2 });
+    assert.equal(second.status, 200);
+    assert.equal(second.body.metadata.cacheHit, true);
+    assert.equal(second.body.metadata.providerRequestCount, 0);
+    assert.equal(second.body.pagination.page, 2);
+    assert.ok(second.body.results.length > 0);
+    const firstUrls = new Set(first.body.results.map((result) => result.url));
+    assert.ok(second.body.results.every((result) => !firstUrls.has(result.url)));
+    assert.equal(providerRequests.length, firstPageCalls);
+  } finally {
+    app.child.kill("SIGKILL");
+    await new Promise((resolve) => searxng.close(resolve));
+  }
+}
+
+async function startServer(env) {
+  const port = await findFreePort();
+  const child = spawn(process.execPath, ["server.js"], {
+    cwd: ROOT_DIR,
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      BRAVE_API_KEY: "",
+      SERPAPI_KEY: "",
+      BING_API_KEY: "",
+      SEARCH_CACHE_BACKEND: "memory",
+      SEARCH_LINK_VERIFY: "false",
+      ...env
+    },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+
+  let output = "";
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      child.kill("SIGKILL");
+      reject(new Error(`Server did not start within 10s:\n${output}`));
+    }, 10000);
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes("Server running")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on("data", onData);
+    child.stderr.on("data", onData);
+    child.on("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with code ${code}:\n${output}`));
+    });
+  });
+
+  return { child, port };
+}
+
+async function findFreePort() {
+  const probe = http.createServer();
+  await new Promise((resolve) => probe.listen(0, "127.0.0.1", resolve));
+  const { port } = probe.address();
+  await new Promise((resolve) => probe.close(resolve));
+  return port;
+}
+
+async function postJson(port, pathname, body) {
+  const response = await fetch(`http://127.0.0.1:${port}${pathname}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
@@ -0,0 +1,181 @@
+import assert from "assert/strict";
+
+import { cdcWonderExtractor } from "../src/extractors/cdc-wonder.js";
+import { applyQueryDefaults, getEligibleExtractors } from "../src/extractors/registry.js";
+import { tnDeathStatsExtractor } from "../src/extractors/tn-death-stats.js";
+import { runSearchPipeline } from "../src/search/ranker.js";
+import { detectTemporalIntent, extractMentionedYears } from "../src/search/temporal-intent.js";
+
+const NOW = () => Date.UTC(2026, 9, 19);
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
+
+async function run() {
+  testExplicitYearsAndRanges();
+  testRecencyWords();
+  testMentionedYearsIncludeVintageCodes();
+  testExtractorDefaultsUseExplicitYear();
+  testRelativeAndFutureYearsStayInRange();
+  await testYearMatchesAreBoosted();
+  await testStaleVintagesArePenalizedForLatest();
+  console.log("temporal-intent tests passed");
+}
+
+function testExplicitYearsAndRanges() {
+  const single = intent("overdose deaths 2022");
+  assert.deepEqual(single.years, [2022]);
+  assert.equal(single.range, null);
+  assert.equal(single.targetYear, 2022);
+  assert.equal(single.explicitYear, 2022);
+  assert.equal(single.recency, false);
+
+  const range = intent("uninsured 2018-2022 ACS");
+  assert.deepEqual(range.range, { start: 2018, end: 2022 });
+  assert.deepEqual(range.matchYears, [2018, 2019, 2020, 2021, 2022]);
+  assert.equal(range.targetYear, 2022);
+  assert.equal(range.explicitYear, 2022);
+
+  // Query normalization rewrites "2018-2022" as "2018 2022".
+  assert.deepEqual(intent("uninsured 2018 2022 tn").range, { start: 2018, end: 2022 });
+  assert.deepEqual(intent("obesity between 2015 and 2019").range, { start: 2015, end: 2019 });
+  assert.deepEqual(intent("obesity past 5 years").range, { start: 2021, end: 2026 });
+  assert.deepEqual(intent("FY2023 budget").years, [2023]);
+  assert.deepEqual(intent("births last year").years, [2025]);
+
+  assert.deepEqual(intent("ICD 10 code 1234567").years, []);
+  assert.deepEqual(intent("population 2099").years, []);
+}
+
+function testRecencyWords() {
+  const latest = intent("latest uninsured rate");
+  assert.equal(latest.recency, true);
+  assert.deepEqual(latest.recencyTerms, ["latest"]);
+  assert.equal(latest.targetYear, null);
+
+  assert.equal(intent("most recent overdose data").recency, true);
+  assert.equal(intent("current smoking prevalence").recency, false);
+}
+
+function testMentionedYearsIncludeVintageCodes() {
+  assert.deepEqual(
+    extractMentionedYears("https://data.census.gov/table/acsdt5y2023.b27010 overdose_2019.csv", 2026).sort(),
+    [2019, 2023]
+  );
+  assert.deepEqual(extractMentionedYears("call 1-800-555-1234", 2026), []);
+}
+
+function testExtractorDefaultsUseExplicitYear() {
+  const context = { year: intent("median household income 2021").explicitYear };
+  const [census] = getEligibleExtractors({ url: "https://data.census.gov/table/x" }, context);
+  assert.equal(census.defaults.vintage, 2021);
+
+  assert.deepEqual(applyQueryDefaults("cdc_places", { measureId: "OBESITY" }, context), {
+    measureId: "OBESITY",
+    year: 2021
+  });
+  assert.deepEqual(applyQueryDefaults("cdc_places", { year: "2020" }, context), { year: "2020" });
+}
+
+function testRelativeAndFutureYearsStayInRange() {
+  // Relative periods still rank results but never pick an extractor year.
+  for (const query of ["uninsured rate past 5 years", "median income this year", "births last year"]) {
+    const relative = intent(query);
+    assert.notEqual(relative.targetYear, null, query);
+    assert.equal(relative.explicitYear, null, query);
+    const [census] = getEligibleExtractors({ url: "https://data.census.gov/table/x" }, { year: relative.explicitYear });
+    assert.equal(census.defaults.vintage, 2023, query);
+  }
+
+  const future = { year: intent("overdose deaths 2026").explicitYear };
+  assert.equal(future.year, 2026);
+  const [census] = getEligibleExtractors({ url: "https://data.census.gov/table/x" }, future);
+  assert.equal(census.defaults.vintage, 2023);
+  assert.deepEqual(applyQueryDefaults("cdc_places", {}, future), { year: 2022 });
+  for (const extractor of [cdcWonderExtractor, tnDeathStatsExtractor]) {
+    const { year } = applyQueryDefaults(extractor.id, {}, future);
+    assert.equal(year, Math.min(2026, extractor.latestYear), extractor.id);
+  }
+
+  // Years the extractor has published pass through unchanged.
+  assert.deepEqual(applyQueryDefaults("cdc_places", {}, { year: 2019 }), { year: 2019 });
+}
+
+async function testYearMatchesAreBoosted() {
+  const provider = createProvider([
+    {
+      title: "Drug overdose deaths 2019",
+      url: "https://www.cdc.gov/overdose/data/2019.html",
+      snippet: "Overdose deaths by state, 2019."
+    },
+    {
+      title: "Drug overdose deaths 2022",
+      url: "https://www.cdc.gov/overdose/data/2022.html",
+      snippet: "Overdose deaths by state, 2022."
+    }
+  ]);
+
+  const output = await runSearchPipeline({
+    query: "overdose deaths 2022",
+    provider,
+    options: { explain: true, now: NOW }
+  });
+  assert.equal(output.results[0].url, "https://www.cdc.gov/overdose/data/2022.html");
+  assert.equal(output.metadata.temporal.targetYear, 2022);
+  assert.equal(output.metadata.temporal.explicitYear, 2022);
+
+  const component = factorOf(output.results[0], "year_match");
+  assert.equal(component.detail, "2022");
+  assert.equal(factorOf(output.results[1], "year_match"), undefined);
+}
+
+async function testStaleVintagesArePenalizedForLatest() {
+  const provider = createProvider([
+    {
+      title: "Uninsured rate by county, 2015",
+      url: "https://www.census.gov/library/uninsured-2015.html",
+      snippet: "Health insurance coverage estimates for 2015."
+    },
+    {
+      title: "Uninsured rate by county, 2024",
+      url: "https://www.census.gov/library/uninsured-2024.html",
+      snippet: "Health insurance coverage estimates for 2024."
+    },
+    {
+      title: "Uninsured rate methodology",
+      url: "https://www.census.gov/library/uninsured-methods.html",
+      snippet: "How uninsured rates are estimated."
+    }
+  ]);
+
+  const output = await runSearchPipeline({
+    query: "latest uninsured rate",
+    provider,
+    options: { explain: true, now: NOW }
+  });
+  const stale = output.results.find((result) => result.url.endsWith("uninsured-2015.html"));
+  assert.equal(factorOf(stale, "stale_vintage").detail, "2015");
+  assert.equal(output.results.at(-1), stale);
+
+  for (const result of output.results.filter((item) => item !== stale)) {
+    assert.equal(factorOf(result, "stale_vintage"), undefined);
+  }
+}
+
+function createProvider(rows) {
+  return {
+    async searchWeb() {
+      return rows;
+    }
+  };
+}
+
+function factorOf(result, factor) {
+  return result.scoreBreakdown.components.find((component) => component.factor === factor);
+}
+
+function intent(query) {
+  return detectTemporalIntent(query, { now: NOW });
+}